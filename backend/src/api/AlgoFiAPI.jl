@@ -3,6 +3,7 @@ module AlgoFiAPI
 using HTTP
 using JSON3
 using Dates
+using Base64
 using TimeZones
 using LibPQ  # For PostgreSQL connectivity
 using ..AlgoFiUsers
@@ -64,7 +65,9 @@ function _refresh_price_cache!()
                     pair_dict[dex] = Dict(
                         "price" => pr,
                         "volume_24h" => vol,
-                        "last_updated" => ts
+                        "last_updated" => ts,
+                        "timestamp" => ts,
+                        "synthetic" => false
                     )
                 end
                 @debug "Found $(length(db_prices)) cached DB prices"
@@ -86,6 +89,41 @@ function _refresh_price_cache!()
     end
 end
 
+# ISO-8601 UTC source time for a quote; `epoch_ms` when the upstream sends one
+_source_timestamp(epoch_ms=nothing) = string(epoch_ms === nothing ? Dates.now(Dates.UTC) : Dates.unix2datetime(epoch_ms / 1000)) * "Z"
+
+const USDC_ASSET_ID = 31566704
+const TINYMAN_V2_VALIDATOR_APP_ID = "1002541853"
+
+# ALGO/USDC spot price from a Tinyman V2 pool's reserves, read from the pool account's local
+# state in the validator app. Returns nothing when TINYMAN_ALGO_USDC_POOL is not set.
+function _fetch_tinyman_pool_quote()
+    pool = get(ENV, "TINYMAN_ALGO_USDC_POOL", "")
+    isempty(pool) && return nothing
+    algod_url = get(ENV, "ALGOD_URL", "https://mainnet-api.algonode.cloud")
+    app_id = get(ENV, "TINYMAN_VALIDATOR_APP_ID", TINYMAN_V2_VALIDATOR_APP_ID)
+
+    response = HTTP.get("$(algod_url)/v2/accounts/$(pool)/applications/$(app_id)", readtimeout=10)
+    info = JSON3.read(String(response.body))
+    local_state = get(info, Symbol("app-local-state"), nothing)
+    state = Dict{String, Int}()
+    for kv in (local_state === nothing ? [] : get(local_state, Symbol("key-value"), []))
+        state[String(base64decode(kv.key))] = Int(get(kv.value, :uint, 0))
+    end
+    haskey(state, "asset_1_reserves") || error("Account $(pool) is not a Tinyman V2 pool")
+
+    # Missing keys hold zero: asset 2 is ALGO in ALGO pairs
+    reserves = Dict(
+        get(state, "asset_1_id", 0) => state["asset_1_reserves"],
+        get(state, "asset_2_id", 0) => get(state, "asset_2_reserves", 0)
+    )
+    algo_reserves = get(reserves, 0, 0) / 1e6
+    usdc_reserves = get(reserves, USDC_ASSET_ID, 0) / 1e6
+    (algo_reserves > 0 && usdc_reserves > 0) || error("Pool $(pool) holds no ALGO/USDC reserves")
+
+    return (price = usdc_reserves / algo_reserves, algo_reserves = algo_reserves, usdc_reserves = usdc_reserves)
+end
+
 function _fetch_external_prices()::Dict{String, Any}
     """Fetch live ALGO/USD prices from multiple exchanges"""
     try
@@ -93,7 +131,7 @@ function _fetch_external_prices()::Dict{String, Any}
         
         # 1. CoinGecko ALGO price
         @info "Fetching ALGO/USD from CoinGecko..."
-        coingecko_url = "https://api.coingecko.com/api/v3/simple/price?ids=algorand&vs_currencies=usd&include_24hr_vol=true&include_24hr_change=true"
+        coingecko_url = "https://api.coingecko.com/api/v3/simple/price?ids=algorand&vs_currencies=usd&include_24hr_vol=true&include_24hr_change=true&include_last_updated_at=true"
         cg_response = HTTP.get(coingecko_url, readtimeout=10)
         
         if cg_response.status == 200
@@ -105,7 +143,9 @@ function _fetch_external_prices()::Dict{String, Any}
                         "price" => Float64(algo_cg.usd),
                         "volume_24h" => get(algo_cg, :usd_24h_vol, 0.0),
                         "change_24h" => get(algo_cg, :usd_24h_change, 0.0),
-                        "last_updated" => string(now())
+                        "last_updated" => string(now()),
+                        "timestamp" => _source_timestamp(haskey(algo_cg, :last_updated_at) ? algo_cg.last_updated_at * 1000 : nothing),
+                        "synthetic" => false
                     )
                 )
             end
@@ -131,7 +171,9 @@ function _fetch_external_prices()::Dict{String, Any}
                         "price" => htx_price,
                         "volume_24h" => Float64(htx_volume),
                         "change_24h" => 0.0,  # HTX doesn't provide change in this endpoint
-                        "last_updated" => string(now())
+                        "last_updated" => string(now()),
+                        "timestamp" => _source_timestamp(get(htx_data, "ts", nothing)),
+                        "synthetic" => false
                     )
                 end
             end
@@ -139,24 +181,51 @@ function _fetch_external_prices()::Dict{String, Any}
             @warn "HTX fetch failed" error=htx_err
         end
 
-        # 3. Tinyman simulation (slightly different price for demonstration)
-        @info "Simulating Tinyman ALGO/USD price..."
+        # 3. Tinyman ALGO/USDC pool reserves from algod, the same pool live swaps execute against.
+        # Without a configured pool the quote is simulated from CoinGecko and marked synthetic,
+        # which the frontend price guard rejects, so live mode needs TINYMAN_ALGO_USDC_POOL.
+        @info "Fetching Tinyman ALGO/USDC pool state..."
         try
-            if haskey(prices, "ALGO/USD") && haskey(prices["ALGO/USD"], "coingecko")
-                base_price = prices["ALGO/USD"]["coingecko"]["price"]
-                # Simulate Tinyman price with larger variance (-1% to +1%) for testing
-                variance = (rand() - 0.5) * 0.02  # -1% to +1% (increased from 0.01)
-                tinyman_price = base_price * (1.0 + variance)
-                
+            pool_quote = _fetch_tinyman_pool_quote()
+            if pool_quote !== nothing
+                if !haskey(prices, "ALGO/USD")
+                    prices["ALGO/USD"] = Dict{String, Any}()
+                end
                 prices["ALGO/USD"]["tinyman"] = Dict(
-                    "price" => tinyman_price,
-                    "volume_24h" => 850000.0 + rand() * 200000.0,  # Simulated volume
-                    "change_24h" => get(prices["ALGO/USD"]["coingecko"], "change_24h", 0.0) + (rand() - 0.5) * 0.5,
-                    "last_updated" => string(now())
+                    "price" => pool_quote.price,
+                    "volume_24h" => 0.0,  # Pool state carries no volume
+                    "change_24h" => 0.0,
+                    "reserves" => Dict("base" => pool_quote.algo_reserves, "quote" => pool_quote.usdc_reserves),
+                    "last_updated" => string(now()),
+                    "timestamp" => _source_timestamp(),
+                    "synthetic" => false
                 )
             end
         catch tinyman_err
-            @warn "Tinyman simulation failed" error=tinyman_err
+            @warn "Tinyman pool fetch failed" error=tinyman_err
+        end
+
+        if !haskey(get(prices, "ALGO/USD", Dict()), "tinyman")
+            @info "Simulating Tinyman ALGO/USD price..."
+            try
+                if haskey(prices, "ALGO/USD") && haskey(prices["ALGO/USD"], "coingecko")
+                    base_price = prices["ALGO/USD"]["coingecko"]["price"]
+                    # Simulate Tinyman price with larger variance (-1% to +1%) for testing
+                    variance = (rand() - 0.5) * 0.02  # -1% to +1% (increased from 0.01)
+                    tinyman_price = base_price * (1.0 + variance)
+
+                    prices["ALGO/USD"]["tinyman"] = Dict(
+                        "price" => tinyman_price,
+                        "volume_24h" => 850000.0 + rand() * 200000.0,  # Simulated volume
+                        "change_24h" => get(prices["ALGO/USD"]["coingecko"], "change_24h", 0.0) + (rand() - 0.5) * 0.5,
+                        "last_updated" => string(now()),
+                        "timestamp" => _source_timestamp(),
+                        "synthetic" => true  # Derived from CoinGecko, not a real Tinyman quote
+                    )
+                end
+            catch tinyman_err
+                @warn "Tinyman simulation failed" error=tinyman_err
+            end
         end
         
         @info "Fetched ALGO/USD from $(length(get(prices, "ALGO/USD", Dict()))) exchanges"
@@ -531,6 +600,11 @@ function handle_update_user_profile(req::HTTP.Request)
         if haskey(body, :account_info)
             AlgoFiUsers.update_user_account_info(wallet_address, body.account_info)
         end
+        if haskey(body, :settings)
+            # account_info is owned by the wallet refresh above, never by client settings
+            settings_patch = Dict{String, Any}(String(k) => v for (k, v) in pairs(body.settings) if String(k) != "account_info")
+            AlgoFiUsers.update_user_settings(wallet_address, settings_patch)
+        end
         response = HTTP.Response(200, JSON3.write(Dict("message" => "Profile updated successfully")))
         return add_cors_headers(response)
         
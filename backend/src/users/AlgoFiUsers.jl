@@ -84,12 +84,16 @@ function create_user(wallet_address::String, account_info::Dict{String, Any})::U
         "account_info" => account_info
     )
     
+    # On login the defaults only fill keys the user has never saved: stored settings such as
+    # the watchlist are kept, and account_info is refreshed from the wallet
     query = """
         INSERT INTO users (wallet_address, settings, last_login)
         VALUES (\$1, \$2, NOW())
         ON CONFLICT (wallet_address)
         DO UPDATE SET 
-            settings = EXCLUDED.settings,
+            settings = EXCLUDED.settings
+                || COALESCE(users.settings, '{}')
+                || jsonb_build_object('account_info', EXCLUDED.settings->'account_info'),
             last_login = NOW()
         RETURNING wallet_address, created_at, last_login, settings, is_active
     """
@@ -147,6 +151,18 @@ function update_user_account_info(wallet_address::String, account_info::Dict{Str
     execute(conn, query, [wallet_address, JSON3.write(patch_json)])
 end
 
+function update_user_settings(wallet_address::String, settings_patch::Dict{String, Any})
+    conn = get_connection()
+    
+    # Shallow merge: each top-level key in the patch (e.g. "watchlist") replaces the stored one
+    query = """
+        UPDATE users 
+        SET settings = COALESCE(settings, '{}') || (\$2)
+        WHERE wallet_address = \$1
+    """
+    execute(conn, query, [wallet_address, JSON3.write(settings_patch)])
+end
+
 function get_user_performance(wallet_address::String, days::Int = 30)::Vector{UserPerformance}
     conn = get_connection()
     
@@ -28,13 +28,74 @@ function makeHttpsRequest(url, options = {}) {
     });
 }
 
+// Source time of a quote: the upstream's own timestamp when it sends one,
+// otherwise the moment we received it
+function sourceTimestamp(upstreamValue) {
+    if (upstreamValue !== undefined && upstreamValue !== null) {
+        // Epoch seconds or milliseconds, or an ISO string
+        const time = typeof upstreamValue === 'number'
+            ? new Date(upstreamValue < 1e12 ? upstreamValue * 1000 : upstreamValue)
+            : new Date(upstreamValue);
+        if (!isNaN(time.getTime())) return time.toISOString();
+    }
+    return new Date().toISOString();
+}
+
+// Upstream health per service, reported by /health
+// Every failed upstream request is answered with mock data, so the error rate is also the synthetic share
+const HEALTH_WINDOW = 100; // Most recent upstream requests kept per service
+const upstreamHealth = {};
+
+function recordUpstream(service, startedAt, error = null) {
+    const health = upstreamHealth[service] || (upstreamHealth[service] = {
+        requests: [],
+        lastSuccess: null,
+        lastError: null,
+        lastErrorMessage: null
+    });
+    const now = Date.now();
+    health.requests = [...health.requests, { ok: !error, latencyMs: now - startedAt }].slice(-HEALTH_WINDOW);
+    if (error) {
+        health.lastError = new Date(now).toISOString();
+        health.lastErrorMessage = error.message || String(error);
+    } else {
+        health.lastSuccess = new Date(now).toISOString();
+    }
+}
+
+function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+function summarizeUpstream(service) {
+    const health = upstreamHealth[service];
+    if (!health) return { requests: 0, status: 'unknown' };
+
+    const latencies = health.requests.map(r => r.latencyMs).sort((a, b) => a - b);
+    const errorRate = health.requests.filter(r => !r.ok).length / health.requests.length;
+    return {
+        requests: health.requests.length,
+        status: errorRate >= 0.9 ? 'down' : errorRate > 0.2 ? 'degraded' : 'ok',
+        error_rate: errorRate,
+        latency_ms: { p50: percentile(latencies, 0.5), p95: percentile(latencies, 0.95), p99: percentile(latencies, 0.99) },
+        last_success: health.lastSuccess,
+        last_error: health.lastError,
+        last_error_message: health.lastErrorMessage
+    };
+}
+
 // Mock data fallback functions
+// Every mock quote is flagged synthetic so consumers never trade against it
 function getMockTinymanData() {
     return {
         price: 0.20 + (Math.random() - 0.5) * 0.02, // ±1% variation
         volume_24h: 850000 + Math.random() * 200000,
         change_24h: (Math.random() - 0.5) * 5,
-        last_updated: new Date().toISOString()
+        last_updated: new Date().toISOString(),
+        timestamp: new Date().toISOString(),
+        synthetic: true,
+        source: 'mock_fallback'
     };
 }
 
@@ -43,7 +104,10 @@ function getMockVestigeData() {
         price: 0.21 + (Math.random() - 0.5) * 0.02, // ±1% variation
         volume_24h: 650000 + Math.random() * 150000,
         change_24h: (Math.random() - 0.5) * 4,
-        last_updated: new Date().toISOString()
+        last_updated: new Date().toISOString(),
+        timestamp: new Date().toISOString(),
+        synthetic: true,
+        source: 'mock_fallback'
     };
 }
 
@@ -52,13 +116,17 @@ function getMockUltradeData() {
         price: 0.205 + (Math.random() - 0.5) * 0.02, // ±1% variation
         volume_24h: 450000 + Math.random() * 100000,
         change_24h: (Math.random() - 0.5) * 3,
-        last_updated: new Date().toISOString()
+        last_updated: new Date().toISOString(),
+        timestamp: new Date().toISOString(),
+        synthetic: true,
+        source: 'mock_fallback'
     };
 }
 
 // API handlers using real endpoints
 async function handleTinymanPrice(req, res) {
     console.log('Handling Tinyman price request...');
+    const startedAt = Date.now();
     
     try {
         // Use Tinyman Analytics API
@@ -74,9 +142,12 @@ async function handleTinymanPrice(req, res) {
                 volume_24h: parseFloat(pool.volume_24h || 850000),
                 change_24h: parseFloat(pool.change_24h || 0),
                 last_updated: new Date().toISOString(),
+                timestamp: sourceTimestamp(pool.updated_at ?? pool.last_updated),
+                synthetic: false,
                 source: 'tinyman_api'
             };
             
+            recordUpstream('tinyman', startedAt);
             res.writeHead(200, { 'Content-Type': 'application/json' });
             res.end(JSON.stringify({ success: true, data }));
             return;
@@ -86,14 +157,16 @@ async function handleTinymanPrice(req, res) {
         
     } catch (error) {
         console.error('Tinyman API error:', error);
+        recordUpstream('tinyman', startedAt, error);
         const data = getMockTinymanData();
         res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: true, data, source: 'mock_fallback' }));
+        res.end(JSON.stringify({ success: true, data, source: 'mock_fallback', synthetic: true }));
     }
 }
 
 async function handleVestigePrice(req, res) {
     console.log('Handling Vestige price request...');
+    const startedAt = Date.now();
     
     try {
         // Use Vestige API with proper parameters
@@ -117,9 +190,12 @@ async function handleVestigePrice(req, res) {
                     volume_24h: parseFloat(algoUsdcPool.volume_24h || 650000),
                     change_24h: parseFloat(algoUsdcPool.change_24h || 0),
                     last_updated: new Date().toISOString(),
+                    timestamp: sourceTimestamp(algoUsdcPool.updated_at ?? algoUsdcPool.last_updated),
+                    synthetic: false,
                     source: 'vestige_api'
                 };
                 
+                recordUpstream('vestige', startedAt);
                 res.writeHead(200, { 'Content-Type': 'application/json' });
                 res.end(JSON.stringify({ success: true, data }));
                 return;
@@ -130,14 +206,16 @@ async function handleVestigePrice(req, res) {
         
     } catch (error) {
         console.error('Vestige API error:', error);
+        recordUpstream('vestige', startedAt, error);
         const data = getMockVestigeData();
         res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: true, data, source: 'mock_fallback' }));
+        res.end(JSON.stringify({ success: true, data, source: 'mock_fallback', synthetic: true }));
     }
 }
 
 async function handleUltradePrice(req, res) {
     console.log('Handling Ultrade price request...');
+    const startedAt = Date.now();
     
     try {
         // Use Ultrade market price API
@@ -159,9 +237,12 @@ async function handleUltradePrice(req, res) {
                 volume_24h: parseFloat(result.volume_24h || 450000),
                 change_24h: parseFloat(result.change_24h || 0),
                 last_updated: new Date().toISOString(),
+                timestamp: sourceTimestamp(result.timestamp ?? result.updatedAt),
+                synthetic: false,
                 source: 'ultrade_api'
             };
             
+            recordUpstream('ultrade', startedAt);
             res.writeHead(200, { 'Content-Type': 'application/json' });
             res.end(JSON.stringify({ success: true, data }));
             return;
@@ -171,9 +252,10 @@ async function handleUltradePrice(req, res) {
         
     } catch (error) {
         console.error('Ultrade API error:', error);
+        recordUpstream('ultrade', startedAt, error);
         const data = getMockUltradeData();
         res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: true, data, source: 'mock_fallback' }));
+        res.end(JSON.stringify({ success: true, data, source: 'mock_fallback', synthetic: true }));
     }
 }
 
@@ -184,7 +266,8 @@ function handleHealth(req, res) {
         status: 'ok', 
         timestamp: new Date().toISOString(),
         services: ['tinyman', 'vestige', 'ultrade'],
-        endpoints: ['/tinyman/price', '/vestige/price', '/ultrade/price']
+        endpoints: ['/tinyman/price', '/vestige/price', '/ultrade/price'],
+        venues: Object.fromEntries(['tinyman', 'vestige', 'ultrade'].map(service => [service, summarizeUpstream(service)]))
     }));
 }
 
@@ -235,7 +318,7 @@ const PORT = 3001;
 server.listen(PORT, () => {
     console.log(`Algorand DEX API Bridge running on http://localhost:${PORT}`);
     console.log('Available endpoints:');
-    console.log('  GET /health - Health check');
+    console.log('  GET /health - Health check with per-venue upstream latency and error rates');
     console.log('  GET /tinyman/price - Tinyman ALGO/USDC price');
     console.log('  GET /vestige/price - Vestige ALGO/USDC price');
     console.log('  GET /ultrade/price - Ultrade ALGO/USDC price');
@@ -4,6 +4,7 @@ import { ThemeProvider, createTheme } from '@mui/material/styles';
 import CssBaseline from '@mui/material/CssBaseline';
 import { Box, CircularProgress } from '@mui/material';
 import { AuthProvider, useAuth } from './contexts/AuthContext';
+import { useAlertFeed } from './hooks/useMarketData';
 
 import Sidebar from './components/Sidebar';
 import Login from './pages/Login';
@@ -105,6 +106,7 @@ function ProtectedRoute({ children }) {
 // Main App Layout
 function AppLayout() {
   const { isConnected } = useAuth();
+  useAlertFeed(isConnected); // Alert rules watch prices on every page, not only the feeds tab
 
   return (
     <Routes>
@@ -0,0 +1,131 @@
+import React, { useMemo } from 'react';
+import {
+  Box,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  Chip,
+  Tooltip,
+  Button
+} from '@mui/material';
+import { TRADE_STATES, TRADE_STATE_LABELS, canTransition, isTradeOpen } from '../services/tradeLifecycle';
+
+const STATE_COLORS = {
+  proposed: 'default',
+  submitted: 'info',
+  partially_filled: 'warning',
+  filled: 'success',
+  failed: 'error',
+  expired: 'default',
+  cancelled: 'default'
+};
+
+const formatTime = (value) => (value ? new Date(value).toLocaleTimeString() : '-');
+
+const describeRoute = (trade) => (
+  trade.legs
+    ? trade.legs.map(leg => `${leg.from}→${leg.to}@${leg.venue}`).join(' · ')
+    : trade.buyExchange ? `${trade.buyExchange} → ${trade.sellExchange}` : trade.kind || trade.type || '-'
+);
+
+const transitionHistory = (trade) => (trade.transitions || [])
+  .map(t => `${formatTime(t.at)} ${TRADE_STATE_LABELS[t.status] || t.status}${t.reason ? `: ${t.reason}` : ''}`)
+  .join('\n');
+
+// Open AI trades plus the most recent closed ones, newest first, with their lifecycle state
+const AITradeList = ({ strategies, onCancel, recentLimit = 10 }) => {
+  const rows = useMemo(() => {
+    const withStrategy = (trade, strategy) => ({ trade, strategy });
+    const open = strategies.flatMap(strategy => strategy.activeTrades.map(trade => withStrategy(trade, strategy)));
+    const closed = strategies
+      .flatMap(strategy => strategy.completedTrades.map(trade => withStrategy(trade, strategy)))
+      .sort((a, b) => new Date(b.trade.completedAt || b.trade.timestamp) - new Date(a.trade.completedAt || a.trade.timestamp))
+      .slice(0, recentLimit);
+    return [...open, ...closed];
+  }, [strategies, recentLimit]);
+
+  if (rows.length === 0) return null;
+
+  return (
+    <Box sx={{ mt: 3 }}>
+      <Typography variant="subtitle1" fontWeight={600} sx={{ mb: 1 }}>
+        AI Trades
+      </Typography>
+      <TableContainer component={Paper} variant="outlined">
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Strategy</TableCell>
+              <TableCell>Trade</TableCell>
+              <TableCell align="right">Amount</TableCell>
+              <TableCell>Status</TableCell>
+              <TableCell>Updated</TableCell>
+              <TableCell align="right">P&L</TableCell>
+              <TableCell align="right">Action</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {rows.map(({ trade, strategy }) => {
+              const lastTransition = trade.transitions?.[trade.transitions.length - 1];
+              const cancellable = trade.mode !== 'live' && canTransition(trade, TRADE_STATES.CANCELLED);
+              return (
+                <TableRow key={`${strategy.id}-${trade.id}`}>
+                  <TableCell>
+                    <Typography variant="body2">{strategy.name}</Typography>
+                    <Typography variant="caption" color="text.secondary">
+                      {(trade.mode || 'paper').toUpperCase()}
+                    </Typography>
+                  </TableCell>
+                  <TableCell>
+                    <Typography variant="body2">{trade.pair}</Typography>
+                    <Typography variant="caption" color="text.secondary">{describeRoute(trade)}</Typography>
+                  </TableCell>
+                  <TableCell align="right">{Number(trade.amount || 0).toFixed(2)} ALGO</TableCell>
+                  <TableCell>
+                    <Tooltip title={<span style={{ whiteSpace: 'pre-line' }}>{transitionHistory(trade)}</span>}>
+                      <Chip
+                        size="small"
+                        label={trade.status === TRADE_STATES.PARTIALLY_FILLED
+                          ? `${TRADE_STATE_LABELS[trade.status]} ${trade.filledLegs}/${trade.legCount}`
+                          : TRADE_STATE_LABELS[trade.status] || trade.status}
+                        color={STATE_COLORS[trade.status] || 'default'}
+                        variant={isTradeOpen(trade) ? 'outlined' : 'filled'}
+                      />
+                    </Tooltip>
+                    {trade.failureReason && (
+                      <Typography variant="caption" color="text.secondary" display="block" sx={{ maxWidth: 240 }}>
+                        {trade.failureReason}
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell>{formatTime(lastTransition?.at || trade.timestamp)}</TableCell>
+                  <TableCell align="right">
+                    {trade.status === TRADE_STATES.FILLED ? (
+                      <Typography variant="body2" color={trade.actualProfit >= 0 ? 'success.main' : 'error.main'}>
+                        {trade.actualProfit >= 0 ? '+' : ''}{trade.actualProfit.toFixed(4)}
+                      </Typography>
+                    ) : '-'}
+                  </TableCell>
+                  <TableCell align="right">
+                    {cancellable && (
+                      <Button size="small" color="warning" onClick={() => onCancel(strategy.id, trade.id)}>
+                        Cancel
+                      </Button>
+                    )}
+                  </TableCell>
+                </TableRow>
+              );
+            })}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Box>
+  );
+};
+
+export default AITradeList;
@@ -0,0 +1,242 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Box,
+  Card,
+  CardContent,
+  Typography,
+  TextField,
+  MenuItem,
+  Button,
+  Grid,
+  Alert,
+  Switch,
+  IconButton,
+  Tooltip,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper
+} from '@mui/material';
+import { NotificationsActive, Delete as DeleteIcon } from '@mui/icons-material';
+import {
+  priceAlerts,
+  ALERT_TYPES,
+  MEDIAN_VENUE,
+  DEFAULT_ALERT_COOLDOWN_MS,
+  describeRule
+} from '../services/priceAlerts';
+import { VENUES, getVenueLabel } from '../config/venues';
+import { useWatchlist } from '../hooks/useWatchlist';
+
+const HISTORY_ROWS = 20;
+const VENUE_IDS = Object.keys(VENUES);
+
+const EMPTY_FORM = {
+  type: 'price_above',
+  pair: 'ALGO/USD',
+  venue: MEDIAN_VENUE,
+  // Spread rules only see quotes the price guard accepts; the backend's Tinyman quote is
+  // synthetic unless a pool is configured, so default to two venues it always quotes for real
+  venueA: 'coingecko',
+  venueB: 'htx',
+  threshold: '',
+  windowSec: 300,
+  cooldownMin: DEFAULT_ALERT_COOLDOWN_MS / 60000
+};
+
+const getNotificationPermission = () => (typeof Notification === 'undefined' ? 'unsupported' : Notification.permission);
+
+// Rule management and triggered-alert history for the price alerts service
+const AlertRulesPanel = ({ alerts = priceAlerts }) => {
+  const [watchlist] = useWatchlist();
+  const [state, setState] = useState({ rules: alerts.rules, history: alerts.history });
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [permission, setPermission] = useState(getNotificationPermission);
+
+  useEffect(() => alerts.subscribe(setState), [alerts]);
+
+  const needsThreshold = form.type !== 'stale_feed';
+  const needsWindow = form.type === 'pct_move' || form.type === 'stale_feed';
+  const canAdd = (!needsThreshold || Number(form.threshold) > 0) && (form.type !== 'spread_above' || form.venueA !== form.venueB);
+
+  const setField = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+  const handleAdd = () => {
+    alerts.addRule({
+      type: form.type,
+      pair: form.pair,
+      ...(form.type === 'spread_above'
+        ? { venueA: form.venueA, venueB: form.venueB }
+        : form.type !== 'stale_feed' ? { venue: form.venue } : {}),
+      ...(needsThreshold ? { threshold: Number(form.threshold) } : {}),
+      ...(needsWindow ? { windowMs: Number(form.windowSec) * 1000 } : {}),
+      cooldownMs: Number(form.cooldownMin) * 60000
+    });
+    setForm(prev => ({ ...prev, threshold: '' }));
+  };
+
+  const requestPermission = async () => {
+    try {
+      setPermission(await Notification.requestPermission());
+    } catch (error) {
+      console.error('❌ Notification permission request failed:', error);
+    }
+  };
+
+  return (
+    <Card sx={{ mt: 3 }}>
+      <CardContent>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            <NotificationsActive color="primary" />
+            <Typography variant="h6" fontWeight={600}>
+              Price Alerts
+            </Typography>
+          </Box>
+          {permission === 'default' && (
+            <Button size="small" variant="outlined" onClick={requestPermission}>
+              Enable notifications
+            </Button>
+          )}
+        </Box>
+
+        {permission === 'denied' && (
+          <Alert severity="warning" sx={{ mb: 2 }}>
+            Browser notifications are blocked for this site. Alerts are still recorded below.
+          </Alert>
+        )}
+        {permission === 'unsupported' && (
+          <Alert severity="info" sx={{ mb: 2 }}>
+            This browser has no notification support. Alerts are still recorded below.
+          </Alert>
+        )}
+
+        <Grid container spacing={2} alignItems="center">
+          <Grid item xs={12} sm={4} md={3}>
+            <TextField select fullWidth size="small" label="Rule" value={form.type} onChange={setField('type')}>
+              {Object.entries(ALERT_TYPES).map(([type, { label }]) => (
+                <MenuItem key={type} value={type}>{label}</MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+          <Grid item xs={6} sm={4} md={2}>
+            <TextField select fullWidth size="small" label="Pair" value={form.pair} onChange={setField('pair')}>
+              {watchlist.map(pair => (
+                <MenuItem key={pair} value={pair}>{pair}</MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+          {form.type === 'spread_above' ? (
+            <>
+              <Grid item xs={6} sm={4} md={2}>
+                <TextField select fullWidth size="small" label="Venue A" value={form.venueA} onChange={setField('venueA')}>
+                  {VENUE_IDS.map(venue => <MenuItem key={venue} value={venue}>{getVenueLabel(venue)}</MenuItem>)}
+                </TextField>
+              </Grid>
+              <Grid item xs={6} sm={4} md={2}>
+                <TextField select fullWidth size="small" label="Venue B" value={form.venueB} onChange={setField('venueB')}>
+                  {VENUE_IDS.map(venue => <MenuItem key={venue} value={venue}>{getVenueLabel(venue)}</MenuItem>)}
+                </TextField>
+              </Grid>
+            </>
+          ) : form.type !== 'stale_feed' && (
+            <Grid item xs={6} sm={4} md={2}>
+              <TextField select fullWidth size="small" label="Venue" value={form.venue} onChange={setField('venue')}>
+                <MenuItem value={MEDIAN_VENUE}>Median of venues</MenuItem>
+                {VENUE_IDS.map(venue => <MenuItem key={venue} value={venue}>{getVenueLabel(venue)}</MenuItem>)}
+              </TextField>
+            </Grid>
+          )}
+          {needsThreshold && (
+            <Grid item xs={6} sm={4} md={1.5}>
+              <TextField
+                fullWidth
+                size="small"
+                type="number"
+                label={form.type.startsWith('price') ? 'Price' : '%'}
+                value={form.threshold}
+                onChange={setField('threshold')}
+              />
+            </Grid>
+          )}
+          {needsWindow && (
+            <Grid item xs={6} sm={4} md={1.5}>
+              <TextField fullWidth size="small" type="number" label="Window (s)" value={form.windowSec} onChange={setField('windowSec')} />
+            </Grid>
+          )}
+          <Grid item xs={6} sm={4} md={1.5}>
+            <TextField fullWidth size="small" type="number" label="Cooldown (min)" value={form.cooldownMin} onChange={setField('cooldownMin')} />
+          </Grid>
+          <Grid item xs={6} sm={4} md={1}>
+            <Button fullWidth variant="contained" onClick={handleAdd} disabled={!canAdd}>
+              Add
+            </Button>
+          </Grid>
+        </Grid>
+
+        {state.rules.length > 0 && (
+          <TableContainer component={Paper} variant="outlined" sx={{ mt: 2 }}>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Rule</TableCell>
+                  <TableCell>Cooldown</TableCell>
+                  <TableCell>Last triggered</TableCell>
+                  <TableCell align="right">Enabled</TableCell>
+                  <TableCell />
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {state.rules.map(rule => (
+                  <TableRow key={rule.id}>
+                    <TableCell>{describeRule(rule)}</TableCell>
+                    <TableCell>{Math.round(rule.cooldownMs / 60000)} min</TableCell>
+                    <TableCell>{rule.lastTriggeredAt ? new Date(rule.lastTriggeredAt).toLocaleString() : 'Never'}</TableCell>
+                    <TableCell align="right">
+                      <Switch
+                        size="small"
+                        checked={rule.enabled}
+                        onChange={(e) => alerts.updateRule(rule.id, { enabled: e.target.checked })}
+                      />
+                    </TableCell>
+                    <TableCell align="right">
+                      <Tooltip title="Delete rule">
+                        <IconButton size="small" onClick={() => alerts.removeRule(rule.id)}>
+                          <DeleteIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mt: 3, mb: 1 }}>
+          <Typography variant="subtitle2">Triggered alerts ({state.history.length})</Typography>
+          {state.history.length > 0 && (
+            <Button size="small" onClick={() => alerts.clearHistory()}>Clear</Button>
+          )}
+        </Box>
+        {state.history.length === 0 ? (
+          <Typography variant="body2" color="textSecondary">
+            No alerts triggered yet
+          </Typography>
+        ) : (
+          state.history.slice(0, HISTORY_ROWS).map(alert => (
+            <Typography key={alert.id} variant="caption" display="block">
+              {new Date(alert.triggeredAt).toLocaleString()} · {alert.message}
+              {!alert.notified && ' (not notified)'}
+            </Typography>
+          ))
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default AlertRulesPanel;
@@ -0,0 +1,205 @@
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  Box,
+  Typography,
+  TextField,
+  MenuItem,
+  Paper
+} from '@mui/material';
+import {
+  ComposedChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Brush,
+  ResponsiveContainer
+} from 'recharts';
+import { candleStore, CANDLE_TIMEFRAMES } from '../services/candleStore';
+import { getVenueLabel } from '../config/venues';
+
+const REFRESH_MS = 5000;
+const DEFAULT_VISIBLE_CANDLES = 60;
+const MIN_VISIBLE_CANDLES = 10;
+const UP_COLOR = '#26a69a';
+const DOWN_COLOR = '#ef5350';
+
+const formatCandleTime = (start, timeframe) => (
+  timeframe === '1d'
+    ? new Date(start).toLocaleDateString()
+    : new Date(start).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+);
+
+// Wick from high to low and a body from open to close, drawn over the [low, high] range bar
+const Candle = ({ x, y, width, height, payload }) => {
+  const { open, close, high, low } = payload;
+  const top = Math.min(y, y + height);
+  const span = Math.abs(height);
+  const scale = high > low ? span / (high - low) : 0;
+  const color = close >= open ? UP_COLOR : DOWN_COLOR;
+  const center = x + width / 2;
+  return (
+    <g stroke={color} fill={color}>
+      <line x1={center} x2={center} y1={top} y2={top + span} />
+      <rect
+        x={x + width * 0.15}
+        y={top + (high - Math.max(open, close)) * scale}
+        width={width * 0.7}
+        height={Math.max(1, Math.abs(open - close) * scale)}
+      />
+    </g>
+  );
+};
+
+const CandleTooltip = ({ active, payload }) => {
+  if (!active || !payload?.length) return null;
+  const candle = payload[0].payload;
+  return (
+    <Paper sx={{ p: 1 }}>
+      <Typography variant="caption" display="block" fontWeight="bold">{candle.label}</Typography>
+      <Typography variant="caption" display="block">
+        O {candle.open.toFixed(4)} · H {candle.high.toFixed(4)} · L {candle.low.toFixed(4)} · C {candle.close.toFixed(4)}
+      </Typography>
+      <Typography variant="caption" display="block">
+        Volume {candle.volume.toLocaleString(undefined, { maximumFractionDigits: 0 })} · {candle.ticks} ticks
+      </Typography>
+    </Paper>
+  );
+};
+
+// OHLC candles for one pair from the local candle store. The brush below the chart zooms
+// (drag its edges) and pans (drag the window); the mouse wheel zooms around the window centre.
+const CandlestickChart = ({ pair, liveVenues = [], store = candleStore }) => {
+  const [timeframe, setTimeframe] = useState('5m');
+  const [storedVenues, setStoredVenues] = useState([]);
+  const [venue, setVenue] = useState('');
+  const [candles, setCandles] = useState([]);
+  const [view, setView] = useState(null); // { startIndex, endIndex } into candles
+  const candleCountRef = useRef(0);
+
+  const venues = Array.from(new Set([...liveVenues, ...storedVenues]));
+  const selectedVenue = venues.includes(venue) ? venue : venues[0] || '';
+
+  useEffect(() => {
+    let cancelled = false;
+    store.getVenues(pair)
+      .then(result => {
+        if (!cancelled) setStoredVenues(result);
+      })
+      .catch(error => console.error('❌ Failed to load candle venues:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [pair, store]);
+
+  useEffect(() => {
+    if (!selectedVenue) return undefined;
+    let cancelled = false;
+    const load = () => store.getCandles({ pair, venue: selectedVenue, timeframe })
+      .then(result => {
+        if (cancelled) return;
+        const previousCount = candleCountRef.current;
+        candleCountRef.current = result.length;
+        setCandles(result);
+        // Keep following the newest candle while the view is at the end
+        setView(current => {
+          if (current && current.endIndex < previousCount - 1) return current;
+          const width = current ? current.endIndex - current.startIndex : DEFAULT_VISIBLE_CANDLES - 1;
+          const endIndex = Math.max(0, result.length - 1);
+          return { startIndex: Math.max(0, endIndex - width), endIndex };
+        });
+      })
+      .catch(error => console.error('❌ Failed to load candles:', error));
+
+    candleCountRef.current = 0;
+    setView(null);
+    setCandles([]);
+    load();
+    const interval = setInterval(load, REFRESH_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [pair, selectedVenue, timeframe, store]);
+
+  const data = candles.map(candle => ({
+    ...candle,
+    label: formatCandleTime(candle.start, timeframe),
+    range: [candle.low, candle.high]
+  }));
+  const maxVolume = Math.max(0, ...candles.map(candle => candle.volume));
+  const startIndex = Math.min(view?.startIndex ?? 0, Math.max(0, data.length - 1));
+  const endIndex = Math.min(view?.endIndex ?? data.length - 1, Math.max(0, data.length - 1));
+
+  const handleWheel = (event) => {
+    if (data.length <= MIN_VISIBLE_CANDLES) return;
+    const width = endIndex - startIndex;
+    const nextWidth = Math.round(Math.min(data.length - 1, Math.max(MIN_VISIBLE_CANDLES, width * (event.deltaY > 0 ? 1.2 : 0.8))));
+    const center = (startIndex + endIndex) / 2;
+    const nextStart = Math.max(0, Math.min(data.length - 1 - nextWidth, Math.round(center - nextWidth / 2)));
+    setView({ startIndex: nextStart, endIndex: nextStart + nextWidth });
+  };
+
+  return (
+    <Box>
+      <Box display="flex" gap={2} mb={2}>
+        <TextField
+          select
+          size="small"
+          label="Venue"
+          value={selectedVenue}
+          onChange={(e) => setVenue(e.target.value)}
+          sx={{ minWidth: 160 }}
+          disabled={venues.length === 0}
+        >
+          {venues.map(v => (
+            <MenuItem key={v} value={v}>{getVenueLabel(v)}</MenuItem>
+          ))}
+        </TextField>
+        <TextField
+          select
+          size="small"
+          label="Timeframe"
+          value={timeframe}
+          onChange={(e) => setTimeframe(e.target.value)}
+          sx={{ minWidth: 120 }}
+        >
+          {Object.entries(CANDLE_TIMEFRAMES).map(([id, { label }]) => (
+            <MenuItem key={id} value={id}>{label}</MenuItem>
+          ))}
+        </TextField>
+      </Box>
+
+      {data.length === 0 ? (
+        <Typography variant="body2" color="textSecondary">
+          No {CANDLE_TIMEFRAMES[timeframe].label} candles stored for {pair}{selectedVenue ? ` on ${getVenueLabel(selectedVenue)}` : ''} yet
+        </Typography>
+      ) : (
+        <Box sx={{ height: 360, width: '100%', minWidth: 400 }} onWheel={handleWheel}>
+          <ResponsiveContainer width="100%" height="100%" minWidth={400} minHeight={300}>
+            <ComposedChart data={data}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="label" minTickGap={24} />
+              <YAxis yAxisId="price" domain={['auto', 'auto']} tickFormatter={(value) => value.toFixed(4)} width={70} />
+              {/* Volume sits in the bottom quarter of the plot */}
+              <YAxis yAxisId="volume" orientation="right" hide domain={[0, maxVolume > 0 ? maxVolume * 4 : 1]} />
+              <Tooltip content={<CandleTooltip />} />
+              <Bar yAxisId="volume" dataKey="volume" fill="#90a4ae" fillOpacity={0.4} isAnimationActive={false} />
+              <Bar yAxisId="price" dataKey="range" shape={<Candle />} isAnimationActive={false} />
+              <Brush
+                dataKey="label"
+                height={24}
+                startIndex={startIndex}
+                endIndex={endIndex}
+                onChange={({ startIndex: start, endIndex: end }) => setView({ startIndex: start, endIndex: end })}
+              />
+            </ComposedChart>
+          </ResponsiveContainer>
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default CandlestickChart;
@@ -0,0 +1,256 @@
+import React, { useRef, useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  MenuItem,
+  Grid,
+  Alert,
+  LinearProgress,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  Typography
+} from '@mui/material';
+import { SWEEP_PARAMETERS, MAX_SWEEP_RUNS, buildGrid } from '../services/parameterSweep';
+import { aiEngine } from '../services/aiEngineClient';
+
+const RESULT_ROWS = 10;
+
+const parseValues = (parameter, text) => {
+  const parts = text.split(',').map(part => part.trim()).filter(Boolean);
+  return parameter === 'riskLevel' ? parts : parts.map(Number).filter(Number.isFinite);
+};
+
+const formatParameters = ({ minProfitThreshold, maxTradeAmount, cooldownMs, riskLevel }) => (
+  `${minProfitThreshold}% min · ${maxTradeAmount}% size · ${cooldownMs / 1000}s cooldown · ${riskLevel}`
+);
+
+// Sweeps AI arbitrage settings over recorded prices; recordedSeries is the session's
+// price frames, a backtest JSON file ([{ timestamp, prices }]) can be loaded instead
+const ParameterSweepDialog = ({ open, onClose, recordedSeries, onCreateStrategy }) => {
+  const [valueText, setValueText] = useState(() => Object.fromEntries(
+    Object.entries(SWEEP_PARAMETERS).map(([parameter, { values }]) => [parameter, values.join(', ')])
+  ));
+  const [search, setSearch] = useState('grid');
+  const [samples, setSamples] = useState(30);
+  const [initialAmount, setInitialAmount] = useState(100);
+  const [uploadedSeries, setUploadedSeries] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [results, setResults] = useState(null);
+  const [error, setError] = useState(null);
+  const runIdRef = useRef(0); // Ignores progress from a sweep the dialog has let go of
+
+  const priceSeries = uploadedSeries || recordedSeries || [];
+  const space = Object.fromEntries(
+    Object.keys(SWEEP_PARAMETERS).map(parameter => [parameter, parseValues(parameter, valueText[parameter])])
+  );
+  const runCount = search === 'random' ? samples : buildGrid(space).length;
+  const tooManyRuns = runCount > MAX_SWEEP_RUNS;
+  const running = progress !== null;
+
+  const handleUpload = async (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+    try {
+      const parsed = JSON.parse(await file.text());
+      if (!Array.isArray(parsed)) throw new Error('Expected an array of { timestamp, prices } frames');
+      setUploadedSeries(parsed);
+      setError(null);
+    } catch (uploadError) {
+      setError(`Could not read ${file.name}: ${uploadError.message}`);
+    }
+  };
+
+  const handleRun = async () => {
+    const runId = ++runIdRef.current;
+    setError(null);
+    setResults(null);
+    setProgress({ completed: 0, total: runCount });
+    try {
+      const sweepResults = await aiEngine.runParameterSweep({
+        priceSeries,
+        baseConfig: { name: 'Sweep run', type: 'arbitrage', initialAmount },
+        space,
+        search,
+        samples
+      }, (update) => {
+        if (runIdRef.current === runId) setProgress(update);
+      });
+      if (runIdRef.current === runId) setResults(sweepResults);
+    } catch (sweepError) {
+      if (runIdRef.current === runId) setError(sweepError.message);
+    } finally {
+      if (runIdRef.current === runId) setProgress(null);
+    }
+  };
+
+  const handleStop = () => {
+    aiEngine.cancelParameterSweep();
+  };
+
+  const handleClose = () => {
+    if (running) {
+      runIdRef.current++;
+      aiEngine.cancelParameterSweep();
+      setProgress(null);
+    }
+    onClose();
+  };
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="md" fullWidth>
+      <DialogTitle>Optimise AI Strategy Settings</DialogTitle>
+      <DialogContent>
+        <Alert severity={priceSeries.length > 1 ? 'info' : 'warning'} sx={{ mb: 2 }}>
+          {uploadedSeries
+            ? `Using ${uploadedSeries.length} uploaded price frames.`
+            : `Using ${priceSeries.length} price frames recorded this session.`}
+          {priceSeries.length <= 1 && ' Keep the price feed running or load a recorded series to sweep.'}
+        </Alert>
+
+        <Grid container spacing={2}>
+          {Object.entries(SWEEP_PARAMETERS).map(([parameter, { label }]) => (
+            <Grid item xs={12} sm={6} key={parameter}>
+              <TextField
+                fullWidth
+                size="small"
+                label={label}
+                value={valueText[parameter]}
+                onChange={(e) => setValueText(prev => ({ ...prev, [parameter]: e.target.value }))}
+                helperText={`${space[parameter].length} values, comma separated`}
+                disabled={running}
+              />
+            </Grid>
+          ))}
+          <Grid item xs={6} sm={3}>
+            <TextField
+              select
+              fullWidth
+              size="small"
+              label="Search"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              disabled={running}
+            >
+              <MenuItem value="grid">Grid</MenuItem>
+              <MenuItem value="random">Random</MenuItem>
+            </TextField>
+          </Grid>
+          <Grid item xs={6} sm={3}>
+            <TextField
+              fullWidth
+              size="small"
+              type="number"
+              label="Random samples"
+              value={samples}
+              onChange={(e) => setSamples(Math.max(1, Number(e.target.value) || 1))}
+              disabled={running || search !== 'random'}
+            />
+          </Grid>
+          <Grid item xs={6} sm={3}>
+            <TextField
+              fullWidth
+              size="small"
+              type="number"
+              label="Capital (ALGO)"
+              value={initialAmount}
+              onChange={(e) => setInitialAmount(Math.max(1, Number(e.target.value) || 1))}
+              disabled={running}
+            />
+          </Grid>
+          <Grid item xs={6} sm={3}>
+            <Button component="label" variant="outlined" fullWidth disabled={running}>
+              Load series
+              <input hidden type="file" accept="application/json" onChange={handleUpload} />
+            </Button>
+          </Grid>
+        </Grid>
+
+        {tooManyRuns && !running && (
+          <Alert severity="warning" sx={{ mt: 2 }}>
+            {runCount} runs is over the limit of {MAX_SWEEP_RUNS}. Use fewer values or random search.
+          </Alert>
+        )}
+        {error && <Alert severity="error" sx={{ mt: 2 }}>{error}</Alert>}
+
+        {running && (
+          <>
+            <LinearProgress
+              variant="determinate"
+              value={progress.total > 0 ? (progress.completed / progress.total) * 100 : 0}
+              sx={{ mt: 2 }}
+            />
+            <Typography variant="caption" color="text.secondary">
+              {progress.completed} / {progress.total} runs
+            </Typography>
+          </>
+        )}
+
+        {results && (
+          <TableContainer component={Paper} variant="outlined" sx={{ mt: 2 }}>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Settings</TableCell>
+                  <TableCell align="right">Return/DD</TableCell>
+                  <TableCell align="right">Return</TableCell>
+                  <TableCell align="right">Max DD</TableCell>
+                  <TableCell align="right">Sharpe</TableCell>
+                  <TableCell align="right">Trades</TableCell>
+                  <TableCell align="right">Win</TableCell>
+                  <TableCell />
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {results.slice(0, RESULT_ROWS).map((result, index) => (
+                  <TableRow key={JSON.stringify(result.parameters)} selected={index === 0}>
+                    <TableCell>{formatParameters(result.parameters)}</TableCell>
+                    <TableCell align="right">{result.score.toFixed(2)}</TableCell>
+                    <TableCell align="right">{result.totalReturnPct.toFixed(2)}%</TableCell>
+                    <TableCell align="right">{result.maxDrawdownPct.toFixed(2)}%</TableCell>
+                    <TableCell align="right">{result.sharpe.toFixed(2)}</TableCell>
+                    <TableCell align="right">{result.tradeCount}</TableCell>
+                    <TableCell align="right">{result.winRate.toFixed(0)}%</TableCell>
+                    <TableCell align="right">
+                      <Button
+                        size="small"
+                        variant={index === 0 ? 'contained' : 'text'}
+                        onClick={() => onCreateStrategy(result.config)}
+                      >
+                        Create
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose}>Close</Button>
+        {running ? (
+          <Button color="warning" onClick={handleStop}>Stop</Button>
+        ) : (
+          <Button
+            variant="contained"
+            onClick={handleRun}
+            disabled={priceSeries.length <= 1 || runCount === 0 || tooManyRuns}
+          >
+            Run {runCount} backtests
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ParameterSweepDialog;
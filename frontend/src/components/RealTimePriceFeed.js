@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState } from 'react';
 import {
   Card,
   CardContent,
@@ -15,7 +15,9 @@ import {
   Paper,
   IconButton,
   Tooltip,
-  Alert
+  Alert,
+  Autocomplete,
+  TextField
 } from '@mui/material';
 import {
   Timeline,
@@ -25,183 +27,55 @@ import {
   SignalCellularAlt,
   SignalCellularConnectedNoInternet0Bar
 } from '@mui/icons-material';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip as RechartsTooltip, Legend, ResponsiveContainer } from 'recharts';
-import algofiAPI from '../services/algofiAPI';
+import { STREAM_STATES } from '../services/priceStream';
+import { marketData, PAUSE_REASONS } from '../services/marketDataStore';
+import CandlestickChart from './CandlestickChart';
+import VenueHealthPanel from './VenueHealthPanel';
+import SpreadMatrix from './SpreadMatrix';
+import { getVenue, getVenueLabel } from '../config/venues';
+import { getQuoteTimestamp } from '../services/priceGuard';
+import { useWatchlist, PINNED_PAIRS, SUGGESTED_PAIRS, normalizePair } from '../hooks/useWatchlist';
+import { usePrices, useOpportunities, useMarketStatus } from '../hooks/useMarketData';
 
-const RealTimePriceFeed = ({ onOpportunityFound, onPriceUpdate }) => {
-  const [priceData, setPriceData] = useState({});
-  const [streamingStatus, setStreamingStatus] = useState({
-    active: false,
-    connections: [],
-    lastUpdate: null
-  });
-  const [chartData, setChartData] = useState([]);
-  const [opportunities, setOpportunities] = useState([]);
-  const [error, setError] = useState(null);
-  const intervalRef = useRef(null);
+const VENUE_TYPE_COLORS = { dex: 'success', cex: 'warning', reference: 'info' };
 
-  // Filter function for ALGO/USD only
-  const filterAlgoUsdOnly = (prices) => {
-    const filtered = {};
-    // Only keep ALGO/USD pair
-    if (prices['ALGO/USD']) {
-      filtered['ALGO/USD'] = prices['ALGO/USD'];
-    }
-    return filtered;
-  };
-
-  // Fetch real-time prices from backend API
-  const fetchRealPrices = async () => {
-    try {
-      console.log('🔄 Fetching ALGO/USD prices...');
-      const response = await algofiAPI.getCurrentPrices();
-      const allPrices = response.prices || response; // Handle both response formats
-      
-      // Filter for ALGO/USD only
-      const prices = filterAlgoUsdOnly(allPrices);
-      
-      console.log('📊 ALGO/USD multi-exchange prices:', prices);
-      console.log('📊 Full response:', response);
-      
-      if (prices && typeof prices === 'object' && Object.keys(prices).length > 0) {
-        const timestamp = new Date();
-        
-        // Add timestamp to each price entry
-        const timestampedPrices = {};
-        Object.entries(prices).forEach(([pair, dexes]) => {
-          if (dexes && typeof dexes === 'object') {
-            timestampedPrices[pair] = {};
-            Object.entries(dexes).forEach(([dex, data]) => {
-              timestampedPrices[pair][dex] = {
-                ...data,
-                timestamp,
-                fee: 0.003 // Default fee, could come from API
-              };
-            });
-          }
-        });
-        
-        setPriceData(timestampedPrices);
-        updateChartData(timestampedPrices, timestamp);
-        detectArbitrageOpportunities(timestampedPrices, timestamp);
-        
-        // Notify parent component about price updates
-        if (onPriceUpdate) {
-          onPriceUpdate(timestampedPrices);
-        }
-        
-        setStreamingStatus(prev => ({
-          ...prev,
-          lastUpdate: timestamp,
-          connections: Object.keys(timestampedPrices).flatMap(pair => 
-            Object.keys(timestampedPrices[pair]).map(dex => `${dex}-${pair}`)
-          )
-        }));
-        
-        setError(null);
-        console.log('✅ Successfully processed price data:', Object.keys(timestampedPrices));
-      } else {
-        console.warn('⚠️ No valid price data received. Response:', response);
-        console.warn('⚠️ Prices object:', prices);
-        setError('No price data available from backend');
-      }
-    } catch (error) {
-      console.error('❌ Failed to fetch real-time prices:', error);
-      console.error('❌ Error details:', error.stack);
-      setError(`Failed to fetch real-time prices: ${error.message}`);
-    }
-  };
-
-  // Start real-time price updates
-  const startPriceFeed = () => {
-    if (intervalRef.current) return;
-
-    console.log('🚀 Starting real-time price feed...');
-    setStreamingStatus(prev => ({ ...prev, active: true, lastUpdate: new Date() }));
-
-    // Initial fetch
-    fetchRealPrices();
-
-    // Set up interval to fetch prices every 5 seconds
-    intervalRef.current = setInterval(() => {
-      fetchRealPrices();
-    }, 5000); // 5 second updates for real-time feel
-  };
-
-  // Stop price feed
-  const stopPriceFeed = () => {
-    if (intervalRef.current) {
-      clearInterval(intervalRef.current);
-      intervalRef.current = null;
-    }
-    setStreamingStatus(prev => ({ ...prev, active: false }));
-  };
-
-  // Update chart data
-  const updateChartData = (newPriceData, timestamp) => {
-    const chartPoint = {
-      timestamp: timestamp.toLocaleTimeString(),
-      'ALGO/USD-coingecko': newPriceData['ALGO/USD']?.coingecko?.price,
-      'ALGO/USD-htx': newPriceData['ALGO/USD']?.htx?.price,
-      'ALGO/USD-tinyman': newPriceData['ALGO/USD']?.tinyman?.price,
-    };
-
-    setChartData(prev => {
-      const newData = [...prev, chartPoint];
-      // Keep only last 20 points
-      return newData.slice(-20);
-    });
-  };
-
-  // Detect arbitrage opportunities
-  const detectArbitrageOpportunities = (priceData, timestamp) => {
-    const newOpportunities = [];
-
-    Object.entries(priceData).forEach(([pair, dexes]) => {
-      const dexList = Object.entries(dexes);
-      
-      // Compare all DEX pairs
-      for (let i = 0; i < dexList.length; i++) {
-        for (let j = i + 1; j < dexList.length; j++) {
-          const [dex1, data1] = dexList[i];
-          const [dex2, data2] = dexList[j];
-          
-          const spreadPct = ((data2.price - data1.price) / data1.price) * 100;
-          const totalFees = data1.fee + data2.fee;
-          const netProfitPct = Math.abs(spreadPct) - (totalFees * 100);
-          
-          if (netProfitPct > 0.5) { // Minimum 0.5% profit after fees
-            newOpportunities.push({
-              id: `${pair}-${dex1}-${dex2}-${timestamp.getTime()}`,
-              pair,
-              buyDex: spreadPct > 0 ? dex1 : dex2,
-              sellDex: spreadPct > 0 ? dex2 : dex1,
-              buyPrice: spreadPct > 0 ? data1.price : data2.price,
-              sellPrice: spreadPct > 0 ? data2.price : data1.price,
-              spreadPct: Math.abs(spreadPct),
-              netProfitPct,
-              timestamp,
-              expiresAt: new Date(timestamp.getTime() + 30000) // 30 seconds
-            });
-          }
-        }
-      }
-    });
+// Chip label and colour for the transport state the price stream reports
+const describeStreamState = ({ state, transport, failures, paused }) => {
+  if (paused === PAUSE_REASONS.HIDDEN) {
+    return { label: 'Paused · tab hidden', color: 'default', live: false };
+  }
+  if (paused === PAUSE_REASONS.MANUAL) {
+    return { label: 'Paused', color: 'default', live: false };
+  }
+  switch (state) {
+    case STREAM_STATES.STREAMING:
+      return { label: `Live · ${transport === 'socketio' ? 'socket.io' : 'SSE'}`, color: 'success', live: true };
+    case STREAM_STATES.CONNECTING:
+      return { label: 'Connecting…', color: 'info', live: false };
+    case STREAM_STATES.RECONNECTING:
+      return { label: `Reconnecting (attempt ${failures + 1})`, color: 'warning', live: false };
+    case STREAM_STATES.POLLING:
+      return { label: transport === 'polling' ? 'Polling' : 'Polling · stream down', color: 'warning', live: true };
+    default:
+      return { label: 'Disconnected', color: 'error', live: false };
+  }
+};
 
-    if (newOpportunities.length > 0) {
-      setOpportunities(prev => {
-        const updated = [...prev, ...newOpportunities];
-        // Remove expired opportunities
-        const now = new Date();
-        return updated.filter(opp => opp.expiresAt > now);
-      });
+// Live quotes, opportunities and candles for the watchlist, read from the shared market data store
+const RealTimePriceFeed = () => {
+  const [watchlist, setWatchlist] = useWatchlist();
+  const [watchlistError, setWatchlistError] = useState(null);
+  const watched = usePrices(watchlist);
+  const opportunities = useOpportunities(watchlist);
+  const streamingStatus = useMarketStatus();
+  const active = streamingStatus.paused !== PAUSE_REASONS.MANUAL;
 
-      // Notify parent component
-      if (onOpportunityFound) {
-        newOpportunities.forEach(opp => onOpportunityFound(opp));
-      }
-    }
-  };
+  const priceData = Object.fromEntries(Object.entries(watched).map(([pair, { quotes }]) => [pair, quotes]));
+  const rejectedQuotes = Object.values(watched).flatMap(({ rejected }) => rejected);
+  const lastUpdate = Object.values(watched).reduce(
+    (latest, { updatedAt }) => (!latest || updatedAt > latest ? updatedAt : latest),
+    null
+  );
 
   // Format price with proper decimals
   const formatPrice = (price) => {
@@ -215,32 +89,44 @@ const RealTimePriceFeed = ({ onOpportunityFound, onPriceUpdate }) => {
     return current > previous ? 'success.main' : 'error.main';
   };
 
-  useEffect(() => {
-    // Auto-start price feed
-    startPriceFeed();
-    
-    return () => {
-      stopPriceFeed();
-    };
-  }, []);
+  const venueCount = new Set(Object.values(priceData).flatMap(venues => Object.keys(venues))).size;
 
-  const ConnectionStatus = () => (
-    <Box display="flex" alignItems="center" gap={1}>
-      {streamingStatus.active ? (
-        <SignalCellularAlt color="success" />
-      ) : (
-        <SignalCellularConnectedNoInternet0Bar color="error" />
-      )}
-      <Typography variant="body2">
-        {streamingStatus.active ? 'Live' : 'Disconnected'}
-      </Typography>
-      {streamingStatus.lastUpdate && (
-        <Typography variant="caption" color="textSecondary">
-          Last: {streamingStatus.lastUpdate.toLocaleTimeString()}
-        </Typography>
-      )}
-    </Box>
-  );
+  const handleWatchlistChange = (event, pairs) => {
+    const invalid = pairs.filter(pair => !normalizePair(pair));
+    setWatchlistError(invalid.length > 0 ? `"${invalid[0]}" is not a pair, use BASE/QUOTE` : null);
+    setWatchlist(pairs.filter(pair => normalizePair(pair)));
+  };
+
+  const ConnectionStatus = () => {
+    const { state, transport, failures, nextRetryAt, gaps, error: streamError } = streamingStatus;
+    const { label, color, live } = describeStreamState(streamingStatus);
+    const details = [
+      `Transport: ${transport === 'socketio' ? 'socket.io' : transport?.toUpperCase() || '-'}`,
+      failures > 0 && `${failures} failed connection attempt${failures === 1 ? '' : 's'}`,
+      nextRetryAt && state !== STREAM_STATES.STOPPED && `Next stream retry ${nextRetryAt.toLocaleTimeString()}`,
+      gaps > 0 && `${gaps} gap${gaps === 1 ? '' : 's'} resynced`,
+      streamError && `Last error: ${streamError}`
+    ].filter(Boolean);
+
+    return (
+      <Box display="flex" alignItems="center" gap={1}>
+        <Tooltip title={details.map(line => <div key={line}>{line}</div>)}>
+          <Chip
+            icon={live ? <SignalCellularAlt /> : <SignalCellularConnectedNoInternet0Bar />}
+            label={label}
+            color={color}
+            size="small"
+            variant={live ? 'filled' : 'outlined'}
+          />
+        </Tooltip>
+        {lastUpdate && (
+          <Typography variant="caption" color="textSecondary">
+            Last: {lastUpdate.toLocaleTimeString()}
+          </Typography>
+        )}
+      </Box>
+    );
+  };
 
   return (
     <Box>
@@ -250,118 +136,179 @@ const RealTimePriceFeed = ({ onOpportunityFound, onPriceUpdate }) => {
           <Box display="flex" justifyContent="space-between" alignItems="center">
             <Box>
               <Typography variant="h6" gutterBottom>
-                ALGO/USD Live Prices
+                Live Prices
               </Typography>
               <Typography variant="body2" color="textSecondary" gutterBottom>
-                Real-time ALGO pricing across CoinGecko, HTX & Tinyman
+                Real-time pricing for {watchlist.length} watched pair{watchlist.length === 1 ? '' : 's'} across {venueCount} venue{venueCount === 1 ? '' : 's'}
               </Typography>
               <ConnectionStatus />
             </Box>
             <Box display="flex" gap={1}>
-              <Tooltip title="Toggle Stream">
+              <Tooltip title={active ? 'Pause live prices' : 'Resume live prices'}>
                 <IconButton 
-                  onClick={streamingStatus.active ? stopPriceFeed : startPriceFeed}
-                  color={streamingStatus.active ? "error" : "primary"}
+                  onClick={() => (active ? marketData.pause() : marketData.resume())}
+                  color={active ? "error" : "primary"}
                 >
-                  {streamingStatus.active ? <Timeline /> : <Refresh />}
+                  {active ? <Timeline /> : <Refresh />}
                 </IconButton>
               </Tooltip>
             </Box>
           </Box>
+          <Autocomplete
+            multiple
+            freeSolo
+            size="small"
+            options={SUGGESTED_PAIRS.filter(pair => !watchlist.includes(pair))}
+            value={watchlist}
+            onChange={handleWatchlistChange}
+            renderTags={(pairs, getTagProps) => pairs.map((pair, index) => {
+              const { key, onDelete, ...tagProps } = getTagProps({ index });
+              return (
+                <Chip
+                  key={key}
+                  label={pair}
+                  size="small"
+                  {...tagProps}
+                  onDelete={PINNED_PAIRS.includes(pair) ? undefined : onDelete}
+                />
+              );
+            })}
+            renderInput={(params) => (
+              <TextField
+                {...params}
+                label="Watchlist"
+                placeholder="Add pair, e.g. goETH/ALGO"
+                error={!!watchlistError}
+                helperText={watchlistError || 'ALGO/USD stays on the list: AI strategies trade it'}
+              />
+            )}
+            sx={{ mt: 2 }}
+          />
         </CardContent>
       </Card>
 
+      <VenueHealthPanel />
+
       <Grid container spacing={2}>
-        {/* Price Data Table */}
+        {/* Price Data Tables, one per watched pair */}
         <Grid item xs={12} md={8}>
-          <Card>
-            <CardContent>
-              <Typography variant="h6" gutterBottom>ALGO/USD Exchange Comparison</Typography>
-              <TableContainer component={Paper} variant="outlined">
-                <Table size="small">
-                  <TableHead>
-                    <TableRow>
-                      <TableCell>Exchange</TableCell>
-                      <TableCell>Price (USD)</TableCell>
-                      <TableCell>24h Volume</TableCell>
-                      <TableCell>24h Change</TableCell>
-                      <TableCell>Spread vs Avg</TableCell>
-                      <TableCell>Last Updated</TableCell>
-                    </TableRow>
-                  </TableHead>
-                  <TableBody>
-                    {Object.entries(priceData).map(([pair, exchanges]) => {
-                      if (pair !== 'ALGO/USD') return null; // Only show ALGO/USD
-                      
-                      // Calculate average price for spread comparison
-                      const exchangeList = Object.entries(exchanges);
-                      const prices = exchangeList.map(([_, data]) => data.price);
-                      const avgPrice = prices.reduce((sum, p) => sum + p, 0) / prices.length;
-                      
-                      return exchangeList.map(([exchangeName, exchangeData]) => {
-                        const price = exchangeData.price || 0;
-                        const volume = exchangeData.volume_24h || 0;
-                        const change = exchangeData.change_24h || 0;
-                        const lastUpdated = exchangeData.last_updated || 'N/A';
-                        
-                        // Calculate spread vs average
-                        const spreadVsAvg = ((price - avgPrice) / avgPrice) * 100;
-                        
-                        return (
-                          <TableRow key={`${pair}-${exchangeName}`}>
-                            <TableCell>
-                              <Box display="flex" alignItems="center" gap={1}>
-                                <Typography variant="body2" fontWeight="bold" sx={{ textTransform: 'capitalize' }}>
-                                  {exchangeName}
-                                </Typography>
-                                {exchangeName === 'coingecko' && <Chip label="CG" size="small" color="info" />}
-                                {exchangeName === 'htx' && <Chip label="HTX" size="small" color="warning" />}
-                                {exchangeName === 'tinyman' && <Chip label="TM" size="small" color="success" />}
-                              </Box>
-                            </TableCell>
-                            <TableCell>
-                              <Typography variant="body1" fontWeight="medium">
-                                ${formatPrice(price)}
-                              </Typography>
-                            </TableCell>
-                            <TableCell>
-                              <Typography variant="body2" color="textSecondary">
-                                ${(volume / 1000000).toFixed(2)}M
-                              </Typography>
-                            </TableCell>
-                            <TableCell>
-                              <Typography 
-                                variant="body2" 
-                                color={change >= 0 ? "success.main" : "error.main"}
-                                fontWeight="medium"
-                              >
-                                {change >= 0 ? '+' : ''}{change.toFixed(2)}%
-                              </Typography>
-                            </TableCell>
-                            <TableCell>
-                              <Chip
-                                label={`${spreadVsAvg >= 0 ? '+' : ''}${spreadVsAvg.toFixed(3)}%`}
-                                size="small"
-                                color={Math.abs(spreadVsAvg) > 0.1 ? 
-                                  (spreadVsAvg > 0 ? "success" : "error") : "default"}
-                                variant="outlined"
-                              />
-                            </TableCell>
-                            <TableCell>
-                              <Typography variant="caption" color="textSecondary">
-                                {typeof lastUpdated === 'string' && lastUpdated.includes('T') ?
-                                  new Date(lastUpdated).toLocaleTimeString() : 'Live'}
-                              </Typography>
-                            </TableCell>
+          {watchlist.map(pair => {
+            const exchanges = priceData[pair];
+            const quoteAsset = pair.split('/')[1];
+
+            // Calculate average price for spread comparison, over accepted quotes only
+            const exchangeList = Object.entries(exchanges || {});
+            const rejectionOf = (exchangeName) => rejectedQuotes.find(q => q.pair === pair && q.venue === exchangeName);
+            const prices = exchangeList
+              .filter(([exchangeName]) => !rejectionOf(exchangeName))
+              .map(([_, data]) => data.price);
+            const avgPrice = prices.length > 0 ? prices.reduce((sum, p) => sum + p, 0) / prices.length : 0;
+            const pairRejections = rejectedQuotes.filter(q => q.pair === pair);
+
+            return (
+              <Card key={pair} sx={{ mb: 2 }}>
+                <CardContent>
+                  <Typography variant="h6" gutterBottom>{pair} Exchange Comparison</Typography>
+                  {exchangeList.length === 0 ? (
+                    <Typography variant="body2" color="textSecondary">
+                      No quotes for {pair} yet
+                    </Typography>
+                  ) : (
+                    <TableContainer component={Paper} variant="outlined">
+                      <Table size="small">
+                        <TableHead>
+                          <TableRow>
+                            <TableCell>Exchange</TableCell>
+                            <TableCell>Price ({quoteAsset})</TableCell>
+                            <TableCell>24h Volume</TableCell>
+                            <TableCell>24h Change</TableCell>
+                            <TableCell>Spread vs Avg</TableCell>
+                            <TableCell>Last Updated</TableCell>
                           </TableRow>
-                        );
-                      });
-                    }).flat().filter(Boolean)}
-                  </TableBody>
-                </Table>
-              </TableContainer>
-            </CardContent>
-          </Card>
+                        </TableHead>
+                        <TableBody>
+                          {exchangeList.map(([exchangeName, exchangeData]) => {
+                            const price = exchangeData.price || 0;
+                            const volume = exchangeData.volume_24h || 0;
+                            const change = exchangeData.change_24h || 0;
+                            const sourceTime = getQuoteTimestamp(exchangeData);
+                            const rejection = rejectionOf(exchangeName);
+                            const venue = getVenue(exchangeName);
+                            
+                            // Calculate spread vs average
+                            const spreadVsAvg = avgPrice > 0 ? ((price - avgPrice) / avgPrice) * 100 : 0;
+                            
+                            return (
+                              <TableRow key={`${pair}-${exchangeName}`} sx={rejection ? { opacity: 0.5 } : undefined}>
+                                <TableCell>
+                                  <Box display="flex" alignItems="center" gap={1}>
+                                    <Typography variant="body2" fontWeight="bold">
+                                      {venue.label}
+                                    </Typography>
+                                    <Chip label={venue.type.toUpperCase()} size="small" color={VENUE_TYPE_COLORS[venue.type] || 'default'} />
+                                    {rejection && (
+                                      <Tooltip title={rejection.reason}>
+                                        <Chip label={rejection.code.toUpperCase()} size="small" color="error" variant="outlined" />
+                                      </Tooltip>
+                                    )}
+                                  </Box>
+                                </TableCell>
+                                <TableCell>
+                                  <Typography variant="body1" fontWeight="medium">
+                                    {quoteAsset.startsWith('USD') ? '$' : ''}{formatPrice(price)}
+                                  </Typography>
+                                </TableCell>
+                                <TableCell>
+                                  <Typography variant="body2" color="textSecondary">
+                                    ${(volume / 1000000).toFixed(2)}M
+                                  </Typography>
+                                </TableCell>
+                                <TableCell>
+                                  <Typography 
+                                    variant="body2" 
+                                    color={change >= 0 ? "success.main" : "error.main"}
+                                    fontWeight="medium"
+                                  >
+                                    {change >= 0 ? '+' : ''}{change.toFixed(2)}%
+                                  </Typography>
+                                </TableCell>
+                                <TableCell>
+                                  <Chip
+                                    label={`${spreadVsAvg >= 0 ? '+' : ''}${spreadVsAvg.toFixed(3)}%`}
+                                    size="small"
+                                    color={Math.abs(spreadVsAvg) > 0.1 ? 
+                                      (spreadVsAvg > 0 ? "success" : "error") : "default"}
+                                    variant="outlined"
+                                  />
+                                </TableCell>
+                                <TableCell>
+                                  <Typography variant="caption" color="textSecondary">
+                                    {sourceTime ? new Date(sourceTime).toLocaleTimeString() : 'Unknown'}
+                                  </Typography>
+                                </TableCell>
+                              </TableRow>
+                            );
+                          })}
+                        </TableBody>
+                      </Table>
+                    </TableContainer>
+                  )}
+                  {pairRejections.length > 0 && (
+                    <Alert severity="warning" sx={{ mt: 2 }}>
+                      <Typography variant="body2" fontWeight="bold">
+                        Ignored for arbitrage ({pairRejections.length})
+                      </Typography>
+                      {pairRejections.map(q => (
+                        <Typography key={`${q.pair}-${q.venue}`} variant="caption" display="block">
+                          {getVenueLabel(q.venue)}{q.price ? ` @ ${formatPrice(q.price)}` : ''}: {q.reason}
+                        </Typography>
+                      ))}
+                    </Alert>
+                  )}
+                </CardContent>
+              </Card>
+            );
+          })}
         </Grid>
 
         {/* Live Opportunities */}
@@ -377,7 +324,7 @@ const RealTimePriceFeed = ({ onOpportunityFound, onPriceUpdate }) => {
                 </Typography>
               ) : (
                 <Box sx={{ maxHeight: 300, overflow: 'auto' }}>
-                  {opportunities.slice(-5).map((opp) => (
+                  {opportunities.slice(0, 5).map((opp) => (
                     <Alert
                       key={opp.id}
                       severity="success"
@@ -388,10 +335,10 @@ const RealTimePriceFeed = ({ onOpportunityFound, onPriceUpdate }) => {
                         {opp.pair}
                       </Typography>
                       <Typography variant="caption" display="block">
-                        Buy: {opp.buyDex} @ {formatPrice(opp.buyPrice)}
+                        Buy: {getVenueLabel(opp.buyVenue)} @ {formatPrice(opp.buyPrice)}
                       </Typography>
                       <Typography variant="caption" display="block">
-                        Sell: {opp.sellDex} @ {formatPrice(opp.sellPrice)}
+                        Sell: {getVenueLabel(opp.sellVenue)} @ {formatPrice(opp.sellPrice)}
                       </Typography>
                       <Typography variant="caption" display="block" color="success.main">
                         Profit: {opp.netProfitPct.toFixed(2)}%
@@ -404,31 +351,30 @@ const RealTimePriceFeed = ({ onOpportunityFound, onPriceUpdate }) => {
           </Card>
         </Grid>
 
-        {/* Price Chart */}
+        {/* Pairwise net spreads between venues */}
         <Grid item xs={12}>
           <Card>
             <CardContent>
-              <Typography variant="h6" gutterBottom>ALGO/USD Price Chart</Typography>
-              <Box sx={{ height: 300, minHeight: 300, width: '100%', minWidth: 400 }}>
-                <ResponsiveContainer width="100%" height="100%" minWidth={400} minHeight={300}>
-                  <LineChart data={chartData}>
-                    <CartesianGrid strokeDasharray="3 3" />
-                    <XAxis dataKey="timestamp" />
-                    <YAxis domain={['dataMin - 0.001', 'dataMax + 0.001']} />
-                    <RechartsTooltip />
-                    <Legend />
-                    <Line type="monotone" dataKey="ALGO/USD-coingecko" stroke="#8884d8" strokeWidth={2} name="CoinGecko" />
-                    <Line type="monotone" dataKey="ALGO/USD-htx" stroke="#82ca9d" strokeWidth={2} name="HTX" />
-                    <Line type="monotone" dataKey="ALGO/USD-tinyman" stroke="#ffc658" strokeWidth={2} name="Tinyman" />
-                  </LineChart>
-                </ResponsiveContainer>
-              </Box>
+              <Typography variant="h6" gutterBottom>Spread Matrix</Typography>
+              <SpreadMatrix pairs={watchlist} />
             </CardContent>
           </Card>
         </Grid>
+
+        {/* Candlestick Charts, one per watched pair */}
+        {watchlist.map(pair => (
+          <Grid item xs={12} key={`${pair}-candles`}>
+            <Card>
+              <CardContent>
+                <Typography variant="h6" gutterBottom>{pair} Candles</Typography>
+                <CandlestickChart pair={pair} liveVenues={Object.keys(priceData[pair] || {})} />
+              </CardContent>
+            </Card>
+          </Grid>
+        ))}
       </Grid>
     </Box>
   );
 };
 
-export default RealTimePriceFeed;
\ No newline at end of file
+export default RealTimePriceFeed;
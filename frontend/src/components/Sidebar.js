@@ -34,6 +34,9 @@ import {
   ContentCopy as CopyIcon,
 } from '@mui/icons-material';
 import { useAuth } from '../contexts/AuthContext';
+import { useVenueHealth } from '../hooks/useVenueHealth';
+import { getOverallHealth } from '../services/venueHealth';
+import { HEALTH_STATE_COLORS } from './VenueHealthPanel';
 
 const drawerWidth = 280;
 
@@ -51,6 +54,9 @@ function Sidebar() {
   const { user, walletAddress, accountInfo, networkStatus, disconnectWallet, refreshAccountInfo } = useAuth();
   const [logoutDialog, setLogoutDialog] = useState(false);
   const [copied, setCopied] = useState(false);
+  const venueHealth = useVenueHealth();
+  const venueState = getOverallHealth(venueHealth.counts);
+  const venueColor = HEALTH_STATE_COLORS[venueState] === 'default' ? 'text.secondary' : `${HEALTH_STATE_COLORS[venueState]}.main`;
 
 
 
@@ -213,6 +219,26 @@ function Sidebar() {
                 fontSize: '0.75rem',
               }}
             />
+
+            {/* Venue health, details in the Live Prices panel */}
+            <Tooltip
+              title={venueHealth.venues.length === 0
+                ? 'No venue has reported yet'
+                : venueHealth.venues.map(({ venue, label, state }) => <div key={venue}>{label}: {state}</div>)}
+            >
+              <Chip
+                icon={<Box sx={{ width: 8, height: 8, borderRadius: '50%', bgcolor: venueColor }} />}
+                label={`Venues ${venueHealth.counts.healthy}/${venueHealth.venues.length} healthy`}
+                variant="outlined"
+                size="small"
+                sx={{
+                  mt: 1,
+                  color: venueColor,
+                  borderColor: venueColor,
+                  fontSize: '0.75rem',
+                }}
+              />
+            </Tooltip>
           </Box>
         </Box>
 
@@ -0,0 +1,133 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Box,
+  Card,
+  CardContent,
+  Typography,
+  TextField,
+  MenuItem,
+  Grid,
+  Alert
+} from '@mui/material';
+import { Timeline } from '@mui/icons-material';
+import {
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer
+} from 'recharts';
+import { aiEngine } from '../services/aiEngineClient';
+import { getVenueLabel } from '../config/venues';
+
+const REFRESH_MS = 15000;
+
+const formatDuration = (ms) => {
+  if (ms === null || ms === undefined) return '-';
+  return ms < 60000 ? `${(ms / 1000).toFixed(0)}s` : `${(ms / 60000).toFixed(1)}m`;
+};
+
+const describePair = (summary) => (
+  `${summary.pair} · ${getVenueLabel(summary.buyVenue)} → ${getVenueLabel(summary.sellVenue)}`
+);
+
+// How long spreads above the opportunity threshold lasted, per venue pair and hour of day
+const SpreadLifetimeChart = ({ engine = aiEngine }) => {
+  const [summaries, setSummaries] = useState([]);
+  const [selectedKey, setSelectedKey] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = () => engine.getSpreadPersistence()
+      .then(result => {
+        if (!cancelled) setSummaries(result || []);
+      })
+      .catch(error => console.error('❌ Failed to load spread persistence:', error));
+
+    load();
+    const interval = setInterval(load, REFRESH_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [engine]);
+
+  const selected = summaries.find(summary => summary.key === selectedKey) || summaries[0];
+
+  return (
+    <Card sx={{ mt: 3 }}>
+      <CardContent>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            <Timeline color="primary" />
+            <Typography variant="h6" fontWeight={600}>
+              Spread Lifetimes
+            </Typography>
+          </Box>
+          {summaries.length > 0 && (
+            <TextField
+              select
+              size="small"
+              value={selected.key}
+              onChange={(e) => setSelectedKey(e.target.value)}
+              sx={{ minWidth: 280 }}
+            >
+              {summaries.map(summary => (
+                <MenuItem key={summary.key} value={summary.key}>
+                  {describePair(summary)} ({summary.samples})
+                </MenuItem>
+              ))}
+            </TextField>
+          )}
+        </Box>
+
+        {!selected ? (
+          <Alert severity="info">
+            No spread has crossed the opportunity threshold and closed yet. Lifetimes appear here as prices stream in.
+          </Alert>
+        ) : (
+          <>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              {selected.samples} spreads · median {formatDuration(selected.medianMs)} · P25 {formatDuration(selected.p25Ms)} ·
+              P75 {formatDuration(selected.p75Ms)} · P90 {formatDuration(selected.p90Ms)}
+              {selected.openSince && ` · open for ${formatDuration(Date.now() - new Date(selected.openSince).getTime())}`}
+            </Typography>
+            <Grid container spacing={3}>
+              <Grid item xs={12} md={6}>
+                <Typography variant="subtitle2" sx={{ mb: 1 }}>Lifetime distribution</Typography>
+                <ResponsiveContainer width="100%" height={220}>
+                  <BarChart data={selected.histogram}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="label" />
+                    <YAxis allowDecimals={false} />
+                    <Tooltip formatter={(value) => [value, 'Spreads']} />
+                    <Bar dataKey="count" fill="#00E5FF" />
+                  </BarChart>
+                </ResponsiveContainer>
+              </Grid>
+              <Grid item xs={12} md={6}>
+                <Typography variant="subtitle2" sx={{ mb: 1 }}>Median lifetime by hour (local time)</Typography>
+                <ResponsiveContainer width="100%" height={220}>
+                  <BarChart data={selected.byHour.map(h => ({ ...h, medianSec: h.medianMs === null ? 0 : h.medianMs / 1000 }))}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="hour" />
+                    <YAxis unit="s" />
+                    <Tooltip
+                      formatter={(value, name, { payload }) => [`${value.toFixed(0)}s (${payload.samples} spreads)`, 'Median']}
+                      labelFormatter={(hour) => `${hour}:00`}
+                    />
+                    <Bar dataKey="medianSec" fill="#FF6D00" />
+                  </BarChart>
+                </ResponsiveContainer>
+              </Grid>
+            </Grid>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default SpreadLifetimeChart;
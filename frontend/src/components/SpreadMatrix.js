@@ -0,0 +1,200 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Box,
+  Typography,
+  TextField,
+  MenuItem,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  Tooltip,
+  Button,
+  IconButton
+} from '@mui/material';
+import { Close, OpenInNew } from '@mui/icons-material';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip as ChartTooltip,
+  ReferenceLine,
+  ResponsiveContainer
+} from 'recharts';
+import { usePrices } from '../hooks/useMarketData';
+import { measureSpread, buildSpreadSeries, getSpreadKey, SPREAD_THRESHOLD_PCT } from '../services/spreadPersistence';
+import { getVenueLabel } from '../config/venues';
+
+const FULL_COLOR_PCT = 1; // Net spread (either sign) at which a cell reaches full colour
+
+// Green above the opportunity threshold, amber when positive but too thin, red when losing
+const getSpreadColor = (netPct) => {
+  if (netPct > SPREAD_THRESHOLD_PCT) {
+    return `rgba(0, 200, 83, ${0.25 + 0.6 * Math.min(1, netPct / FULL_COLOR_PCT)})`;
+  }
+  if (netPct > 0) return 'rgba(255, 179, 0, 0.3)';
+  return `rgba(255, 82, 82, ${0.1 + 0.5 * Math.min(1, -netPct / FULL_COLOR_PCT)})`;
+};
+
+const formatPct = (pct) => `${pct >= 0 ? '+' : ''}${pct.toFixed(3)}%`;
+
+// N×N net spreads for one pair: rows are the venue bought on, columns the venue sold on.
+// Only quotes the price guard accepted are compared; clicking a cell plots that route's history.
+const SpreadMatrix = ({ pairs }) => {
+  const navigate = useNavigate();
+  const [pair, setPair] = useState(pairs[0] || '');
+  const [selected, setSelected] = useState(null); // { pair, buyVenue, sellVenue }
+  const selectedPair = pairs.includes(pair) ? pair : pairs[0] || '';
+  const state = usePrices(selectedPair ? [selectedPair] : [])[selectedPair];
+
+  const quotes = state?.accepted || {};
+  const venues = Object.keys(quotes).sort();
+  const excluded = (state?.rejected || []).map(q => getVenueLabel(q.venue));
+  const route = selected?.pair === selectedPair ? selected : null;
+
+  const series = route
+    ? buildSpreadSeries(state?.history, route.pair, route.buyVenue, route.sellVenue).map(point => ({
+      ...point,
+      label: new Date(point.time).toLocaleTimeString()
+    }))
+    : [];
+
+  return (
+    <Box>
+      <Box display="flex" alignItems="center" gap={2} mb={2}>
+        <TextField
+          select
+          size="small"
+          label="Pair"
+          value={selectedPair}
+          onChange={(e) => setPair(e.target.value)}
+          sx={{ minWidth: 160 }}
+        >
+          {pairs.map(p => <MenuItem key={p} value={p}>{p}</MenuItem>)}
+        </TextField>
+        <Typography variant="caption" color="textSecondary">
+          Net of fees, network and transfer costs · rows buy, columns sell · green above {SPREAD_THRESHOLD_PCT}%
+        </Typography>
+      </Box>
+
+      {venues.length < 2 ? (
+        <Typography variant="body2" color="textSecondary">
+          {selectedPair ? `Fewer than two usable quotes for ${selectedPair} right now` : 'Add a pair to the watchlist'}
+        </Typography>
+      ) : (
+        <TableContainer component={Paper} variant="outlined">
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Buy ↓ / Sell →</TableCell>
+                {venues.map(venue => (
+                  <TableCell key={venue} align="center">{getVenueLabel(venue)}</TableCell>
+                ))}
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {venues.map(buyVenue => (
+                <TableRow key={buyVenue}>
+                  <TableCell>
+                    <Typography variant="body2" fontWeight="bold">{getVenueLabel(buyVenue)}</Typography>
+                  </TableCell>
+                  {venues.map(sellVenue => {
+                    if (buyVenue === sellVenue) {
+                      return <TableCell key={sellVenue} align="center">—</TableCell>;
+                    }
+                    const spread = measureSpread({
+                      pair: selectedPair,
+                      buyVenue,
+                      sellVenue,
+                      buyPrice: quotes[buyVenue].price,
+                      sellPrice: quotes[sellVenue].price
+                    });
+                    const isSelected = route?.buyVenue === buyVenue && route?.sellVenue === sellVenue;
+                    return (
+                      <Tooltip
+                        key={sellVenue}
+                        title={`Buy ${getVenueLabel(buyVenue)} @ ${spread.buyPrice.toFixed(4)}, sell ${getVenueLabel(sellVenue)} @ ${spread.sellPrice.toFixed(4)}: gross ${formatPct(spread.spreadPct)}, costs ${spread.costPct.toFixed(3)}%`}
+                      >
+                        <TableCell
+                          align="center"
+                          onClick={() => setSelected({ pair: selectedPair, buyVenue, sellVenue })}
+                          sx={{
+                            cursor: 'pointer',
+                            bgcolor: getSpreadColor(spread.netProfitPct),
+                            outline: isSelected ? '2px solid' : 'none',
+                            outlineColor: 'primary.main',
+                            fontWeight: spread.netProfitPct > SPREAD_THRESHOLD_PCT ? 'bold' : 'normal'
+                          }}
+                        >
+                          {formatPct(spread.netProfitPct)}
+                        </TableCell>
+                      </Tooltip>
+                    );
+                  })}
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+      {excluded.length > 0 && (
+        <Typography variant="caption" color="textSecondary" display="block" mt={1}>
+          Left out (rejected by the price guard): {excluded.join(', ')}
+        </Typography>
+      )}
+
+      {route && (
+        <Box mt={2}>
+          <Box display="flex" justifyContent="space-between" alignItems="center" mb={1}>
+            <Typography variant="subtitle2">
+              {route.pair}: buy {getVenueLabel(route.buyVenue)} → sell {getVenueLabel(route.sellVenue)}, last hour
+            </Typography>
+            <Box display="flex" alignItems="center" gap={1}>
+              <Button
+                size="small"
+                variant="outlined"
+                startIcon={<OpenInNew />}
+                onClick={() => navigate('/strategies', {
+                  state: { focusSpreadKey: getSpreadKey(route.pair, route.buyVenue, route.sellVenue) }
+                })}
+              >
+                Open in Strategies
+              </Button>
+              <IconButton size="small" onClick={() => setSelected(null)}>
+                <Close fontSize="small" />
+              </IconButton>
+            </Box>
+          </Box>
+          {series.length < 2 ? (
+            <Typography variant="body2" color="textSecondary">
+              Not enough history for this route yet
+            </Typography>
+          ) : (
+            <Box sx={{ height: 240, width: '100%', minWidth: 400 }}>
+              <ResponsiveContainer width="100%" height="100%" minWidth={400} minHeight={200}>
+                <LineChart data={series}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="label" minTickGap={32} />
+                  <YAxis tickFormatter={(value) => `${value.toFixed(2)}%`} width={60} />
+                  <ChartTooltip formatter={(value, name) => [formatPct(value), name]} />
+                  <ReferenceLine y={SPREAD_THRESHOLD_PCT} stroke="#00C853" strokeDasharray="4 4" />
+                  <ReferenceLine y={0} stroke="#B0B7C3" />
+                  <Line type="stepAfter" dataKey="spreadPct" name="Gross" stroke="#90a4ae" dot={false} isAnimationActive={false} />
+                  <Line type="stepAfter" dataKey="netProfitPct" name="Net" stroke="#00E5FF" dot={false} isAnimationActive={false} />
+                </LineChart>
+              </ResponsiveContainer>
+            </Box>
+          )}
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default SpreadMatrix;
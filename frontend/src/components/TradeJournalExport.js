@@ -0,0 +1,154 @@
+import React, { useMemo, useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  MenuItem,
+  Grid,
+  Alert
+} from '@mui/material';
+import { Download } from '@mui/icons-material';
+import {
+  JOURNAL_FORMATS,
+  collectJournalEntries,
+  formatJournal,
+  listJournalPairs
+} from '../services/tradeJournal';
+
+const downloadFile = (content, filename, mimeType) => {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+// Export dialog for AI strategy trade journals; remount (key) to change the preselected strategy
+const TradeJournalExport = ({ open, onClose, strategies, initialStrategyId = '' }) => {
+  const [strategyId, setStrategyId] = useState(initialStrategyId);
+  const [pair, setPair] = useState('');
+  const [fromDate, setFromDate] = useState('');
+  const [toDate, setToDate] = useState('');
+  const [format, setFormat] = useState('csv');
+
+  const filters = useMemo(() => ({
+    strategyId: strategyId || null,
+    pair: pair || null,
+    // Date inputs are local calendar days; include the whole "to" day
+    from: fromDate ? new Date(`${fromDate}T00:00:00`) : null,
+    to: toDate ? new Date(`${toDate}T23:59:59.999`) : null
+  }), [strategyId, pair, fromDate, toDate]);
+
+  const entries = useMemo(() => collectJournalEntries(strategies, filters), [strategies, filters]);
+  const pairs = useMemo(() => listJournalPairs(strategies), [strategies]);
+
+  const handleExport = () => {
+    const { extension, mimeType } = JOURNAL_FORMATS[format];
+    const scope = strategyId ? strategies.find(s => s.id === strategyId)?.name || strategyId : 'all-strategies';
+    const filename = `ai-trade-journal_${scope.replace(/[^a-z0-9]+/gi, '-')}_${new Date().toISOString().slice(0, 10)}.${extension}`;
+
+    downloadFile(formatJournal(format, entries, filters), filename, mimeType);
+    console.log(`📤 Exported ${entries.length} trades as ${format}: ${filename}`);
+    onClose();
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Export Trade Journal</DialogTitle>
+      <DialogContent>
+        <Grid container spacing={2} sx={{ mt: 0.5 }}>
+          <Grid item xs={12}>
+            <TextField
+              select
+              fullWidth
+              label="Strategy"
+              value={strategyId}
+              onChange={(e) => setStrategyId(e.target.value)}
+            >
+              <MenuItem value="">All strategies</MenuItem>
+              {strategies.map(strategy => (
+                <MenuItem key={strategy.id} value={strategy.id}>
+                  {strategy.name} ({(strategy.mode || 'paper').toUpperCase()})
+                </MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+          <Grid item xs={12} sm={6}>
+            <TextField
+              select
+              fullWidth
+              label="Pair"
+              value={pair}
+              onChange={(e) => setPair(e.target.value)}
+            >
+              <MenuItem value="">All pairs</MenuItem>
+              {pairs.map(p => (
+                <MenuItem key={p} value={p}>{p}</MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+          <Grid item xs={12} sm={6}>
+            <TextField
+              select
+              fullWidth
+              label="Format"
+              value={format}
+              onChange={(e) => setFormat(e.target.value)}
+            >
+              {Object.entries(JOURNAL_FORMATS).map(([key, { label }]) => (
+                <MenuItem key={key} value={key}>{label}</MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+          <Grid item xs={6}>
+            <TextField
+              fullWidth
+              type="date"
+              label="From"
+              value={fromDate}
+              onChange={(e) => setFromDate(e.target.value)}
+              InputLabelProps={{ shrink: true }}
+            />
+          </Grid>
+          <Grid item xs={6}>
+            <TextField
+              fullWidth
+              type="date"
+              label="To"
+              value={toDate}
+              onChange={(e) => setToDate(e.target.value)}
+              InputLabelProps={{ shrink: true }}
+            />
+          </Grid>
+          <Grid item xs={12}>
+            <Alert severity={entries.length > 0 ? 'info' : 'warning'}>
+              {entries.length > 0
+                ? `${entries.length} closed trade${entries.length === 1 ? '' : 's'} match these filters.`
+                : 'No closed trades match these filters.'}
+            </Alert>
+          </Grid>
+        </Grid>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button
+          variant="contained"
+          startIcon={<Download />}
+          onClick={handleExport}
+          disabled={entries.length === 0}
+        >
+          Export
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default TradeJournalExport;
@@ -0,0 +1,133 @@
+import React from 'react';
+import {
+  Box,
+  Card,
+  CardContent,
+  Typography,
+  Chip,
+  Tooltip,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper
+} from '@mui/material';
+import { MonitorHeart } from '@mui/icons-material';
+import { HEALTH_STATES, DEX_BRIDGE_URL } from '../services/venueHealth';
+import { useVenueHealth } from '../hooks/useVenueHealth';
+
+export const HEALTH_STATE_COLORS = {
+  [HEALTH_STATES.HEALTHY]: 'success',
+  [HEALTH_STATES.DEGRADED]: 'warning',
+  [HEALTH_STATES.DOWN]: 'error',
+  [HEALTH_STATES.UNKNOWN]: 'default'
+};
+
+const formatMs = (ms) => {
+  if (ms === null || ms === undefined) return '-';
+  if (ms < 1000) return `${Math.round(ms)}ms`;
+  if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+  return `${Math.round(ms / 60000)}m`;
+};
+
+const formatPct = (ratio) => (ratio === null || ratio === undefined ? '-' : `${(ratio * 100).toFixed(0)}%`);
+
+const formatLatency = (latency) => (latency?.p50 === null || latency?.p50 === undefined
+  ? '-'
+  : `${formatMs(latency.p50)} / ${formatMs(latency.p95)} / ${formatMs(latency.p99)}`);
+
+// Per-venue reliability: what the price pipeline saw and what the DEX bridge reports upstream
+const VenueHealthPanel = () => {
+  const { venues, bridge } = useVenueHealth();
+
+  const bridgeLabel = bridge.reachable === null
+    ? 'Bridge: checking…'
+    : bridge.reachable ? 'Bridge: reachable' : 'Bridge: unreachable';
+
+  return (
+    <Card sx={{ mb: 2 }}>
+      <CardContent>
+        <Box display="flex" justifyContent="space-between" alignItems="center" mb={2}>
+          <Box display="flex" alignItems="center" gap={1}>
+            <MonitorHeart color="primary" />
+            <Typography variant="h6">Venue Health</Typography>
+          </Box>
+          <Tooltip title={bridge.error ? `${DEX_BRIDGE_URL}: ${bridge.error}` : DEX_BRIDGE_URL}>
+            <Chip
+              label={bridgeLabel}
+              size="small"
+              variant="outlined"
+              color={bridge.reachable === false ? 'warning' : 'default'}
+            />
+          </Tooltip>
+        </Box>
+
+        {venues.length === 0 ? (
+          <Typography variant="body2" color="textSecondary">
+            No venue has reported yet
+          </Typography>
+        ) : (
+          <TableContainer component={Paper} variant="outlined">
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Venue</TableCell>
+                  <TableCell>Status</TableCell>
+                  <TableCell>Last success</TableCell>
+                  <TableCell align="right">Error rate</TableCell>
+                  <TableCell align="right">Synthetic</TableCell>
+                  <TableCell align="right">Staleness</TableCell>
+                  <TableCell align="right">
+                    <Tooltip title="Quote age on arrival, p50 / p95 / p99">
+                      <span>Feed latency</span>
+                    </Tooltip>
+                  </TableCell>
+                  <TableCell align="right">
+                    <Tooltip title="Bridge upstream response time p50 / p95 / p99, and its error rate">
+                      <span>Bridge</span>
+                    </Tooltip>
+                  </TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {venues.map(({ venue, label, state, feed, bridge: upstream }) => {
+                  const lastError = feed?.lastError || upstream?.last_error_message;
+                  return (
+                    <TableRow key={venue}>
+                      <TableCell>
+                        <Typography variant="body2" fontWeight="bold">{label}</Typography>
+                      </TableCell>
+                      <TableCell>
+                        <Tooltip title={lastError ? `Last error: ${lastError}` : ''}>
+                          <Chip label={state.toUpperCase()} size="small" color={HEALTH_STATE_COLORS[state]} />
+                        </Tooltip>
+                      </TableCell>
+                      <TableCell>
+                        <Typography variant="caption" color="textSecondary">
+                          {feed?.lastSuccessAt ? feed.lastSuccessAt.toLocaleTimeString() : 'Never'}
+                        </Typography>
+                      </TableCell>
+                      <TableCell align="right">{formatPct(feed?.errorRate)}</TableCell>
+                      <TableCell align="right">{formatPct(feed?.syntheticRatio)}</TableCell>
+                      <TableCell align="right">{formatMs(feed?.stalenessMs)}</TableCell>
+                      <TableCell align="right">{formatLatency(feed?.latencyMs)}</TableCell>
+                      <TableCell align="right">
+                        {upstream?.requests > 0
+                          ? `${formatLatency(upstream.latency_ms)} · ${formatPct(upstream.error_rate)} err`
+                          : '-'}
+                      </TableCell>
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default VenueHealthPanel;
@@ -0,0 +1,128 @@
+// Venue configuration registry - fees and transfer latency for every price source
+// Fees in percent unless suffixed; fixed fees in the asset named by the key
+
+const ALGO_TXN_FEE = 0.001; // Minimum Algorand transaction fee
+const ALGORAND_BLOCK_MS = 3300;
+
+export const VENUES = {
+  htx: {
+    id: 'htx',
+    label: 'HTX',
+    type: 'cex',
+    takerFeePct: 0.2,
+    makerFeePct: 0.2,
+    networkFeeAlgo: 0, // Off-chain matching
+    withdrawalFees: { ALGO: 0.1, USD: 1 },
+    depositConfirmationMs: 60000 // Credited after exchange-side confirmations
+  },
+  coingecko: {
+    id: 'coingecko',
+    label: 'CoinGecko',
+    type: 'reference', // Aggregated index, costed like a typical CEX
+    takerFeePct: 0.1,
+    makerFeePct: 0.1,
+    networkFeeAlgo: 0,
+    withdrawalFees: { ALGO: 0.1, USD: 1 },
+    depositConfirmationMs: 60000
+  },
+  tinyman: {
+    id: 'tinyman',
+    label: 'Tinyman',
+    type: 'dex',
+    takerFeePct: 0.3, // Pool swap fee
+    makerFeePct: 0.3,
+    networkFeeAlgo: ALGO_TXN_FEE * 3, // Transfer + app call + inner transfer
+    withdrawalFees: { ALGO: ALGO_TXN_FEE, USD: ALGO_TXN_FEE },
+    depositConfirmationMs: ALGORAND_BLOCK_MS
+  },
+  pact: {
+    id: 'pact',
+    label: 'Pact',
+    type: 'dex',
+    takerFeePct: 0.3,
+    makerFeePct: 0.3,
+    networkFeeAlgo: ALGO_TXN_FEE * 3,
+    withdrawalFees: { ALGO: ALGO_TXN_FEE, USD: ALGO_TXN_FEE },
+    depositConfirmationMs: ALGORAND_BLOCK_MS
+  },
+  vestige: {
+    id: 'vestige',
+    label: 'Vestige',
+    type: 'dex', // Aggregator, routes through underlying pools
+    takerFeePct: 0.3,
+    makerFeePct: 0.3,
+    networkFeeAlgo: ALGO_TXN_FEE * 4,
+    withdrawalFees: { ALGO: ALGO_TXN_FEE, USD: ALGO_TXN_FEE },
+    depositConfirmationMs: ALGORAND_BLOCK_MS
+  },
+  ultrade: {
+    id: 'ultrade',
+    label: 'Ultrade',
+    type: 'dex', // On-chain order book
+    takerFeePct: 0.1,
+    makerFeePct: 0.05,
+    networkFeeAlgo: ALGO_TXN_FEE * 2,
+    withdrawalFees: { ALGO: ALGO_TXN_FEE, USD: ALGO_TXN_FEE },
+    depositConfirmationMs: ALGORAND_BLOCK_MS
+  }
+};
+
+// Conservative costs for venues we have not configured yet
+export const DEFAULT_VENUE = {
+  id: 'unknown',
+  label: 'Unknown',
+  type: 'cex',
+  takerFeePct: 0.3,
+  makerFeePct: 0.3,
+  networkFeeAlgo: 0,
+  withdrawalFees: { ALGO: 0.1, USD: 1 },
+  depositConfirmationMs: 120000
+};
+
+// Trade size used to express fixed fees as a percentage when no size is known yet
+export const REFERENCE_TRADE_AMOUNT_ALGO = 100;
+
+export const getVenue = (venueId) => {
+  const venue = VENUES[venueId];
+  return venue || { ...DEFAULT_VENUE, id: venueId, label: venueId };
+};
+
+export const getVenueLabel = (venueId) => getVenue(venueId).label;
+
+// Full cost of buying ALGO on buyVenue and selling it on sellVenue.
+// With includeTransfer the ALGO is withdrawn to the sell venue and the quote
+// proceeds are sent back, so the strategy ends where it started.
+export const estimateRoundTripCost = ({
+  buyVenue,
+  sellVenue,
+  amount = REFERENCE_TRADE_AMOUNT_ALGO,
+  price,
+  includeTransfer = true
+}) => {
+  const buy = getVenue(buyVenue);
+  const sell = getVenue(sellVenue);
+
+  const tradingFeePct = buy.takerFeePct + sell.takerFeePct;
+  const networkFeeAlgo = buy.networkFeeAlgo + sell.networkFeeAlgo;
+
+  let withdrawalFeeAlgo = 0;
+  let transferTimeMs = 0;
+  if (includeTransfer) {
+    const quoteReturnFeeAlgo = price > 0 ? (sell.withdrawalFees.USD || 0) / price : 0;
+    withdrawalFeeAlgo = (buy.withdrawalFees.ALGO || 0) + quoteReturnFeeAlgo;
+    transferTimeMs = sell.depositConfirmationMs + buy.depositConfirmationMs;
+  }
+
+  const fixedCostAlgo = networkFeeAlgo + withdrawalFeeAlgo;
+  const fixedCostPct = amount > 0 ? (fixedCostAlgo / amount) * 100 : 0;
+
+  return {
+    tradingFeePct,
+    networkFeeAlgo,
+    withdrawalFeeAlgo,
+    fixedCostAlgo,
+    fixedCostPct,
+    totalCostPct: tradingFeePct + fixedCostPct,
+    transferTimeMs
+  };
+};
@@ -0,0 +1,49 @@
+// Yield protocol registry - default APYs and risk haircuts for the yield-farming plugin
+// APYs in percent per year; replaced at runtime by engine.updateYieldRates() when a rate feed is connected
+
+const ALGO_TXN_FEE = 0.001;
+
+export const YIELD_PROTOCOLS = {
+  folks_lending: {
+    id: 'folks_lending',
+    label: 'Folks Finance ALGO Lending',
+    apyPct: 3.5,
+    riskPct: 0.5, // Smart-contract risk only
+    entryCostAlgo: ALGO_TXN_FEE * 3 // Deposit + app calls, paid again on exit
+  },
+  folks_xalgo: {
+    id: 'folks_xalgo',
+    label: 'Folks Finance xALGO Staking',
+    apyPct: 5.5,
+    riskPct: 1,
+    entryCostAlgo: ALGO_TXN_FEE * 2
+  },
+  tinyman_lp: {
+    id: 'tinyman_lp',
+    label: 'Tinyman ALGO/USDC LP',
+    apyPct: 11,
+    riskPct: 5, // Impermanent loss on a volatile pair
+    entryCostAlgo: ALGO_TXN_FEE * 4
+  },
+  pact_lp: {
+    id: 'pact_lp',
+    label: 'Pact ALGO/USDC LP',
+    apyPct: 9,
+    riskPct: 5,
+    entryCostAlgo: ALGO_TXN_FEE * 4
+  }
+};
+
+// How strongly each risk level discounts a protocol's riskPct, and the most
+// capital a single protocol may hold
+export const YIELD_RISK_POLICY = {
+  conservative: { riskAversion: 1.5, maxAllocationPct: 40 },
+  moderate: { riskAversion: 1, maxAllocationPct: 60 },
+  aggressive: { riskAversion: 0.5, maxAllocationPct: 100 }
+};
+
+export const getYieldRiskPolicy = (riskLevel) => YIELD_RISK_POLICY[riskLevel] || YIELD_RISK_POLICY.moderate;
+
+export const getDefaultYieldRates = () => Object.fromEntries(
+  Object.values(YIELD_PROTOCOLS).map(protocol => [protocol.id, protocol.apyPct])
+);
@@ -211,6 +211,14 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Merge a patch into the user's saved settings (top-level keys replace the stored ones)
+  const updateSettings = async (patch) => {
+    setUser(prev => prev ? { ...prev, settings: { ...prev.settings, ...patch } } : prev);
+    if (walletAddress) {
+      await algofiAPI.updateUserProfile({ settings: patch });
+    }
+  };
+
   const value = {
     user,
     walletAddress,
@@ -221,6 +229,7 @@ export const AuthProvider = ({ children }) => {
     connectWallet: connectUserWallet,
     disconnectWallet: disconnectUserWallet,
     refreshAccountInfo,
+    updateSettings,
     isConnected: !!walletAddress,
     api: algofiAPI, // Expose API client
   };
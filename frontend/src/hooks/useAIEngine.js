@@ -0,0 +1,87 @@
+// React bindings for the AI engine event stream
+// The engine lives behind the worker facade, so reads come from the client's event-fed mirrors
+import { useEffect, useRef, useState } from 'react';
+import { aiEngine } from '../services/aiEngineClient';
+
+// Subscribe to one engine event; the latest handler is always called
+export const useEngineEvent = (event, handler, engine = aiEngine) => {
+  const handlerRef = useRef(handler);
+
+  useEffect(() => {
+    handlerRef.current = handler;
+  });
+
+  useEffect(() => engine.on(event, (payload) => handlerRef.current(payload)), [engine, event]);
+};
+
+// Strategies list that re-renders whenever the engine reports a change
+export const useAIStrategies = (engine = aiEngine) => {
+  const [strategies, setStrategies] = useState(() => engine.getCachedStrategies());
+
+  useEffect(() => {
+    const refresh = () => setStrategies(engine.getCachedStrategies());
+    refresh();
+    return engine.on('strategyUpdated', refresh);
+  }, [engine]);
+
+  return strategies;
+};
+
+// Current (unexpired) opportunities, refreshed after every detection pass and whenever
+// the next one expires, so nothing stays listed while the engine is quiet
+export const useAIOpportunities = (engine = aiEngine) => {
+  const [opportunities, setOpportunities] = useState(() => engine.getCachedOpportunities());
+
+  useEffect(() => {
+    let scheduled = false;
+    let expiryTimer = null;
+
+    const update = () => {
+      const current = engine.getCachedOpportunities();
+      setOpportunities([...current]);
+
+      clearTimeout(expiryTimer);
+      const expiries = current.map(opp => new Date(opp.expiresAt).getTime()).filter(Number.isFinite);
+      if (expiries.length > 0) {
+        expiryTimer = setTimeout(update, Math.max(0, Math.min(...expiries) - Date.now()) + 50);
+      }
+    };
+
+    // One detection pass emits many opportunities; collapse them into one update
+    const refresh = () => {
+      if (scheduled) return;
+      scheduled = true;
+      Promise.resolve().then(() => {
+        scheduled = false;
+        update();
+      });
+    };
+
+    update();
+    const unsubscribe = engine.on('opportunity', refresh);
+    return () => {
+      unsubscribe();
+      clearTimeout(expiryTimer);
+    };
+  }, [engine]);
+
+  return opportunities;
+};
+
+// Quotes the engine's price guard dropped on the latest update, with reasons
+export const useRejectedQuotes = (engine = aiEngine) => {
+  const [rejected, setRejected] = useState(() => engine.getCachedRejectedQuotes());
+
+  useEffect(() => engine.on('quotesRejected', setRejected), [engine]);
+
+  return rejected;
+};
+
+// Latest ALGO/USD fair price the engine marks strategies at, { pair, price, timestamp } or null
+export const useMarkPrice = (engine = aiEngine) => {
+  const [markPrice, setMarkPrice] = useState(() => engine.getCachedMarkPrice());
+
+  useEffect(() => engine.on('markPrice', setMarkPrice), [engine]);
+
+  return markPrice;
+};
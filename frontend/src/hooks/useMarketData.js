@@ -0,0 +1,76 @@
+// React bindings for the app-wide market data store
+// Each hook subscribes its pairs for as long as the component is mounted; the store keeps
+// one stream for all of them and only re-renders components whose pairs changed.
+import { useEffect, useState } from 'react';
+import { marketData } from '../services/marketDataStore';
+import { priceAlerts } from '../services/priceAlerts';
+
+const pickPairs = (pairs, watched) => Object.fromEntries(
+  watched.filter(pair => pairs[pair]).map(pair => [pair, pairs[pair]])
+);
+
+// { pair: { quotes, accepted, rejected, history, updatedAt } } for the watched pairs that have quotes
+export const usePrices = (pairs, { background = false } = {}, store = marketData) => {
+  const key = pairs.join(',');
+  const [prices, setPrices] = useState(() => pickPairs(store.getSnapshot().pairs, pairs));
+
+  useEffect(() => {
+    const watched = key ? key.split(',') : [];
+    setPrices(pickPairs(store.getSnapshot().pairs, watched));
+    return store.subscribe(watched, (snapshot, updatedPairs) => {
+      if (updatedPairs.some(pair => watched.includes(pair))) {
+        setPrices(pickPairs(snapshot.pairs, watched));
+      }
+    }, { background });
+  }, [key, background, store]);
+
+  return prices;
+};
+
+// One pair's state, or null until its first quotes arrive
+export const usePrice = (pair, options, store = marketData) => usePrices([pair], options, store)[pair] || null;
+
+// Open cross-venue opportunities, best first; pass pairs to subscribe and limit to them
+export const useOpportunities = (pairs = [], store = marketData) => {
+  const key = pairs.join(',');
+  const [opportunities, setOpportunities] = useState(() => store.getSnapshot().opportunities);
+
+  useEffect(() => {
+    const watched = key ? key.split(',') : [];
+    const select = (all) => (watched.length > 0 ? all.filter(opp => watched.includes(opp.pair)) : all);
+    setOpportunities(select(store.getSnapshot().opportunities));
+    return store.subscribe(watched, (snapshot, updatedPairs) => {
+      if (updatedPairs.length > 0) setOpportunities(select(snapshot.opportunities));
+    });
+  }, [key, store]);
+
+  return opportunities;
+};
+
+// Stream status plus `paused` (null, 'hidden' or 'manual')
+export const useMarketStatus = (store = marketData) => {
+  const [status, setStatus] = useState(() => store.getSnapshot().status);
+
+  useEffect(() => {
+    setStatus(store.getSnapshot().status);
+    return store.subscribe([], (snapshot) => setStatus(snapshot.status));
+  }, [store]);
+
+  return status;
+};
+
+// Keeps the pairs of enabled alert rules streaming, also while the tab is in the background
+export const useAlertFeed = (enabled = true, alerts = priceAlerts, store = marketData) => {
+  const [rules, setRules] = useState(alerts.rules);
+
+  useEffect(() => alerts.subscribe(state => setRules(state.rules)), [alerts]);
+
+  const key = enabled
+    ? Array.from(new Set(rules.filter(rule => rule.enabled).map(rule => rule.pair))).sort().join(',')
+    : '';
+
+  useEffect(() => {
+    if (!key) return undefined;
+    return store.subscribe(key.split(','), () => {}, { background: true });
+  }, [key, store]);
+};
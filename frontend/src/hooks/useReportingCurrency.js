@@ -0,0 +1,37 @@
+// Reporting currency (ALGO or USD) shared by the Strategies and Dashboard pages
+import { useState } from 'react';
+import { REPORTING_CURRENCIES } from '../services/portfolioAccounting';
+
+const STORAGE_KEY = 'algofi.reportingCurrency';
+
+const readStoredCurrency = () => {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    return REPORTING_CURRENCIES.includes(stored) ? stored : 'ALGO';
+  } catch (error) {
+    return 'ALGO';
+  }
+};
+
+export const useReportingCurrency = () => {
+  const [currency, setCurrencyState] = useState(readStoredCurrency);
+
+  const setCurrency = (next) => {
+    if (!REPORTING_CURRENCIES.includes(next)) return;
+    setCurrencyState(next);
+    try {
+      window.localStorage.setItem(STORAGE_KEY, next);
+    } catch (error) {
+      console.warn('⚠️ Could not save reporting currency:', error);
+    }
+  };
+
+  return [currency, setCurrency];
+};
+
+// Amount in the reporting currency, e.g. "12.34 ALGO" or "$1.85"
+export const formatReportingAmount = (amount, currency, digits = 2) => (
+  currency === 'USD'
+    ? `${amount < 0 ? '-' : ''}$${Math.abs(amount).toFixed(digits)}`
+    : `${amount.toFixed(digits)} ALGO`
+);
@@ -0,0 +1,11 @@
+// React binding for per-venue health; mounting the first consumer starts the bridge checks
+import { useEffect, useState } from 'react';
+import { venueHealth } from '../services/venueHealth';
+
+export const useVenueHealth = (monitor = venueHealth) => {
+  const [summary, setSummary] = useState(() => monitor.getSummary());
+
+  useEffect(() => monitor.subscribe(setSummary), [monitor]);
+
+  return summary;
+};
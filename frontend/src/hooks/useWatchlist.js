@@ -0,0 +1,52 @@
+// Watched trading pairs for the live price feed, saved in the user's settings
+// Without a connected wallet the list lives in localStorage so it survives reloads.
+import { useState } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { MARK_PAIR } from '../services/portfolioAccounting';
+
+const STORAGE_KEY = 'algofi.watchlist';
+
+// The AI engine trades ALGO/USD inventory, so that pair is always watched
+export const PINNED_PAIRS = [MARK_PAIR];
+export const SUGGESTED_PAIRS = ['ALGO/USD', 'ALGO/USDC', 'USDC/USDt', 'goETH/ALGO', 'goBTC/ALGO'];
+
+// "BASE/QUOTE" with asset symbols kept as typed (goETH, USDt)
+export const normalizePair = (text) => {
+  const match = /^\s*([A-Za-z0-9.]+)\s*\/\s*([A-Za-z0-9.]+)\s*$/.exec(text || '');
+  return match ? `${match[1]}/${match[2]}` : null;
+};
+
+const sanitize = (pairs) => Array.from(new Set([
+  ...PINNED_PAIRS,
+  ...(Array.isArray(pairs) ? pairs : []).map(normalizePair).filter(Boolean)
+]));
+
+const readStoredWatchlist = () => {
+  try {
+    return sanitize(JSON.parse(window.localStorage.getItem(STORAGE_KEY)));
+  } catch (error) {
+    return sanitize([]);
+  }
+};
+
+export const useWatchlist = () => {
+  const { user, updateSettings } = useAuth();
+  const [localWatchlist, setLocalWatchlist] = useState(readStoredWatchlist);
+  const watchlist = user?.settings?.watchlist ? sanitize(user.settings.watchlist) : localWatchlist;
+
+  const setWatchlist = (pairs) => {
+    const next = sanitize(pairs);
+    setLocalWatchlist(next);
+    try {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+    } catch (error) {
+      console.warn('⚠️ Could not save watchlist locally:', error);
+    }
+    if (user) {
+      updateSettings({ watchlist: next })
+        .catch(error => console.error('❌ Failed to save watchlist to user settings:', error));
+    }
+  };
+
+  return [watchlist, setWatchlist];
+};
@@ -1,5 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../contexts/AuthContext';
+import { useAIStrategies, useMarkPrice } from '../hooks/useAIEngine';
+import { useReportingCurrency, formatReportingAmount } from '../hooks/useReportingCurrency';
+import { summarizeValuations } from '../services/portfolioAccounting';
 import {
   Grid,
   Card,
@@ -12,6 +15,8 @@ import {
   Button,
   Alert,
   CircularProgress,
+  TextField,
+  MenuItem,
 } from '@mui/material';
 import {
   TrendingUp,
@@ -46,6 +51,11 @@ const Dashboard = () => {
   const [recentTransactions, setRecentTransactions] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const aiStrategies = useAIStrategies();
+  const markPrice = useMarkPrice();
+  const [reportingCurrency, setReportingCurrency] = useReportingCurrency();
+  // Backend figures are in ALGO; USD converts them at the engine's current mark price
+  const showUsd = reportingCurrency === 'USD' && markPrice?.price > 0;
 
   useEffect(() => {
     if (walletAddress) {
@@ -166,8 +176,8 @@ const Dashboard = () => {
 
   const formatAlgo = (amount) => {
     const n = typeof amount === 'string' ? Number(amount) : amount;
-    if (!isFinite(n)) return '0.00 ALGO';
-    return `${n.toFixed(2)} ALGO`;
+    if (!isFinite(n)) return showUsd ? '$0.00' : '0.00 ALGO';
+    return showUsd ? formatReportingAmount(n * markPrice.price, 'USD') : `${n.toFixed(2)} ALGO`;
   };
 
   const formatNumber6 = (val) => {
@@ -195,6 +205,12 @@ const Dashboard = () => {
       value: d.total_value_algo
     })) : [];
 
+  // AI engine strategies marked to market; null until the engine has a mark price
+  const aiValuationCurrency = showUsd ? 'USD' : 'ALGO';
+  const aiValuation = aiStrategies.some(strategy => strategy.valuation)
+    ? summarizeValuations(aiStrategies, aiValuationCurrency)
+    : null;
+
   // Strategy distribution for pie chart
   const strategyDistribution = (Array.isArray(strategies) ? strategies : []).map((strategy, index) => ({
     name: strategy.strategy_name,
@@ -214,17 +230,30 @@ const Dashboard = () => {
             Welcome back! Here's your trading overview.
           </Typography>
         </Box>
-        <Button
-          variant="contained"
-          startIcon={<Refresh />}
-          onClick={handleRefresh}
-          sx={{
-            bgcolor: '#00E5FF',
-            '&:hover': { bgcolor: '#00B9D4' },
-          }}
-        >
-          Refresh Data
-        </Button>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+          <TextField
+            select
+            size="small"
+            value={reportingCurrency}
+            onChange={(e) => setReportingCurrency(e.target.value)}
+            helperText={reportingCurrency === 'USD' && !showUsd ? 'Waiting for ALGO/USD price' : undefined}
+            sx={{ minWidth: 100, '& .MuiInputBase-root': { color: '#fff' } }}
+          >
+            <MenuItem value="ALGO">ALGO</MenuItem>
+            <MenuItem value="USD">USD</MenuItem>
+          </TextField>
+          <Button
+            variant="contained"
+            startIcon={<Refresh />}
+            onClick={handleRefresh}
+            sx={{
+              bgcolor: '#00E5FF',
+              '&:hover': { bgcolor: '#00B9D4' },
+            }}
+          >
+            Refresh Data
+          </Button>
+        </Box>
       </Box>
 
       {/* Error Alert */}
@@ -272,6 +301,42 @@ const Dashboard = () => {
         </CardContent>
       </Card>
 
+      {/* AI Strategies mark-to-market */}
+      {aiValuation && (
+        <Card sx={{ bgcolor: '#1e1e1e', border: '1px solid #333', borderRadius: 2, mb: 3 }}>
+          <CardContent>
+            <Box sx={{ display: 'flex', alignItems: 'center', mb: 2 }}>
+              <SmartToy sx={{ color: '#00E5FF', mr: 1 }} />
+              <Typography variant="h6" sx={{ color: '#fff' }}>
+                AI Strategies (mark-to-market)
+              </Typography>
+              {markPrice?.price > 0 && (
+                <Typography variant="body2" sx={{ color: '#bbb', ml: 'auto' }}>
+                  ALGO/USD {markPrice.price.toFixed(4)}
+                </Typography>
+              )}
+            </Box>
+            <Grid container spacing={3}>
+              {[
+                ['Value', aiValuation.value, '#00E5FF'],
+                ['Realised P&L', aiValuation.realised, aiValuation.realised >= 0 ? '#00C853' : '#F44336'],
+                ['Unrealised P&L', aiValuation.unrealised, aiValuation.unrealised >= 0 ? '#00C853' : '#F44336'],
+                ['Total P&L', aiValuation.pnl, aiValuation.pnl >= 0 ? '#00C853' : '#F44336']
+              ].map(([label, amount, color]) => (
+                <Grid item xs={6} md={3} key={label}>
+                  <Typography variant="body2" sx={{ color: '#bbb' }}>
+                    {label}
+                  </Typography>
+                  <Typography variant="h6" sx={{ color, fontWeight: 'bold' }}>
+                    {formatReportingAmount(amount, aiValuationCurrency)}
+                  </Typography>
+                </Grid>
+              ))}
+            </Grid>
+          </CardContent>
+        </Card>
+      )}
+
       {/* Summary Cards */}
       {performance && (
         <Grid container spacing={3} sx={{ mb: 3 }}>
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   Grid,
   Card,
@@ -47,6 +47,7 @@ import {
   ComposedChart,
   ReferenceLine,
 } from 'recharts';
+import { usePrice } from '../hooks/useMarketData';
 
 const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:8052';
 
@@ -74,17 +75,6 @@ const apiCall = async (endpoint, options = {}) => {
   }
 };
 
-// Get live market prices from backend
-const getLivePrices = async () => {
-  try {
-    const response = await apiCall('/market/prices/live');
-    return response.prices || {};
-  } catch (error) {
-    console.error('Failed to fetch live prices:', error);
-    return {};
-  }
-};
-
 // Get arbitrage opportunities
 const getArbitrageOpportunities = async () => {
   try {
@@ -163,7 +153,11 @@ const predictionData = [
 function MarketAnalysis() {
   const [tabValue, setTabValue] = useState(0);
   const [marketData, setMarketData] = useState([]);
-  const [livePrices, setLivePrices] = useState({});
+  // Live ALGO/USD quotes come from the shared market data store instead of a page timer
+  const algoUsd = usePrice('ALGO/USD');
+  const livePrices = algoUsd ? { 'ALGO/USD': algoUsd.quotes } : {};
+  const livePricesRef = useRef(livePrices);
+  livePricesRef.current = livePrices;
   const [arbitrageOpportunities, setArbitrageOpportunities] = useState([]);
   const [lastUpdate, setLastUpdate] = useState(new Date());
   const [loading, setLoading] = useState(true);
@@ -207,17 +201,8 @@ function MarketAnalysis() {
         setConnectionStatus('connecting');
       }
       
-      // Get live prices and arbitrage opportunities in parallel
-      const [prices, opportunities] = await Promise.all([
-        getLivePrices(),
-        getArbitrageOpportunities()
-      ]);
-      
-      // Only update if we got valid data
-      if (prices && Object.keys(prices).length > 0) {
-        setLivePrices(prices);
-        setMarketData(generateChartData(prices));
-      }
+      const opportunities = await getArbitrageOpportunities();
+      setMarketData(generateChartData(livePricesRef.current));
       
       if (opportunities && opportunities.length >= 0) {
         setArbitrageOpportunities(opportunities);
@@ -258,13 +243,9 @@ function MarketAnalysis() {
     // Initial load
     fetchMarketData();
     
-    // Set up faster refresh intervals
-    const priceInterval = setInterval(() => {
-      fetchMarketData(true); // Background refresh for prices
-    }, 15000); // Refresh prices every 15 seconds
-    
+    // Prices arrive through the market data store; only opportunities and the chart are refreshed here
     const opportunityInterval = setInterval(() => {
-      // More frequent updates for arbitrage opportunities
+      setMarketData(generateChartData(livePricesRef.current));
       getArbitrageOpportunities().then(opportunities => {
         if (opportunities && opportunities.length >= 0) {
           setArbitrageOpportunities(opportunities);
@@ -285,12 +266,21 @@ function MarketAnalysis() {
     document.addEventListener('visibilitychange', handleVisibilityChange);
 
     return () => {
-      clearInterval(priceInterval);
       clearInterval(opportunityInterval);
       document.removeEventListener('visibilitychange', handleVisibilityChange);
     };
   }, []);
 
+  // Every store update for ALGO/USD counts as fresh data
+  const priceUpdatedAt = algoUsd?.updatedAt;
+  useEffect(() => {
+    if (!priceUpdatedAt) return;
+    setLastUpdate(priceUpdatedAt);
+    setIsLive(true);
+    setConnectionStatus('connected');
+    setDataFreshness(0);
+  }, [priceUpdatedAt]);
+
   // Track data freshness
   useEffect(() => {
     const freshnessInterval = setInterval(() => {
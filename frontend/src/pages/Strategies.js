@@ -1,8 +1,27 @@
 import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import RealTimePriceFeed from '../components/RealTimePriceFeed';
-import { aiArbitrageEngine } from '../services/aiArbitrageEngine';
-import algofiAPI from '../services/algofiAPI';
+import AlertRulesPanel from '../components/AlertRulesPanel';
+import TradeJournalExport from '../components/TradeJournalExport';
+import AITradeList from '../components/AITradeList';
+import SpreadLifetimeChart from '../components/SpreadLifetimeChart';
+import ParameterSweepDialog from '../components/ParameterSweepDialog';
+import { summarizeByMode } from '../services/aiArbitrageEngine';
+import { CALIBRATION_LABELS } from '../services/profitSimulator';
+import { aiEngine } from '../services/aiEngineClient';
+import { useAIStrategies, useEngineEvent, useRejectedQuotes } from '../hooks/useAIEngine';
+import { useReportingCurrency, formatReportingAmount } from '../hooks/useReportingCurrency';
+import { executeTinymanSwap } from '../services/liveExecution';
+import { WALLET_CANCELLED_PREFIX } from '../services/tradeLifecycle';
+import { describeTransfer } from '../services/rebalancingPlanner';
+import { marketData } from '../services/marketDataStore';
+import { STREAM_STATES } from '../services/priceStream';
+import { getVenueLabel } from '../config/venues';
+import { MARK_PAIR } from '../services/portfolioAccounting';
+import { CYCLE_ROUTE_PAIRS } from '../services/cycleDetector';
+import { useWatchlist } from '../hooks/useWatchlist';
+import { useOpportunities, useMarketStatus } from '../hooks/useMarketData';
 import {
   Container,
   Typography,
@@ -34,7 +53,9 @@ import {
   Tab,
   Divider,
   Badge,
-  CircularProgress
+  CircularProgress,
+  Snackbar,
+  Tooltip
 } from '@mui/material';
 import {
   Add as AddIcon,
@@ -51,9 +72,36 @@ import {
   Notifications,
   SmartToy,
   SignalCellularAlt,
-  Visibility
+  Visibility,
+  RestartAlt,
+  Download,
+  Tune
 } from '@mui/icons-material';
 
+// Store opportunities in the row shape the live opportunities table renders
+const toLiveOpportunity = (opp) => {
+  // Trade size bounds from the thinner venue's daily volume
+  const minVolume = opp.volume24h || 50000;
+  return {
+    id: opp.id,
+    spread_key: opp.key,
+    asset_pair: opp.pair,
+    dex_1: opp.buyVenue,
+    dex_2: opp.sellVenue,
+    price_1: opp.buyPrice,
+    price_2: opp.sellPrice,
+    profit_percentage: opp.netProfitPct,
+    min_trade_amount: Math.max(100, minVolume * 0.001), // 0.1% of daily volume
+    max_trade_amount: Math.min(5000, minVolume * 0.01), // 1% of daily volume
+    is_active: true,
+    expires_at: opp.expiresAt.toISOString(),
+    created_at: opp.firstSeenAt.toISOString(),
+    source: 'LIVE_OPPORTUNITIES',
+    confidence: opp.spreadPct > 1.0 ? 'HIGH' : opp.spreadPct > 0.5 ? 'MEDIUM' : 'LOW',
+    recommendation: `📈 Buy from ${opp.buyVenue.toUpperCase()} at $${opp.buyPrice.toFixed(4)} → Sell to ${opp.sellVenue.toUpperCase()} at $${opp.sellPrice.toFixed(4)}`
+  };
+};
+
 const strategyTypes = [
   { value: 'arbitrage', label: 'Arbitrage', icon: <Speed />, description: 'Cross-DEX arbitrage opportunities' },
   { value: 'yield_farming', label: 'Yield Farming', icon: <AccountBalance />, description: 'Automated yield optimization' },
@@ -75,19 +123,29 @@ function TabPanel(props) {
   );
 }
 
+const MAX_RECORDED_FRAMES = 2000;
+
 function Strategies() {
-  const { api } = useAuth();
+  const { api, walletAddress } = useAuth();
+  const [watchlist] = useWatchlist();
   const [strategies, setStrategies] = useState([]);
-  const [aiStrategies, setAiStrategies] = useState([]); // AI managed strategies
+  const aiStrategies = useAIStrategies(); // AI managed strategies, re-rendered on engine events
+  const [reportingCurrency, setReportingCurrency] = useReportingCurrency();
+  const [engineNotice, setEngineNotice] = useState(null);
+  const engineRejectedQuotes = useRejectedQuotes();
+  const [liveExecutingId, setLiveExecutingId] = useState(null);
+  const [aiStrategyType, setAiStrategyType] = useState('arbitrage');
+  const [aiRanking, setAiRanking] = useState('spread'); // Arbitrage only: raw spread or Monte Carlo expected value
+  const [journalExport, setJournalExport] = useState(null); // { strategyId } while the export dialog is open
+  const [sweepSeries, setSweepSeries] = useState(null); // Price frames snapshot while the sweep dialog is open
+  const recordedFramesRef = useRef([]); // This session's price updates, replayed by the parameter sweep
   const [opportunities, setOpportunities] = useState([]);
   const [realTimeOpportunities, setRealTimeOpportunities] = useState([]);
-  const [liveDetectedOpportunities, setLiveDetectedOpportunities] = useState([]);
+  const liveDetectedOpportunities = useOpportunities().map(toLiveOpportunity); // Shared store: pairs subscribed anywhere in the app
+  const marketStatus = useMarketStatus();
   const [aiSelectedOpportunities, setAiSelectedOpportunities] = useState([]);
   const [aiLoading, setAiLoading] = useState(false);
   const [currentPrices, setCurrentPrices] = useState({});
-  const [priceHistory, setPriceHistory] = useState({});
-  const [liveOpportunitiesFetching, setLiveOpportunitiesFetching] = useState(false);
-  const [liveOpportunitiesInterval, setLiveOpportunitiesInterval] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [opportunitiesError, setOpportunitiesError] = useState(null);
@@ -96,6 +154,10 @@ function Strategies() {
   const [selectedStrategy, setSelectedStrategy] = useState(null);
   const [selectedAiStrategy, setSelectedAiStrategy] = useState(null); // AI strategy selection
   const [tabValue, setTabValue] = useState(0);
+  const [focusedSpreadKey, setFocusedSpreadKey] = useState(null); // Route opened from the spread matrix
+  const focusedRowRef = useRef(null);
+  const location = useLocation();
+  const navigate = useNavigate();
   const [aiEngineRunning, setAiEngineRunning] = useState(false);
   const [newStrategy, setNewStrategy] = useState({
     strategy_name: '',
@@ -189,204 +251,6 @@ function Strategies() {
     }
   }, [api]); // Only depend on api, remove state dependencies to prevent infinite loop
 
-  // Live Opportunities Price Fetching - Similar to RealTimePriceFeed
-  const liveOpportunitiesIntervalRef = useRef(null);
-
-  // Filter function for ALGO/USD only
-  const filterAlgoUsdOnly = (prices) => {
-    console.log('🔍 Filtering prices for ALGO/USD only. Input:', prices);
-    const filtered = {};
-    if (prices['ALGO/USD']) {
-      filtered['ALGO/USD'] = prices['ALGO/USD'];
-      console.log('✅ Found ALGO/USD data:', prices['ALGO/USD']);
-    } else {
-      console.log('❌ No ALGO/USD data found in:', Object.keys(prices));
-    }
-    console.log('🎯 Filtered result:', filtered);
-    return filtered;
-  };
-
-  // Fetch live prices for opportunities
-  const fetchLivePricesForOpportunities = async () => {
-    try {
-      setLiveOpportunitiesFetching(true);
-      console.log('🔄 Live Opportunities: Fetching ALGO/USD prices...');
-      
-      const response = await algofiAPI.getCurrentPrices();
-      console.log('📥 Live Opportunities: Raw response:', response);
-      
-      const allPrices = response.prices || response;
-      console.log('📊 Live Opportunities: All prices:', allPrices);
-      
-      // Filter for ALGO/USD only
-      const prices = filterAlgoUsdOnly(allPrices);
-      console.log('🎯 Live Opportunities: Filtered ALGO/USD prices:', prices);
-      
-      if (prices && typeof prices === 'object' && Object.keys(prices).length > 0) {
-        const timestamp = new Date();
-        
-        // Add timestamp to each price entry
-        const timestampedPrices = {};
-        Object.entries(prices).forEach(([pair, dexes]) => {
-          if (dexes && typeof dexes === 'object') {
-            timestampedPrices[pair] = {};
-            Object.entries(dexes).forEach(([dex, data]) => {
-              timestampedPrices[pair][dex] = {
-                ...data,
-                timestamp,
-                fee: 0.003 // Default 0.3% fee per exchange
-              };
-            });
-          }
-        });
-        
-        setCurrentPrices(timestampedPrices);
-        
-        // Store price history for trend detection
-        setPriceHistory(prev => {
-          const newHistory = { ...prev };
-          Object.entries(timestampedPrices).forEach(([pair, exchanges]) => {
-            if (!newHistory[pair]) newHistory[pair] = {};
-            Object.entries(exchanges).forEach(([exchange, data]) => {
-              if (!newHistory[pair][exchange]) newHistory[pair][exchange] = [];
-              newHistory[pair][exchange].push({
-                price: data.price,
-                timestamp: timestamp.toISOString(),
-                volume: data.volume_24h || 0
-              });
-              // Keep only last 10 price points per exchange
-              if (newHistory[pair][exchange].length > 10) {
-                newHistory[pair][exchange] = newHistory[pair][exchange].slice(-10);
-              }
-            });
-          });
-          return newHistory;
-        });
-        
-        // Detect arbitrage opportunities
-        detectLiveArbitrageOpportunities(timestampedPrices, timestamp);
-        
-        setOpportunitiesError(null);
-        console.log('✅ Live Opportunities: Successfully processed price data');
-      } else {
-        console.warn('⚠️ Live Opportunities: No valid price data received');
-        setOpportunitiesError('No price data available from backend');
-      }
-    } catch (error) {
-      console.error('❌ Live Opportunities: Failed to fetch prices:', error);
-      setOpportunitiesError(`Failed to fetch live prices: ${error.message}`);
-    } finally {
-      setLiveOpportunitiesFetching(false);
-    }
-  };
-
-  // Detect arbitrage opportunities from live prices
-  const detectLiveArbitrageOpportunities = (priceData, timestamp) => {
-    console.log('🎯 Live Opportunities: Starting arbitrage detection with data:', priceData);
-    const newOpportunities = [];
-    
-    Object.entries(priceData).forEach(([pair, exchanges]) => {
-      console.log(`🔍 Analyzing pair ${pair} with exchanges:`, exchanges);
-      const exchangeList = Object.entries(exchanges);
-      console.log(`📊 Exchange list for ${pair}:`, exchangeList);
-      
-      // Compare all exchange pairs for arbitrage opportunities
-      for (let i = 0; i < exchangeList.length; i++) {
-        for (let j = i + 1; j < exchangeList.length; j++) {
-          const [exchange1, data1] = exchangeList[i];
-          const [exchange2, data2] = exchangeList[j];
-          
-          console.log(`🔄 Comparing ${exchange1} (${data1.price}) vs ${exchange2} (${data2.price})`);
-          
-          if (!data1.price || !data2.price) {
-            console.log(`⚠️ Missing price data: ${exchange1}=${data1.price}, ${exchange2}=${data2.price}`);
-            continue;
-          }
-          
-          const price1 = data1.price;
-          const price2 = data2.price;
-          
-          // Calculate spread percentage
-          const spreadPct = Math.abs((price2 - price1) / Math.min(price1, price2)) * 100;
-          
-          // Estimate total fees (0.05% per exchange = 0.1% total, very optimistic for testing)
-          const totalFees = 0.1; // 0.05% x 2 exchanges (very low for testing)
-          const netProfitPct = spreadPct - totalFees;
-          
-          console.log(`📈 Spread analysis: ${exchange1} vs ${exchange2}: spread=${spreadPct.toFixed(4)}%, net_profit=${netProfitPct.toFixed(4)}%`);
-          
-          if (netProfitPct > 0.001) { // Minimum 0.001% profit after fees (very low for testing)
-            console.log(`✅ Found arbitrage opportunity: ${netProfitPct.toFixed(2)}% profit`);
-            const buyExchange = price1 < price2 ? exchange1 : exchange2;
-            const sellExchange = price1 < price2 ? exchange2 : exchange1;
-            const buyPrice = Math.min(price1, price2);
-            const sellPrice = Math.max(price1, price2);
-            
-            // Estimate trade amounts based on volume
-            const minVolume = Math.min(data1.volume_24h || 50000, data2.volume_24h || 50000);
-            const minTradeAmount = Math.max(100, minVolume * 0.001); // 0.1% of daily volume
-            const maxTradeAmount = Math.min(5000, minVolume * 0.01); // 1% of daily volume
-            
-            newOpportunities.push({
-              id: `live-opp-${pair}-${buyExchange}-${sellExchange}-${timestamp.getTime()}`,
-              asset_pair: pair,
-              dex_1: buyExchange,
-              dex_2: sellExchange,
-              price_1: buyPrice,
-              price_2: sellPrice,
-              profit_percentage: netProfitPct,
-              min_trade_amount: minTradeAmount,
-              max_trade_amount: maxTradeAmount,
-              is_active: true,
-              expires_at: new Date(timestamp.getTime() + 15000).toISOString(), // 15 seconds
-              created_at: timestamp.toISOString(),
-              source: 'LIVE_OPPORTUNITIES',
-              confidence: spreadPct > 1.0 ? 'HIGH' : spreadPct > 0.5 ? 'MEDIUM' : 'LOW',
-              recommendation: `📈 Buy from ${(buyExchange || 'Unknown').toUpperCase()} at $${buyPrice.toFixed(4)} → Sell to ${(sellExchange || 'Unknown').toUpperCase()} at $${sellPrice.toFixed(4)}`
-            });
-          }
-        }
-      }
-    });
-    
-    // Update live detected opportunities, removing expired ones
-    setLiveDetectedOpportunities(prev => {
-      const now = new Date();
-      const validOpportunities = prev.filter(opp => new Date(opp.expires_at) > now);
-      return [...validOpportunities, ...newOpportunities]
-        .sort((a, b) => b.profit_percentage - a.profit_percentage) // Sort by profit desc
-        .slice(0, 20); // Keep only top 20
-    });
-    
-    console.log(`🎯 Live Opportunities: Detected ${newOpportunities.length} new arbitrage opportunities`);
-  };
-
-  // Start Live Opportunities price feed
-  const startLiveOpportunitiesPriceFeed = () => {
-    if (liveOpportunitiesIntervalRef.current) return;
-
-    console.log('🚀 Starting Live Opportunities price feed...');
-    setLiveOpportunitiesFetching(true);
-
-    // Initial fetch
-    fetchLivePricesForOpportunities();
-
-    // Set up interval to fetch prices every 5 seconds (same as RealTimePriceFeed)
-    liveOpportunitiesIntervalRef.current = setInterval(() => {
-      fetchLivePricesForOpportunities();
-    }, 5000);
-  };
-
-  // Stop Live Opportunities price feed
-  const stopLiveOpportunitiesPriceFeed = () => {
-    if (liveOpportunitiesIntervalRef.current) {
-      clearInterval(liveOpportunitiesIntervalRef.current);
-      liveOpportunitiesIntervalRef.current = null;
-    }
-    setLiveOpportunitiesFetching(false);
-    console.log('⏹️ Stopped Live Opportunities price feed');
-  };
-
   // Simulate performance for all active strategies
   const simulateActiveStrategiesPerformance = useCallback(async () => {
     console.log('🚀 Starting strategy performance simulation with real market data...');
@@ -412,17 +276,7 @@ function Strategies() {
     }
   }, [api, loadStrategies]); // strategies'i dependency'den çıkardık
 
-  // Handle real-time opportunities from RealTimePriceFeed
-  const handleRealTimeOpportunity = useCallback((opportunity) => {
-    console.log('📈 New real-time opportunity received:', opportunity);
-    setRealTimeOpportunities(prev => {
-      const updated = [opportunity, ...prev];
-      // Keep only last 10 real-time opportunities
-      return updated.slice(0, 10);
-    });
-  }, []);
-
-  // Handle price updates from RealTimePriceFeed
+  // Handle ALGO/USD updates from the market data store
   const handlePriceUpdate = useCallback((priceData) => {
     console.log('📊 HANDLE PRICE UPDATE CALLED:');
     console.log('📊 Price update received:', priceData);
@@ -430,53 +284,21 @@ function Strategies() {
     console.log('📊 ALGO/USD data:', priceData?.['ALGO/USD']);
     
     setCurrentPrices(priceData);
+    recordedFramesRef.current = [...recordedFramesRef.current, { timestamp: Date.now(), prices: priceData }]
+      .slice(-MAX_RECORDED_FRAMES);
     
     // Update AI Engine with new price data
-    if (aiArbitrageEngine && Object.keys(priceData).length > 0) {
+    if (Object.keys(priceData).length > 0) {
       console.log('🤖 Sending price data to AI Engine...');
-      // This will trigger processOpportunitiesForActiveStrategies inside updatePriceData
-      aiArbitrageEngine.updatePriceData(priceData);
-      
-      // Update AI opportunities from engine
-      setRealTimeOpportunities(aiArbitrageEngine.getCurrentOpportunities());
-      
-      // Update AI strategies state with new P&L calculations
-      const updatedStrategies = aiArbitrageEngine.getAllStrategies();
-      setAiStrategies([...updatedStrategies]); // Force new array reference for re-render
-      
-      console.log('🤖 AI Engine processed opportunities, strategies updated:', 
-        updatedStrategies.map(s => `${s.name}: ${s.currentValue.toFixed(2)} ALGO`));
+      // This will trigger processOpportunitiesForActiveStrategies inside updatePriceData (in the worker)
+      aiEngine.updatePriceData(priceData)
+        .then(() => aiEngine.getCurrentOpportunities())
+        .then(setRealTimeOpportunities) // Update AI opportunities from engine
+        .catch(error => console.error('❌ AI Engine price update failed:', error));
     } else {
       console.log('❌ AI Engine not available or no price data');
     }
     
-    // Store price history for trend detection
-    setPriceHistory(prev => {
-      const timestamp = new Date().toISOString();
-      const newHistory = { ...prev };
-      
-      Object.entries(priceData).forEach(([pair, exchanges]) => {
-        if (!newHistory[pair]) newHistory[pair] = {};
-        Object.entries(exchanges).forEach(([exchange, data]) => {
-          if (!newHistory[pair][exchange]) newHistory[pair][exchange] = [];
-          newHistory[pair][exchange].push({
-            price: data.price,
-            timestamp,
-            volume: data.volume_24h || 0
-          });
-          // Keep only last 10 price points per exchange
-          if (newHistory[pair][exchange].length > 10) {
-            newHistory[pair][exchange] = newHistory[pair][exchange].slice(-10);
-          }
-        });
-      });
-      
-      return newHistory;
-    });
-    
-    // Detect live opportunities from current prices
-    detectLiveOpportunities(priceData);
-    
     // Update strategy P&L based on current prices
     if (Object.keys(priceData).length > 0) {
       updateStrategiesWithCurrentPrices(priceData);
@@ -507,89 +329,24 @@ function Strategies() {
     );
   }, []);
 
-  // Detect live opportunities from current price data
-  const detectLiveOpportunities = useCallback((priceData) => {
-    const newOpportunities = [];
-    const timestamp = new Date();
-    
-    Object.entries(priceData).forEach(([pair, exchanges]) => {
-      const exchangeList = Object.entries(exchanges);
-      
-      // Compare all exchange pairs for arbitrage opportunities
-      for (let i = 0; i < exchangeList.length; i++) {
-        for (let j = i + 1; j < exchangeList.length; j++) {
-          const [exchange1, data1] = exchangeList[i];
-          const [exchange2, data2] = exchangeList[j];
-          
-          if (!data1.price || !data2.price) continue;
-          
-          const price1 = data1.price;
-          const price2 = data2.price;
-          
-          // Calculate spread percentage
-          const spreadPct = Math.abs((price2 - price1) / Math.min(price1, price2)) * 100;
-          
-          // Estimate fees (0.3% per exchange is typical)
-          const totalFees = 0.6; // 0.3% x 2 exchanges
-          const netProfitPct = spreadPct - totalFees;
-          
-          if (netProfitPct > 0.1) { // Minimum 0.1% profit after fees
-            const buyExchange = price1 < price2 ? exchange1 : exchange2;
-            const sellExchange = price1 < price2 ? exchange2 : exchange1;
-            const buyPrice = Math.min(price1, price2);
-            const sellPrice = Math.max(price1, price2);
-            
-            // Estimate trade amounts based on volume
-            const minVolume = Math.min(data1.volume_24h || 50000, data2.volume_24h || 50000);
-            const minTradeAmount = Math.max(100, minVolume * 0.001); // 0.1% of daily volume
-            const maxTradeAmount = Math.min(5000, minVolume * 0.01); // 1% of daily volume
-            
-            newOpportunities.push({
-              id: `live-${pair}-${buyExchange}-${sellExchange}-${timestamp.getTime()}`,
-              asset_pair: pair,
-              dex_1: buyExchange,
-              dex_2: sellExchange,
-              price_1: buyPrice,
-              price_2: sellPrice,
-              profit_percentage: netProfitPct,
-              min_trade_amount: minTradeAmount,
-              max_trade_amount: maxTradeAmount,
-              is_active: true,
-              expires_at: new Date(timestamp.getTime() + 15000).toISOString(), // 15 seconds
-              created_at: timestamp.toISOString(),
-              source: 'LIVE_DETECTION',
-              confidence: spreadPct > 1.0 ? 'HIGH' : spreadPct > 0.5 ? 'MEDIUM' : 'LOW'
-            });
-          }
-        }
-      }
-    });
-    
-    // Update live opportunities, removing expired ones
-    setLiveDetectedOpportunities(prev => {
-      const now = new Date();
-      const validOpportunities = prev.filter(opp => new Date(opp.expires_at) > now);
-      return [...validOpportunities, ...newOpportunities]
-        .sort((a, b) => b.profit_percentage - a.profit_percentage) // Sort by profit desc
-        .slice(0, 20); // Keep only top 20
-    });
-  }, []);
-
   useEffect(() => {
     loadStrategies();
     loadOpportunities();
     
     // Initialize AI Engine
     console.log('🤖 Initializing AI Arbitrage Engine...');
-    try {
-      aiArbitrageEngine.start();
-      setAiEngineRunning(true);
-      setAiStrategies(aiArbitrageEngine.getAllStrategies());
-      console.log('✅ AI Engine started successfully');
-    } catch (error) {
-      console.error('❌ Failed to start AI Engine:', error);
-      setAiEngineRunning(false);
-    }
+    aiEngine.start()
+      .then(() => {
+        setAiEngineRunning(true);
+        console.log('✅ AI Engine started successfully');
+        
+        // Bring back strategies persisted before the last page reload
+        return aiEngine.restoreState();
+      })
+      .catch(error => {
+        console.error('❌ Failed to start AI Engine:', error);
+        setAiEngineRunning(false);
+      });
     
     // Set up auto-refresh for opportunities (every 45 seconds)
     const opportunitiesInterval = setInterval(() => {
@@ -612,8 +369,6 @@ function Strategies() {
       if (tabValue === 0) {
         console.log('⏰ Auto-refreshing strategy P&L...');
         simulateActiveStrategiesPerformance();
-        // Update AI strategies
-        setAiStrategies(aiArbitrageEngine.getAllStrategies());
       }
     }, 90000);
 
@@ -622,7 +377,7 @@ function Strategies() {
       clearInterval(aiOpportunitiesInterval);
       clearInterval(strategiesInterval);
       // Stop AI Engine on unmount
-      aiArbitrageEngine.stop();
+      aiEngine.stop();
     };
   }, [loadStrategies, loadOpportunities, simulateActiveStrategiesPerformance, tabValue]);
 
@@ -641,29 +396,57 @@ function Strategies() {
     }
   }, [tabValue]); // Only depend on tabValue
 
-  // Start/Stop Live Opportunities price feed based on active tab OR active AI strategies
+  // Feed the AI engine from the shared market data store while this page is open: the
+  // watchlist for cross-venue spreads plus the legs the cycle detector needs. The engine
+  // replaces its price data on every update, so each one carries every fed pair.
+  const engineFeedKey = Array.from(new Set([MARK_PAIR, ...watchlist, ...CYCLE_ROUTE_PAIRS])).join(',');
   useEffect(() => {
-    const hasActiveAiStrategies = aiStrategies.some(s => s.status === 'active');
-    
-    if (tabValue === 1 || hasActiveAiStrategies) {
-      if (tabValue === 1) {
-        console.log('🎯 Live Opportunities tab activated - starting price feed');
-      }
-      if (hasActiveAiStrategies) {
-        console.log('🤖 Active AI strategies detected - keeping price feed active');
-      }
-      startLiveOpportunitiesPriceFeed();
-    } else {
-      console.log('⏸️ No active monitoring needed - stopping price feed');
-      stopLiveOpportunitiesPriceFeed();
+    const pairs = engineFeedKey.split(',');
+    return marketData.subscribe(pairs, (snapshot, updatedPairs) => {
+      if (!updatedPairs.some(pair => pairs.includes(pair))) return;
+      handlePriceUpdate(Object.fromEntries(
+        pairs.filter(pair => snapshot.pairs[pair]).map(pair => [pair, snapshot.pairs[pair].quotes])
+      ));
+    });
+  }, [engineFeedKey, handlePriceUpdate]);
+
+  // Active AI strategies keep the feed running while the browser tab is in the background
+  const hasActiveAiStrategies = aiStrategies.some(s => s.status === 'active');
+  useEffect(() => {
+    if (!hasActiveAiStrategies) return undefined;
+    console.log('🤖 Active AI strategies detected - keeping price feed active');
+    return marketData.subscribe(engineFeedKey.split(','), () => {}, { background: true });
+  }, [hasActiveAiStrategies, engineFeedKey]);
+
+  // The spread matrix links here with a spread key: show the Live Opportunities tab with that route
+  useEffect(() => {
+    const key = location.state?.focusSpreadKey;
+    if (!key) return;
+    setTabValue(1);
+    setFocusedSpreadKey(key);
+    navigate(location.pathname, { replace: true, state: null }); // A reload should not jump back here
+  }, [location.state, location.pathname, navigate]);
+
+  const focusedOpportunity = liveDetectedOpportunities.find(opp => opp.spread_key === focusedSpreadKey);
+  const [focusedPair, focusedBuyVenue, focusedSellVenue] = focusedSpreadKey ? focusedSpreadKey.split('|') : [];
+  const focusedRoute = focusedSpreadKey
+    ? `${focusedPair} buy ${getVenueLabel(focusedBuyVenue)} → sell ${getVenueLabel(focusedSellVenue)}`
+    : '';
+  const hasFocusedOpportunity = !!focusedOpportunity;
+  // The route may be on a pair nothing else here watches; keep it quoted while it is focused
+  useEffect(() => (
+    focusedPair ? marketData.subscribe([focusedPair], () => {}) : undefined
+  ), [focusedPair]);
+  useEffect(() => {
+    if (tabValue === 1 && hasFocusedOpportunity) {
+      focusedRowRef.current?.scrollIntoView({ behavior: 'smooth', block: 'center' });
     }
+  }, [tabValue, focusedSpreadKey, hasFocusedOpportunity]);
 
-    return () => {
-      if (tabValue !== 1 && !aiStrategies.some(s => s.status === 'active')) {
-        stopLiveOpportunitiesPriceFeed();
-      }
-    };
-  }, [tabValue, aiStrategies]);
+  const liveOpportunitiesFetching = marketStatus.state === STREAM_STATES.CONNECTING;
+  const liveDataError = opportunitiesError || (Object.keys(currentPrices).length === 0 && marketStatus.error
+    ? `Failed to fetch live prices: ${marketStatus.error}`
+    : null);
 
   const handleCreateStrategy = async () => {
     try {
@@ -724,10 +507,13 @@ function Strategies() {
   // AI Strategy Handlers
   const handleCreateAiStrategy = async () => {
     try {
-      console.log('🤖 Creating new AI Arbitrage Strategy with 100 ALGO');
+      const typeInfo = getStrategyTypeInfo(aiStrategyType);
+      console.log(`🤖 Creating new AI ${typeInfo.label} Strategy with 100 ALGO`);
       
-      const newAiStrategy = await aiArbitrageEngine.createStrategy({
-        name: `AI Arbitrage ${new Date().toLocaleDateString()}`,
+      const newAiStrategy = await aiEngine.createStrategy({
+        name: `AI ${typeInfo.label} ${new Date().toLocaleDateString()}`,
+        type: aiStrategyType,
+        opportunityRanking: aiRanking,
         initialAmount: 100,
         exchanges: ['coingecko', 'htx', 'tinyman'],
         minProfitThreshold: 0.2, // Lowered from 0.5% to 0.2% to match Live Opportunities
@@ -736,16 +522,103 @@ function Strategies() {
       });
 
       console.log('✅ AI Strategy created:', newAiStrategy);
-      setAiStrategies(aiArbitrageEngine.getAllStrategies());
       
       // Show success notification
-      alert(`🚀 AI Arbitrage Strategy created successfully!\nInitial Amount: 100 ALGO\nStrategy ID: ${newAiStrategy.id}`);
+      alert(`🚀 AI ${typeInfo.label} Strategy created successfully!\nInitial Amount: 100 ALGO\nStrategy ID: ${newAiStrategy.id}`);
     } catch (error) {
       console.error('❌ Error creating AI strategy:', error);
       alert('Failed to create AI strategy: ' + error.message);
     }
   };
 
+  // One-click paper strategy from a parameter sweep result, with exactly the backtested config
+  const handleCreateSweptStrategy = async (config) => {
+    try {
+      const strategy = await aiEngine.createStrategy({
+        ...config,
+        name: `AI Optimised ${new Date().toLocaleDateString()}`
+      });
+      console.log('✅ Optimised AI strategy created:', strategy);
+      setSweepSeries(null);
+      setEngineNotice({
+        severity: 'success',
+        message: `Created ${strategy.name}: ${config.minProfitThreshold}% min profit, ${config.maxTradeAmount}% max trade, ${config.cooldownMs / 1000}s cooldown, ${config.riskLevel} risk`
+      });
+    } catch (error) {
+      console.error('❌ Error creating optimised strategy:', error);
+      alert('Failed to create AI strategy: ' + error.message);
+    }
+  };
+
+  // Live strategies sign real Tinyman swaps from the connected wallet
+  const handleCreateLiveAiStrategy = async () => {
+    if (!walletAddress) {
+      alert('Connect your Pera Wallet to create a live strategy.');
+      return;
+    }
+
+    const budget = Number(window.prompt('ALGO budget for this LIVE strategy (real funds from your wallet):', '20'));
+    if (!(budget > 0)) return;
+
+    const confirmed = window.confirm(
+      `⚠️ LIVE TRADING\n\nThis strategy will swap real funds on Tinyman from ${walletAddress.slice(0, 8)}…\n` +
+      `Budget: ${budget} ALGO. Every trade is simulated first and needs your signature in Pera Wallet.\n\nContinue?`
+    );
+    if (!confirmed) return;
+
+    try {
+      const strategy = await aiEngine.createStrategy({
+        name: `AI Live ${new Date().toLocaleDateString()}`,
+        mode: 'live',
+        walletAddress,
+        initialAmount: budget,
+        exchanges: ['coingecko', 'htx', 'tinyman'],
+        minProfitThreshold: 0.2,
+        maxTradeAmount: 20,
+        riskLevel: 'conservative'
+      });
+      console.log('✅ Live AI strategy created:', strategy);
+    } catch (error) {
+      console.error('❌ Error creating live AI strategy:', error);
+      alert('Failed to create live AI strategy: ' + error.message);
+    }
+  };
+
+  const handleExecuteLiveOpportunity = async (opp) => {
+    const liveStrategy = aiStrategies.find(s => s.mode === 'live' && s.status === 'active');
+    if (!liveStrategy) {
+      alert('Create (or activate) a live AI strategy to execute opportunities on-chain.');
+      return;
+    }
+
+    const opportunity = {
+      ...opp,
+      buyExchange: opp.buyExchange || opp.buyDex,
+      sellExchange: opp.sellExchange || opp.sellDex
+    };
+    if (!window.confirm(`Execute ${opportunity.pair} ${opportunity.buyExchange} → ${opportunity.sellExchange} LIVE with "${liveStrategy.name}"?`)) {
+      return;
+    }
+
+    setLiveExecutingId(opp.id);
+    try {
+      const trade = await aiEngine.executeLiveTrade(liveStrategy.id, opportunity, executeTinymanSwap);
+      setEngineNotice({
+        severity: 'success',
+        message: `⛓️ Swap confirmed (${trade.txId.slice(0, 10)}…): ${trade.actualProfit >= 0 ? '+' : ''}${trade.actualProfit.toFixed(4)} ALGO`
+      });
+    } catch (error) {
+      if (error.message.startsWith(WALLET_CANCELLED_PREFIX)) {
+        setEngineNotice({ severity: 'info', message: 'Live trade cancelled in wallet, nothing was submitted' });
+        return;
+      }
+      console.error('❌ Live execution failed:', error);
+      setEngineNotice({ severity: 'error', message: `Live execution failed: ${error.message}` });
+    } finally {
+      setLiveExecutingId(null);
+    }
+  };
+
   const handleToggleAiStrategy = async (strategyId) => {
     try {
       const strategy = aiStrategies.find(s => s.id === strategyId);
@@ -753,25 +626,93 @@ function Strategies() {
 
       if (strategy.status === 'active') {
         console.log('⏸️ Pausing AI strategy:', strategyId);
-        aiArbitrageEngine.pauseStrategy(strategyId);
+        await aiEngine.pauseStrategy(strategyId);
       } else {
         console.log('▶️ Activating AI strategy:', strategyId);
-        aiArbitrageEngine.activateStrategy(strategyId);
+        await aiEngine.activateStrategy(strategyId);
       }
-
-      setAiStrategies(aiArbitrageEngine.getAllStrategies());
     } catch (error) {
       console.error('❌ Error toggling AI strategy:', error);
       alert('Failed to toggle AI strategy: ' + error.message);
     }
   };
 
+  // Surface kill-switch halts as they happen
+  useEngineEvent('halted', ({ strategy, reason }) => {
+    setEngineNotice({ severity: 'error', message: `🛑 ${strategy.name} halted: ${reason}` });
+  });
+
+  const handleResetAiStrategy = (strategyId) => {
+    console.log('🔄 Resetting halted AI strategy:', strategyId);
+    aiEngine.resetStrategy(strategyId);
+  };
+
+  const handleCancelAiTrade = (strategyId, tradeId) => {
+    console.log('🚫 Cancelling AI trade:', tradeId);
+    aiEngine.cancelTrade(strategyId, tradeId);
+  };
+
+  const getAiStatusColor = (status) => {
+    if (status === 'active') return 'success';
+    if (status === 'halted') return 'error';
+    return 'default';
+  };
+
+  // Plugin-specific lines for the details view
+  const describePluginState = (strategy) => {
+    const state = strategy.pluginState;
+    if (strategy.type === 'yield_farming' && state) {
+      const allocations = Object.entries(state.allocations || {})
+        .map(([id, amount]) => `\n  - ${id}: ${amount.toFixed(2)} ALGO`)
+        .join('');
+      return `\n• Allocations:${allocations || ' none yet'}\n• Unharvested Yield: ${(state.accruedYield || 0).toFixed(4)} ALGO`;
+    }
+    if (strategy.type === 'market_making' && state?.quotes) {
+      const { bid, ask, skewPct } = state.quotes;
+      return `\n• Inventory: ${state.algo.toFixed(2)} ALGO / $${state.usd.toFixed(2)} (skew ${skewPct.toFixed(1)}%)` +
+        `\n• Quotes on ${strategy.settings.venue.toUpperCase()}: bid ${bid ? bid.price.toFixed(4) : '-'} / ask ${ask ? ask.price.toFixed(4) : '-'}`;
+    }
+    return '';
+  };
+
+  const describeValuation = (strategy) => {
+    const valuation = strategy.valuation;
+    if (!valuation) return '';
+    const line = (currency) => {
+      const view = valuation[currency];
+      return `\n• ${currency} P&L: ${formatReportingAmount(view.pnl, currency)} (realised ${formatReportingAmount(view.realised, currency)}, unrealised ${formatReportingAmount(view.unrealised, currency)})`;
+    };
+    const venues = valuation.byVenue
+      .filter(venue => Math.abs(venue.ALGO) > 1e-9 || Math.abs(venue.USD) > 1e-9)
+      .map(venue => `\n  - ${venue.venue}: ${venue.ALGO.toFixed(2)} ALGO + $${venue.USD.toFixed(2)}`)
+      .join('');
+    return `\n• Mark Price: $${valuation.price.toFixed(4)} per ALGO${line('ALGO')}${line('USD')}${venues ? `\n• Inventory:${venues}` : ''}`;
+  };
+
+  const getTransfersInTransit = (strategy) => (strategy.accounting?.transfers || [])
+    .filter(transfer => transfer.status === 'in_transit');
+
+  const describeRebalancing = (strategy) => {
+    const inTransit = getTransfersInTransit(strategy);
+    const plan = strategy.rebalancePlan;
+    let text = '';
+    if (inTransit.length > 0) {
+      text += `\n• Transfers in transit:${inTransit.map(t => `\n  - ${describeTransfer(t)}, arrives ${new Date(t.arrivesAt).toLocaleTimeString()}`).join('')}`;
+    }
+    if (plan) {
+      text += `\n• Rebalance proposed (${plan.reason}):${plan.transfers.map(t => `\n  - ${describeTransfer(t)}`).join('')}`;
+    }
+    return text;
+  };
+
   const handleViewAiStrategy = (strategy) => {
     console.log('👁️ Viewing AI strategy details:', strategy);
     
     const details = `
 🤖 AI Strategy Details:
 • Name: ${strategy.name}
+• Type: ${getStrategyTypeInfo(strategy.type).label}
+• Mode: ${(strategy.mode || 'paper').toUpperCase()}
 • Status: ${(strategy.status || 'unknown').toUpperCase()}
 • Initial Amount: ${strategy.initialAmount} ALGO
 • Current Value: ${strategy.currentValue.toFixed(2)} ALGO
@@ -779,8 +720,10 @@ function Strategies() {
 • Total Trades: ${strategy.stats.totalTrades}
 • Successful Trades: ${strategy.stats.successfulTrades}
 • Win Rate: ${strategy.stats.totalTrades > 0 ? ((strategy.stats.successfulTrades / strategy.stats.totalTrades) * 100).toFixed(1) : 0}%
-• Active Trades: ${strategy.activeTrades.length}
-• Created: ${strategy.createdAt.toLocaleDateString()}
+• Open Trades: ${strategy.activeTrades.length}
+• Expired / Cancelled: ${strategy.stats.expiredTrades || 0} / ${strategy.stats.cancelledTrades || 0}
+• Created: ${strategy.createdAt.toLocaleDateString()}${strategy.haltReason ? `
+• Halted: ${strategy.haltReason}` : ''}${describeValuation(strategy)}${describeRebalancing(strategy)}${describePluginState(strategy)}
 
 📊 Current Opportunities: ${realTimeOpportunities.length}
 ⚡ AI Engine Status: ${aiEngineRunning ? 'RUNNING' : 'STOPPED'}
@@ -1064,6 +1007,249 @@ function Strategies() {
             )}
           </CardContent>
         </Card>
+
+        {/* AI Engine Strategies */}
+        <Card sx={{ mt: 3 }}>
+          <CardContent>
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+                <SmartToy color="primary" />
+                <Typography variant="h6" fontWeight={600}>
+                  AI Strategies ({aiStrategies.length})
+                </Typography>
+                <Chip
+                  label={aiEngineRunning ? 'ENGINE RUNNING' : 'ENGINE STOPPED'}
+                  size="small"
+                  color={aiEngineRunning ? 'success' : 'default'}
+                  variant="outlined"
+                />
+              </Box>
+              <Box sx={{ display: 'flex', gap: 1 }}>
+                <TextField
+                  select
+                  size="small"
+                  value={reportingCurrency}
+                  onChange={(e) => setReportingCurrency(e.target.value)}
+                  sx={{ minWidth: 100 }}
+                >
+                  <MenuItem value="ALGO">ALGO</MenuItem>
+                  <MenuItem value="USD">USD</MenuItem>
+                </TextField>
+                <Button
+                  variant="outlined"
+                  size="small"
+                  startIcon={<Tune />}
+                  onClick={() => setSweepSeries(recordedFramesRef.current)}
+                >
+                  Optimise
+                </Button>
+                <Button
+                  variant="outlined"
+                  size="small"
+                  startIcon={<Download />}
+                  onClick={() => setJournalExport({ strategyId: '' })}
+                  disabled={aiStrategies.length === 0}
+                >
+                  Export Journal
+                </Button>
+                <Button
+                  variant="outlined"
+                  size="small"
+                  color="error"
+                  startIcon={<AddIcon />}
+                  onClick={handleCreateLiveAiStrategy}
+                  disabled={!walletAddress}
+                >
+                  Create Live Strategy
+                </Button>
+                <TextField
+                  select
+                  size="small"
+                  value={aiStrategyType}
+                  onChange={(e) => setAiStrategyType(e.target.value)}
+                  sx={{ minWidth: 160 }}
+                >
+                  {strategyTypes.map((type) => (
+                    <MenuItem key={type.value} value={type.value}>
+                      {type.label}
+                    </MenuItem>
+                  ))}
+                </TextField>
+                {aiStrategyType === 'arbitrage' && (
+                  <TextField
+                    select
+                    size="small"
+                    value={aiRanking}
+                    onChange={(e) => setAiRanking(e.target.value)}
+                    sx={{ minWidth: 170 }}
+                  >
+                    <MenuItem value="spread">Rank by spread</MenuItem>
+                    <MenuItem value="expectedValue">Rank by expected value</MenuItem>
+                  </TextField>
+                )}
+                <Button
+                  variant="contained"
+                  size="small"
+                  startIcon={<AddIcon />}
+                  onClick={handleCreateAiStrategy}
+                >
+                  Create AI Strategy
+                </Button>
+              </Box>
+            </Box>
+
+            {engineRejectedQuotes.length > 0 && (
+              <Alert severity="warning" sx={{ mb: 2 }}>
+                <Typography variant="body2" fontWeight={600}>
+                  Engine ignored {engineRejectedQuotes.length} quote{engineRejectedQuotes.length === 1 ? '' : 's'} on the last update
+                </Typography>
+                {engineRejectedQuotes.map(q => (
+                  <Typography key={`${q.pair}-${q.venue}`} variant="caption" display="block">
+                    {(q.venue || '').toUpperCase()} {q.pair}: {q.reason}
+                  </Typography>
+                ))}
+              </Alert>
+            )}
+
+            {aiStrategies.length > 0 && (
+              <Box sx={{ display: 'flex', gap: 1, mb: 2, flexWrap: 'wrap' }}>
+                {Object.entries(summarizeByMode(aiStrategies))
+                  .filter(([, summary]) => summary.strategies > 0)
+                  .map(([mode, summary]) => (
+                    <Chip
+                      key={mode}
+                      variant="outlined"
+                      color={mode === 'live' ? 'error' : 'default'}
+                      label={`${mode.toUpperCase()}: ${summary.strategies} strategies · ${summary.totalTrades} trades · ${summary.totalReturn >= 0 ? '+' : ''}${formatAlgo(summary.totalReturn)}`}
+                    />
+                  ))}
+              </Box>
+            )}
+
+            {aiStrategies.length === 0 ? (
+              <Alert severity="info">
+                No AI strategies yet. Create one to let the engine paper-trade arbitrage, yield farming or market making.
+              </Alert>
+            ) : (
+              <TableContainer component={Paper} variant="outlined">
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Strategy</TableCell>
+                      <TableCell align="right">Value</TableCell>
+                      <TableCell align="right">P&L</TableCell>
+                      <TableCell align="right">Trades</TableCell>
+                      <TableCell>Status</TableCell>
+                      <TableCell align="right">Actions</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {aiStrategies.map((strategy) => {
+                      // Mark-to-market in the reporting currency once a price is known, booked ALGO value until then
+                      const view = strategy.valuation?.[reportingCurrency];
+                      const currency = view ? reportingCurrency : 'ALGO';
+                      const value = view ? view.value : strategy.currentValue;
+                      const pnl = view ? view.pnl : strategy.currentValue - strategy.initialAmount;
+                      return (
+                        <TableRow key={strategy.id}>
+                          <TableCell>
+                            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                              <Typography variant="subtitle2" fontWeight={600}>
+                                {strategy.name}
+                              </Typography>
+                              <Chip
+                                label={strategy.mode === 'live' ? 'LIVE' : 'PAPER'}
+                                size="small"
+                                color={strategy.mode === 'live' ? 'error' : 'default'}
+                                variant={strategy.mode === 'live' ? 'filled' : 'outlined'}
+                              />
+                            </Box>
+                            <Typography variant="caption" color="text.secondary">
+                              {getStrategyTypeInfo(strategy.type).label} · Risk: {strategy.settings.riskLevel}
+                              {(strategy.type || 'arbitrage') === 'arbitrage' && ` · Min profit ${strategy.settings.minProfitThreshold}%`}
+                              {strategy.settings.opportunityRanking === 'expectedValue' && ' · Ranked by EV'}
+                            </Typography>
+                          </TableCell>
+                          <TableCell align="right">
+                            <Typography fontWeight={600}>{formatReportingAmount(value, currency)}</Typography>
+                          </TableCell>
+                          <TableCell align="right">
+                            <Typography color={pnl >= 0 ? 'success.main' : 'error.main'} fontWeight={600}>
+                              {pnl >= 0 ? '+' : ''}{formatReportingAmount(pnl, currency)}
+                            </Typography>
+                            {view && (
+                              <Typography variant="caption" color="text.secondary">
+                                Realised {formatReportingAmount(view.realised, currency)} · Unrealised {formatReportingAmount(view.unrealised, currency)}
+                              </Typography>
+                            )}
+                          </TableCell>
+                          <TableCell align="right">
+                            {strategy.stats.totalTrades} ({strategy.activeTrades.length} open)
+                          </TableCell>
+                          <TableCell>
+                            <Chip
+                              label={(strategy.status || 'unknown').toUpperCase()}
+                              color={getAiStatusColor(strategy.status)}
+                              size="small"
+                            />
+                            {strategy.status === 'halted' && (
+                              <Typography variant="caption" color="error.main" display="block" sx={{ mt: 0.5, maxWidth: 280 }}>
+                                {strategy.haltReason}
+                              </Typography>
+                            )}
+                            {getTransfersInTransit(strategy).length > 0 ? (
+                              <Tooltip title={<span style={{ whiteSpace: 'pre-line' }}>{getTransfersInTransit(strategy).map(describeTransfer).join('\n')}</span>}>
+                                <Chip label="REBALANCING" size="small" color="info" variant="outlined" sx={{ ml: 0.5 }} />
+                              </Tooltip>
+                            ) : strategy.rebalancePlan && (
+                              <Tooltip title={<span style={{ whiteSpace: 'pre-line' }}>{`${strategy.rebalancePlan.reason}\n${strategy.rebalancePlan.transfers.map(describeTransfer).join('\n')}`}</span>}>
+                                <Chip label="REBALANCE PROPOSED" size="small" color="warning" variant="outlined" sx={{ ml: 0.5 }} />
+                              </Tooltip>
+                            )}
+                          </TableCell>
+                          <TableCell align="right">
+                            <Box sx={{ display: 'flex', gap: 0.5, justifyContent: 'flex-end' }}>
+                              {strategy.status === 'halted' ? (
+                                <IconButton
+                                  size="small"
+                                  color="warning"
+                                  title="Reset and reactivate"
+                                  onClick={() => handleResetAiStrategy(strategy.id)}
+                                >
+                                  <RestartAlt />
+                                </IconButton>
+                              ) : (
+                                <IconButton
+                                  size="small"
+                                  onClick={() => handleToggleAiStrategy(strategy.id)}
+                                  color={strategy.status === 'active' ? 'warning' : 'success'}
+                                >
+                                  {strategy.status === 'active' ? <PauseIcon /> : <PlayIcon />}
+                                </IconButton>
+                              )}
+                              <IconButton size="small" onClick={() => handleViewAiStrategy(strategy)}>
+                                <Visibility />
+                              </IconButton>
+                              <IconButton
+                                size="small"
+                                title="Export trade journal"
+                                onClick={() => setJournalExport({ strategyId: strategy.id })}
+                              >
+                                <Download />
+                              </IconButton>
+                            </Box>
+                          </TableCell>
+                        </TableRow>
+                      );
+                    })}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            )}
+
+            <AITradeList strategies={aiStrategies} onCancel={handleCancelAiTrade} />
+          </CardContent>
+        </Card>
       </TabPanel>
 
       {/* Live Opportunities Tab */}
@@ -1104,12 +1290,24 @@ function Strategies() {
               </Button>
             </Box>
             
-            {opportunitiesError ? (
+            {focusedSpreadKey && (
+              <Alert
+                severity={focusedOpportunity ? 'success' : 'info'}
+                onClose={() => setFocusedSpreadKey(null)}
+                sx={{ mb: 2 }}
+              >
+                {focusedOpportunity
+                  ? `Highlighted: ${focusedRoute}`
+                  : `No open opportunity for ${focusedRoute} right now. It is listed and highlighted here once its net spread clears the threshold.`}
+              </Alert>
+            )}
+
+            {liveDataError ? (
               <Alert severity="error" sx={{ mb: 3 }}>
                 <Typography variant="subtitle2" gutterBottom>
                   Live Data Connection Error
                 </Typography>
-                {opportunitiesError}
+                {liveDataError}
                 <Box sx={{ mt: 2 }}>
                   <Button 
                     variant="outlined" 
@@ -1134,7 +1332,7 @@ function Strategies() {
                   )}
                 </Typography>
                 <Typography variant="body2" sx={{ mt: 1, fontStyle: 'italic' }}>
-                  💡 System fetches live prices from CoinGecko, HTX & Tinyman every 5 seconds to detect "Buy from X, Sell to Y" opportunities
+                  💡 Live prices from CoinGecko, HTX & Tinyman stream in continuously to detect "Buy from X, Sell to Y" opportunities
                 </Typography>
               </Alert>
             ) : (
@@ -1164,10 +1362,13 @@ function Strategies() {
                       return (
                         <TableRow 
                           key={opp.id} 
+                          ref={opp.spread_key === focusedSpreadKey ? focusedRowRef : undefined}
                           sx={{ 
                             backgroundColor: isExpiring ? 'error.light' : 'success.light',
                             opacity: isExpiring ? 0.7 : 0.95,
-                            animation: isExpiring ? 'pulse 1s infinite' : 'none'
+                            animation: isExpiring ? 'pulse 1s infinite' : 'none',
+                            outline: opp.spread_key === focusedSpreadKey ? '3px solid' : 'none',
+                            outlineColor: 'primary.main'
                           }}
                         >
                           <TableCell>
@@ -1267,13 +1468,14 @@ function Strategies() {
                               {opp.pair}
                             </Typography>
                             <Chip label="LIVE" size="small" color="success" />
+                            {opp.legs && <Chip label={`${opp.legs.length}-HOP`} size="small" color="secondary" variant="outlined" />}
                           </Box>
                         </TableCell>
                         <TableCell>
-                          <Chip label={opp.buyDex} size="small" color="success" variant="outlined" />
+                          <Chip label={opp.buyDex || opp.buyExchange} size="small" color="success" variant="outlined" />
                         </TableCell>
                         <TableCell>
-                          <Chip label={opp.sellDex} size="small" color="error" variant="outlined" />
+                          <Chip label={opp.sellDex || opp.sellExchange} size="small" color="error" variant="outlined" />
                         </TableCell>
                         <TableCell align="right">
                           <Typography color="success.main" fontWeight={600}>
@@ -1292,6 +1494,23 @@ function Strategies() {
                             size="small"
                             variant="filled"
                           />
+                          {opp.simulation && (
+                            <Tooltip
+                              title={`Monte Carlo, ${opp.simulation.iterations} runs at ${opp.simulation.amount} ALGO: ` +
+                                `P5 ${opp.simulation.percentiles.p5.toFixed(3)} · P50 ${opp.simulation.percentiles.p50.toFixed(3)} · ` +
+                                `P95 ${opp.simulation.percentiles.p95.toFixed(3)} ALGO · fill failures ${(opp.simulation.fillFailureRate * 100).toFixed(1)}% · ` +
+                                `${CALIBRATION_LABELS[opp.simulation.calibration] || CALIBRATION_LABELS.prior}`}
+                            >
+                              <Typography
+                                variant="caption"
+                                display="block"
+                                color={opp.simulation.expectedProfit > 0 ? 'success.main' : 'error.main'}
+                              >
+                                EV {opp.simulation.expectedProfitPct >= 0 ? '+' : ''}{opp.simulation.expectedProfitPct.toFixed(2)}% · P(loss) {(opp.simulation.probabilityOfLoss * 100).toFixed(0)}%
+                                {opp.simulation.calibration !== 'live' && ` (${opp.simulation.calibration === 'paper' ? 'paper' : 'prior'})`}
+                              </Typography>
+                            </Tooltip>
+                          )}
                         </TableCell>
                         <TableCell>
                           <Typography variant="body2" sx={{ 
@@ -1303,7 +1522,11 @@ function Strategies() {
                             borderRadius: '4px',
                             display: 'inline-block'
                           }}>
-                            📊 Buy {(opp.buyDex || 'Unknown').toUpperCase()} → Sell {(opp.sellDex || 'Unknown').toUpperCase()}
+                            {opp.legs ? (
+                              <>🔁 {opp.legs.map(leg => `${leg.from} → ${leg.to} @ ${leg.venue.toUpperCase()}`).join(' · ')}</>
+                            ) : (
+                              <>📊 Buy {(opp.buyDex || opp.buyExchange || 'Unknown').toUpperCase()} → Sell {(opp.sellDex || opp.sellExchange || 'Unknown').toUpperCase()}</>
+                            )}
                           </Typography>
                         </TableCell>
                         <TableCell align="right">
@@ -1319,15 +1542,28 @@ function Strategies() {
                           >
                             {Math.max(0, Math.floor((new Date(opp.expiresAt) - new Date()) / 1000))}s
                           </Typography>
+                          {opp.persistence && (
+                            <Tooltip
+                              title={opp.persistence.basis === 'default'
+                                ? `Only ${opp.persistence.samples} past spreads on this venue pair, default window`
+                                : `From ${opp.persistence.samples} past spreads (${opp.persistence.basis === 'hour' ? 'this hour of day' : 'all hours'}): ` +
+                                  `${Math.round((opp.persistence.survivalProbability ?? 0) * 100)}% outlast execution`}
+                            >
+                              <Typography variant="caption" color="text.secondary" display="block">
+                                {opp.confidence}% conf · open {Math.round(opp.persistence.ageMs / 1000)}s
+                              </Typography>
+                            </Tooltip>
+                          )}
                         </TableCell>
                         <TableCell align="right">
                           <Button
                             variant="contained"
                             size="small"
                             color="success"
-                            disabled={new Date(opp.expiresAt) <= new Date()}
+                            disabled={new Date(opp.expiresAt) <= new Date() || liveExecutingId !== null}
+                            onClick={() => handleExecuteLiveOpportunity(opp)}
                           >
-                            Execute
+                            {liveExecutingId === opp.id ? 'Signing…' : 'Execute'}
                           </Button>
                         </TableCell>
                       </TableRow>
@@ -1405,14 +1641,14 @@ function Strategies() {
             )}
           </CardContent>
         </Card>
+
+        <SpreadLifetimeChart />
       </TabPanel>
 
       {/* Real-Time Feeds Tab */}
       <TabPanel value={tabValue} index={3}>
-        <RealTimePriceFeed 
-          onOpportunityFound={handleRealTimeOpportunity}
-          onPriceUpdate={handlePriceUpdate}
-        />
+        <RealTimePriceFeed />
+        <AlertRulesPanel />
       </TabPanel>
 
       {/* AI Selected Opportunities Tab */}
@@ -1553,13 +1789,36 @@ function Strategies() {
         </Card>
       </TabPanel>
 
-      {/* Hidden RealTimePriceFeed for AI Engine - Always Running */}
-      <Box sx={{ display: 'none' }}>
-        <RealTimePriceFeed 
-          onOpportunityFound={handleRealTimeOpportunity}
-          onPriceUpdate={handlePriceUpdate}
-        />
-      </Box>
+      {/* Parameter Sweep Dialog */}
+      <ParameterSweepDialog
+        open={!!sweepSeries}
+        onClose={() => setSweepSeries(null)}
+        recordedSeries={sweepSeries}
+        onCreateStrategy={handleCreateSweptStrategy}
+      />
+
+      {/* Trade Journal Export Dialog */}
+      <TradeJournalExport
+        key={journalExport?.strategyId ?? 'closed'}
+        open={!!journalExport}
+        onClose={() => setJournalExport(null)}
+        strategies={aiStrategies}
+        initialStrategyId={journalExport?.strategyId || ''}
+      />
+
+      {/* AI engine notifications */}
+      <Snackbar
+        open={!!engineNotice}
+        autoHideDuration={8000}
+        onClose={() => setEngineNotice(null)}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+      >
+        {engineNotice ? (
+          <Alert severity={engineNotice.severity} onClose={() => setEngineNotice(null)} variant="filled">
+            {engineNotice.message}
+          </Alert>
+        ) : <span />}
+      </Snackbar>
 
       {/* Create Strategy Dialog */}
       <Dialog open={createDialog} onClose={() => setCreateDialog(false)} maxWidth="md" fullWidth>
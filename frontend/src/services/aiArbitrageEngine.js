@@ -1,6 +1,80 @@
 // AI Arbitrage Engine - Clean Version
+import { estimateRoundTripCost, getVenue } from '../config/venues';
+import { getDefaultYieldRates } from '../config/yieldProtocols';
+import { detectCycleOpportunities } from './cycleDetector';
+import { estimateFill, findOptimalCycleSize, findOptimalTradeSize } from './liquidityModel';
+import {
+  IN_TRANSIT_VENUE,
+  MARK_PAIR,
+  applyInventoryDeltas,
+  createAccounting,
+  defaultInventoryDeltas,
+  getAvailableBalance,
+  tradeFundingNeeds,
+  valueStrategy
+} from './portfolioAccounting';
+import { DEFAULT_PRICE_GUARD, filterQuotes, getMedianPrice, getQuoteTimestamp } from './priceGuard';
+import {
+  DEFAULT_SIMULATION_ITERATIONS,
+  getOpportunityLegs,
+  simulateOpportunity,
+  simulationConfidence
+} from './profitSimulator';
+import { describeTransfer, planRebalance, positionInventory } from './rebalancingPlanner';
+import { checkTradeAllowed, createRiskState, evaluateHaltConditions } from './riskManager';
+import { systemClock } from './simulationClock';
+import { SPREAD_THRESHOLD_PCT, SpreadPersistenceTracker, measureSpreads } from './spreadPersistence';
+import { DEFAULT_STRATEGY_PLUGINS } from './strategyPlugins';
+import {
+  TRADE_STATES,
+  WALLET_CANCELLED_PREFIX,
+  canTransition,
+  createTradeRecord,
+  isTerminalTradeState,
+  isTradeOpen,
+  transitionTrade
+} from './tradeLifecycle';
+import {
+  SNAPSHOT_SCHEMA_VERSION,
+  decodeSnapshotValue,
+  encodeSnapshotValue,
+  migrateSnapshot
+} from './strategyStorage';
+import { VenueBehaviourRecorder } from './venueBehaviour';
+
+// Events emitted by the engine; payloads are noted next to each name
+export const ENGINE_EVENTS = [
+  'opportunity', // opportunity
+  'tradeOpened', // { strategy, trade }
+  'tradeUpdated', // { strategy, trade } on every lifecycle transition
+  'tradeCompleted', // { strategy, trade } once filled, failed, expired or cancelled
+  'strategyUpdated', // strategy
+  'halted', // { strategy, reason }
+  'quotesRejected', // [{ pair, venue, price, timestamp, code, reason }]
+  'markPrice' // { pair, price, timestamp } fair price used for mark-to-market
+];
+
+const MAX_COMPLETED_TRANSFERS = 20;
+export const DEFAULT_TRADE_COOLDOWN_MS = 10000;
+
+// Paper and live totals for a list of strategies
+export const summarizeByMode = (strategies) => {
+  const summary = {
+    paper: { strategies: 0, totalTrades: 0, totalReturn: 0, capital: 0 },
+    live: { strategies: 0, totalTrades: 0, totalReturn: 0, capital: 0 }
+  };
+  strategies.forEach(strategy => {
+    const bucket = summary[strategy.mode === 'live' ? 'live' : 'paper'];
+    bucket.strategies++;
+    bucket.totalTrades += strategy.stats.totalTrades;
+    bucket.totalReturn += strategy.totalReturn;
+    bucket.capital += strategy.currentValue;
+  });
+  return summary;
+};
+
 export class AIArbitrageEngine {
-  constructor() {
+  constructor(options = {}) {
     this.strategies = new Map();
     this.opportunities = [];
     this.priceData = {};
@@ -8,16 +82,172 @@ export class AIArbitrageEngine {
     this.processedOpportunities = new Set(); // Track processed opportunities
     this.lastTradeTime = new Map(); // Track last trade time per strategy
     this.lastPriceFingerprint = null; // Track significant price changes
+    this.priceGuard = { ...DEFAULT_PRICE_GUARD, ...options.priceGuard }; // Stale/synthetic/outlier limits
+    this.rejectedQuotes = [];
+    this.markPrice = null; // ALGO/USD fair price for dual-currency reporting
+    this.yieldRates = { ...getDefaultYieldRates(), ...options.yieldRates }; // APY % by protocol id
+    this.plugins = new Map(); // Strategy type -> plugin, see strategyPlugins.js
+    (options.plugins || DEFAULT_STRATEGY_PLUGINS).forEach(plugin => this.registerPlugin(plugin));
+    this.storage = options.storage || null; // Snapshot persistence adapter
+    this.clock = options.clock || systemClock; // Injectable for deterministic replays
+    this.random = options.random || Math.random;
+    this.venueBehaviour = options.venueBehaviour || new VenueBehaviourRecorder(); // Feeds the profit simulator
+    this.simulationIterations = options.simulationIterations || DEFAULT_SIMULATION_ITERATIONS;
+    this.spreadPersistence = options.spreadPersistence || new SpreadPersistenceTracker(); // Opportunity expiry and survival
+    this.log = options.logger || ((...args) => console.log(...args));
+    this.persistTimer = null;
+    this.restorePromise = null;
+    this.listeners = new Map(ENGINE_EVENTS.map(event => [event, new Set()]));
+  }
+
+  // Event subscription - returns an unsubscribe function
+  on(event, handler) {
+    const handlers = this.listeners.get(event);
+    if (!handlers) {
+      throw new Error(`Unknown AI engine event: ${event}`);
+    }
+    handlers.add(handler);
+    return () => this.off(event, handler);
+  }
+
+  off(event, handler) {
+    this.listeners.get(event)?.delete(handler);
+  }
+
+  emit(event, payload) {
+    this.listeners.get(event)?.forEach(handler => {
+      try {
+        handler(payload);
+      } catch (error) {
+        console.error(`❌ AI engine '${event}' handler failed:`, error);
+      }
+    });
+  }
+
+  notifyStrategyUpdated(strategy) {
+    strategy.valuation = valueStrategy(strategy, this.markPrice);
+    this.schedulePersist();
+    this.emit('strategyUpdated', strategy);
+  }
+
+  // Strategy plugins
+  registerPlugin(plugin) {
+    if (!plugin?.type || typeof plugin.onMarketUpdate !== 'function') {
+      throw new Error('Strategy plugins need a type and an onMarketUpdate function');
+    }
+    this.plugins.set(plugin.type, plugin);
+  }
+
+  getPlugins() {
+    return Array.from(this.plugins.values());
+  }
+
+  updateYieldRates(rates) {
+    this.yieldRates = { ...this.yieldRates, ...rates };
+    this.log('📈 Yield rates updated:', rates);
+  }
+
+  // Persistence
+  setStorage(storage) {
+    this.storage = storage;
+    this.restorePromise = null;
+  }
+
+  createSnapshot() {
+    return {
+      schemaVersion: SNAPSHOT_SCHEMA_VERSION,
+      savedAt: new Date().toISOString(),
+      strategies: this.getAllStrategies().map(encodeSnapshotValue),
+      lastTradeTime: Array.from(this.lastTradeTime.entries()),
+      processedOpportunities: Array.from(this.processedOpportunities),
+      venueBehaviour: this.venueBehaviour.toJSON(),
+      spreadPersistence: this.spreadPersistence.toJSON()
+    };
+  }
+
+  restoreSnapshot(rawSnapshot) {
+    const snapshot = migrateSnapshot(rawSnapshot);
+    if (!snapshot) return false;
+
+    // Strategies created while the snapshot was loading are kept alongside the restored ones
+    const created = this.strategies;
+    const restored = snapshot.strategies
+      .map(decodeSnapshotValue)
+      .filter(strategy => !created.has(strategy.id));
+    this.strategies = new Map([...restored, ...created.values()].map(strategy => [strategy.id, strategy]));
+    this.lastTradeTime = new Map([...snapshot.lastTradeTime, ...this.lastTradeTime]);
+    this.processedOpportunities = new Set([...snapshot.processedOpportunities, ...this.processedOpportunities]);
+    if (snapshot.venueBehaviour) {
+      this.venueBehaviour = VenueBehaviourRecorder.fromJSON(snapshot.venueBehaviour);
+    }
+    if (snapshot.spreadPersistence) {
+      this.spreadPersistence = SpreadPersistenceTracker.fromJSON(snapshot.spreadPersistence);
+    }
+
+    // A live swap's outcome is unknown once the page is gone, so it is closed out unreconciled.
+    // Paper trades expire if their window closed meanwhile, otherwise their remaining legs fill.
+    restored.forEach(strategy => {
+      strategy.activeTrades
+        .filter(trade => trade.mode === 'live')
+        .forEach(trade => this.closeUnfilledTrade(strategy, trade, TRADE_STATES.FAILED, 'Page closed before the swap was confirmed, check the wallet history'));
+    });
+    this.expireStaleTrades();
+    restored.forEach(strategy => {
+      strategy.activeTrades.forEach(trade => this.scheduleTradeCompletion(strategy, trade));
+      strategy.accounting?.transfers
+        .filter(transfer => transfer.status === 'in_transit')
+        .forEach(transfer => this.scheduleTransferArrival(strategy, transfer));
+    });
+
+    restored.forEach(strategy => this.emit('strategyUpdated', strategy));
+    if (created.size > 0) this.schedulePersist();
+
+    this.log(`💾 Restored ${restored.length} AI strategies from snapshot (${snapshot.savedAt})`);
+    return true;
+  }
+
+  // Loads the stored snapshot once; later calls reuse the first result
+  restoreState() {
+    if (!this.storage) return Promise.resolve(false);
+    if (this.restorePromise) return this.restorePromise;
+
+    this.restorePromise = this.storage.load()
+      .then(snapshot => this.restoreSnapshot(snapshot))
+      .catch(error => {
+        console.error('❌ Failed to restore AI engine state:', error);
+        return false;
+      });
+
+    return this.restorePromise;
+  }
+
+  async persistState() {
+    if (!this.storage) return;
+    clearTimeout(this.persistTimer);
+    this.persistTimer = null;
+
+    try {
+      await this.restorePromise; // Never overwrite the stored snapshot before it has been merged in
+      await this.storage.save(this.createSnapshot());
+    } catch (error) {
+      console.error('❌ Failed to persist AI engine state:', error);
+    }
+  }
+
+  // Coalesce bursts of trade updates into a single write
+  schedulePersist() {
+    if (!this.storage || this.persistTimer) return;
+    this.persistTimer = setTimeout(() => this.persistState(), 500);
   }
 
   start() {
     this.isRunning = true;
-    console.log('🤖 AI Arbitrage Engine started');
+    this.log('🤖 AI Arbitrage Engine started');
     
     // Start periodic opportunity detection and processing
-    this.opportunityInterval = setInterval(() => {
+    this.opportunityInterval = this.clock.setInterval(() => {
       if (this.strategies.size > 0) {
-        console.log('🔄 Periodic opportunity check...');
+        this.log('🔄 Periodic opportunity check...');
         this.processOpportunitiesForActiveStrategies();
       }
     }, 15000); // Every 15 seconds
@@ -26,30 +256,63 @@ export class AIArbitrageEngine {
   stop() {
     this.isRunning = false;
     if (this.opportunityInterval) {
-      clearInterval(this.opportunityInterval);
+      this.clock.clearInterval(this.opportunityInterval);
+    }
+    if (this.persistTimer) {
+      this.persistState();
     }
-    console.log('🛑 AI Arbitrage Engine stopped');
+    this.log('🛑 AI Arbitrage Engine stopped');
   }
 
   createStrategy(config) {
+    const type = config.type || 'arbitrage';
+    const plugin = this.plugins.get(type);
+    if (!plugin) {
+      throw new Error(`Unknown AI strategy type: ${type}`);
+    }
+    const mode = config.mode === 'live' ? 'live' : 'paper';
+    if (mode === 'live' && type !== 'arbitrage') {
+      throw new Error(`${plugin.label} strategies run in paper mode only`);
+    }
+    if (mode === 'live' && !config.walletAddress) {
+      throw new Error('Live strategies need a connected wallet');
+    }
+
+    // Strategies created within the same millisecond (e.g. in a replay) get a suffix
+    let id = this.clock.now().toString();
+    if (this.strategies.has(id)) {
+      id = `${id}_${this.strategies.size}`;
+    }
+
     const strategy = {
-      id: Date.now().toString(),
-      name: config.name || `AI Arbitrage ${Date.now()}`,
+      id,
+      name: config.name || `AI ${plugin.label} ${this.clock.now()}`,
+      type,
       initialAmount: config.initialAmount || 100,
       currentValue: config.initialAmount || 100,
       status: 'active',
-      createdAt: new Date(),
-      lastUpdateAt: new Date(),
+      mode, // 'paper' simulates fills, 'live' signs real Tinyman swaps
+      walletAddress: mode === 'live' ? config.walletAddress : null,
+      haltReason: null,
+      haltedAt: null,
+      createdAt: new Date(this.clock.now()),
+      lastUpdateAt: new Date(this.clock.now()),
+      
+      // Risk tracking (high-water mark and daily baseline)
+      risk: createRiskState(config.initialAmount || 100, this.clock.now()),
       
       // P&L Tracking
       totalReturn: 0,
       totalReturnPct: 0,
       
       // Trading Statistics
+      // totalTrades counts trades that reached a venue (filled or failed)
       stats: {
         totalTrades: 0,
         successfulTrades: 0,
-        failedTrades: 0
+        failedTrades: 0,
+        expiredTrades: 0,
+        cancelledTrades: 0
       },
       
       // Active and completed trades
@@ -58,31 +321,61 @@ export class AIArbitrageEngine {
       
       // Strategy Configuration
       settings: {
+        ...plugin.defaultSettings,
+        ...config.settings,
         exchanges: config.exchanges || ['coingecko', 'htx', 'tinyman'],
         minProfitThreshold: config.minProfitThreshold || 0.2, // Lowered from 0.5% to 0.2%
         maxTradeAmount: config.maxTradeAmount || 20,
-        riskLevel: config.riskLevel || 'moderate'
+        cooldownMs: config.cooldownMs ?? DEFAULT_TRADE_COOLDOWN_MS,
+        riskLevel: config.riskLevel || 'moderate',
+        maxSlippagePct: config.maxSlippagePct || 1, // Live swaps revert beyond this
+        opportunityRanking: config.opportunityRanking || 'spread' // or 'expectedValue' (Monte Carlo)
       }
     };
+    strategy.pluginState = plugin.createState(strategy, this.clock.now());
+    strategy.accounting = createAccounting(strategy.initialAmount, this.markPrice);
+    strategy.rebalancePlan = null;
+    this.refreshPluginInventory(strategy, plugin);
+    this.positionStrategyInventory(strategy);
     
     this.strategies.set(strategy.id, strategy);
-    console.log(`✅ AI Strategy created: ${strategy.name} with ${strategy.initialAmount} ALGO`);
+    this.notifyStrategyUpdated(strategy);
+    this.log(`✅ AI Strategy created: ${strategy.name} with ${strategy.initialAmount} ALGO (${mode})`);
     return strategy;
   }
 
-  updatePriceData(priceData) {
+  setPriceGuard(options) {
+    this.priceGuard = { ...this.priceGuard, ...options };
+  }
+
+  getRejectedQuotes() {
+    return this.rejectedQuotes;
+  }
+
+  updatePriceData(rawPriceData) {
+    // Never trade against stale, synthetic or outlying quotes
+    const { accepted: priceData, rejected } = filterQuotes(rawPriceData, this.priceGuard, this.clock.now());
+    this.rejectedQuotes = rejected;
+    if (rejected.length > 0) {
+      this.log(`🚫 Rejected ${rejected.length} quotes:`, rejected.map(q => `${q.pair}@${q.venue} ${q.reason}`));
+    }
+    this.emit('quotesRejected', rejected);
+    this.recordQuotes(priceData);
+    this.spreadPersistence.recordSpreads(measureSpreads(priceData), this.clock.now());
+    
     // Create price fingerprint to detect significant changes
     const currentFingerprint = this.createPriceFingerprint(priceData);
     
     // Only process if price data has changed significantly
     if (this.lastPriceFingerprint && this.lastPriceFingerprint === currentFingerprint) {
-      console.log('⏭️ Price data unchanged, skipping processing');
+      this.log('⏭️ Price data unchanged, skipping processing');
       return;
     }
     
     this.priceData = priceData;
     this.lastPriceFingerprint = currentFingerprint;
-    console.log('📊 AI Engine price data updated:', Object.keys(priceData));
+    this.updateMarkPrice(priceData);
+    this.log('📊 AI Engine price data updated:', Object.keys(priceData));
     
     // Clean up old processed opportunities (older than 60 seconds)
     this.cleanupOldOpportunities();
@@ -91,6 +384,40 @@ export class AIArbitrageEngine {
     this.processOpportunitiesForActiveStrategies();
   }
 
+  // Quote history drives the simulator's price drift between legs
+  recordQuotes(priceData) {
+    Object.entries(priceData).forEach(([pair, quotes]) => {
+      Object.entries(quotes).forEach(([venue, quote]) => {
+        this.venueBehaviour.recordQuote(pair, venue, quote.price, getQuoteTimestamp(quote));
+      });
+    });
+  }
+
+  // Re-marks every strategy at the cross-venue median; the last known price is kept
+  // when an update has no ALGO/USD quotes
+  updateMarkPrice(priceData) {
+    const price = getMedianPrice(priceData[MARK_PAIR]);
+    if (!price) return;
+
+    this.markPrice = price;
+    this.emit('markPrice', { pair: MARK_PAIR, price, timestamp: new Date(this.clock.now()) });
+    this.strategies.forEach(strategy => {
+      const accounting = strategy.accounting;
+      if (accounting && accounting.initialPrice === null) {
+        // Cost basis and earlier realised P&L are valued at the first price we see
+        accounting.initialPrice = price;
+        accounting.realisedUsd = accounting.realisedUsd ?? strategy.totalReturn * price;
+        this.positionStrategyInventory(strategy);
+        this.notifyStrategyUpdated(strategy);
+      } else if (this.positionStrategyInventory(strategy)) {
+        this.notifyStrategyUpdated(strategy);
+      } else {
+        strategy.valuation = valueStrategy(strategy, price);
+        this.emit('strategyUpdated', strategy); // Derived only, nothing new to persist
+      }
+    });
+  }
+
   createPriceFingerprint(priceData) {
     // Create a simple fingerprint of current prices to detect changes
     if (!priceData || Object.keys(priceData).length === 0) return null;
@@ -108,7 +435,7 @@ export class AIArbitrageEngine {
   }
 
   cleanupOldOpportunities() {
-    const cutoffTime = Date.now() - 60000; // 60 seconds ago
+    const cutoffTime = this.clock.now() - 60000; // 60 seconds ago
     const oldCount = this.processedOpportunities.size;
     
     // Convert Set to Array, filter, then back to Set
@@ -121,51 +448,105 @@ export class AIArbitrageEngine {
     this.processedOpportunities = new Set(recentOpportunities);
     
     if (oldCount !== this.processedOpportunities.size) {
-      console.log(`🧹 Cleaned up ${oldCount - this.processedOpportunities.size} old opportunity records`);
+      this.log(`🧹 Cleaned up ${oldCount - this.processedOpportunities.size} old opportunity records`);
     }
   }
 
   processOpportunitiesForActiveStrategies() {
-    const activeStrategies = Array.from(this.strategies.values()).filter(s => s.status === 'active');
+    this.expireStaleTrades();
+    this.checkRebalancing();
     
-    console.log(`🤖 AI ENGINE STATUS CHECK:
+    // Live strategies only trade opportunities the user picks and signs
+    const activeStrategies = Array.from(this.strategies.values())
+      .filter(s => s.status === 'active' && s.mode !== 'live');
+    
+    this.log(`🤖 AI ENGINE STATUS CHECK:
     • Total strategies: ${this.strategies.size}
     • Active strategies: ${activeStrategies.length}  
     • Price data available: ${this.priceData ? Object.keys(this.priceData).length : 0} pairs
     • Engine running: ${this.isRunning}`);
     
     if (activeStrategies.length === 0) {
-      console.log('⏸️ No active AI strategies to process');
+      this.log('⏸️ No active AI strategies to process');
       return;
     }
     
-    console.log(`🎯 Processing opportunities for ${activeStrategies.length} active strategies`);
+    this.log(`🎯 Processing opportunities for ${activeStrategies.length} active strategies`);
     
     // Detect current opportunities
     const opportunities = this.detectOpportunities();
-    console.log(`📈 Found ${opportunities.length} opportunities`);
+    this.log(`📈 Found ${opportunities.length} opportunities`);
     
     if (opportunities.length > 0) {
-      console.log('📊 Sample opportunities:', opportunities.slice(0, 3).map(o => 
+      this.log('📊 Sample opportunities:', opportunities.slice(0, 3).map(o => 
         `${o.pair}: ${o.netProfitPct?.toFixed(2)}% profit`));
     }
     
     // Process each active strategy
     activeStrategies.forEach(strategy => {
-      this.processStrategyOpportunities(strategy, opportunities);
+      this.runStrategyPlugin(strategy, opportunities);
     });
   }
 
+  runStrategyPlugin(strategy, opportunities) {
+    const plugin = this.plugins.get(strategy.type || 'arbitrage');
+    if (!plugin) {
+      this.log(`⚠️ No plugin registered for ${strategy.name} (${strategy.type})`);
+      return;
+    }
+    
+    const records = plugin.onMarketUpdate(strategy, {
+      engine: this,
+      now: this.clock.now(),
+      priceData: this.priceData,
+      opportunities,
+      yieldRates: this.yieldRates
+    }) || [];
+    records.forEach(record => this.bookPluginTrade(strategy, record));
+    this.refreshPluginInventory(strategy, plugin);
+    
+    if (plugin.type !== 'arbitrage') {
+      this.notifyStrategyUpdated(strategy); // pluginState moved on even without fills
+    }
+  }
+
+  refreshPluginInventory(strategy, plugin) {
+    const inventory = plugin.getInventory?.(strategy);
+    if (inventory) {
+      strategy.accounting.inventory = inventory;
+    }
+  }
+
+  // Plugin fills settle immediately at the P&L the plugin computed
+  bookPluginTrade(strategy, record) {
+    const trade = createTradeRecord({
+      id: `trade_${this.clock.now()}_${this.random().toString(36).substr(2, 9)}`,
+      strategyId: strategy.id,
+      type: strategy.type,
+      mode: 'paper',
+      ...record,
+      expectedProfit: record.profit,
+      legCount: 1,
+      filledLegs: 0
+    }, this.clock.now());
+    
+    strategy.activeTrades.push(trade);
+    this.updateTradeState(strategy, trade, TRADE_STATES.SUBMITTED);
+    this.emit('tradeOpened', { strategy, trade });
+    this.fillTrade(strategy, trade, record.profit);
+    return trade;
+  }
+
   processStrategyOpportunities(strategy, opportunities) {
-    console.log(`🤖 Processing opportunities for strategy: ${strategy.name}`);
+    this.log(`🤖 Processing opportunities for strategy: ${strategy.name}`);
     
-    // Check trade cooldown (minimum 10 seconds between trades)
+    // Check trade cooldown (minimum time between trades, 10 seconds unless configured)
     const lastTrade = this.lastTradeTime.get(strategy.id);
-    const cooldownPeriod = 10000; // 10 seconds
+    const cooldownPeriod = strategy.settings.cooldownMs ?? DEFAULT_TRADE_COOLDOWN_MS;
     
-    if (lastTrade && (Date.now() - lastTrade) < cooldownPeriod) {
-      const remainingCooldown = Math.ceil((cooldownPeriod - (Date.now() - lastTrade)) / 1000);
-      console.log(`⏳ Strategy ${strategy.name} in cooldown for ${remainingCooldown}s`);
+    if (lastTrade && (this.clock.now() - lastTrade) < cooldownPeriod) {
+      const remainingCooldown = Math.ceil((cooldownPeriod - (this.clock.now() - lastTrade)) / 1000);
+      this.log(`⏳ Strategy ${strategy.name} in cooldown for ${remainingCooldown}s`);
       return;
     }
     
@@ -176,76 +557,70 @@ export class AIArbitrageEngine {
     });
     
     if (profitableOpps.length === 0) {
-      console.log(`❌ No profitable opportunities for ${strategy.name} (min: ${strategy.settings.minProfitThreshold}%)
+      this.log(`❌ No profitable opportunities for ${strategy.name} (min: ${strategy.settings.minProfitThreshold}%)
       • Available opportunities: ${opportunities.length}
       • Sample rates: ${opportunities.slice(0, 3).map(o => `${o.netProfitPct?.toFixed(3)}%`).join(', ')}`);
       return;
     }
     
-    console.log(`✅ Found ${profitableOpps.length} profitable opportunities for ${strategy.name}`);
+    this.log(`✅ Found ${profitableOpps.length} profitable opportunities for ${strategy.name}`);
     
-    // Select best opportunity that hasn't been processed recently
-    const bestOpp = profitableOpps
-      .filter(opp => !this.processedOpportunities.has(opp.id))
-      .sort((a, b) => (b.netProfitPct || 0) - (a.netProfitPct || 0))[0];
+    const unprocessedOpps = profitableOpps.filter(opp => !this.processedOpportunities.has(opp.id));
+    if (unprocessedOpps.length === 0) {
+      this.log(`🔄 All profitable opportunities already processed for ${strategy.name}`);
+      return;
+    }
     
-    if (!bestOpp) {
-      console.log(`🔄 All profitable opportunities already processed for ${strategy.name}`);
+    if (strategy.settings.opportunityRanking === 'expectedValue') {
+      this.executeBestByExpectedValue(strategy, unprocessedOpps);
       return;
     }
     
-    console.log(`🎯 Best opportunity: ${bestOpp.pair} - ${bestOpp.netProfitPct?.toFixed(2)}% profit`);
+    // Select best opportunity that hasn't been processed recently
+    const bestOpp = unprocessedOpps.sort((a, b) => (b.netProfitPct || 0) - (a.netProfitPct || 0))[0];
+    
+    this.log(`🎯 Best opportunity: ${bestOpp.pair} - ${bestOpp.netProfitPct?.toFixed(2)}% profit`);
     
     // Execute theoretical trade
     this.executeTheoreticalTrade(strategy, bestOpp);
   }
 
-  executeTheoreticalTrade(strategy, opportunity) {
-    const tradeAmount = Math.min(
-      strategy.currentValue * (strategy.settings.maxTradeAmount / 100),
-      strategy.currentValue * 0.2 // Max 20% per trade
-    );
+  // Sizes every candidate and trades the one with the highest simulated expected profit
+  executeBestByExpectedValue(strategy, opportunities) {
+    const best = opportunities
+      .map(opportunity => ({ opportunity, trade: this.prepareTrade(strategy, opportunity) }))
+      .filter(({ trade }) => trade && trade.simulation.expectedProfit > 0)
+      .sort((a, b) => b.trade.simulation.expectedProfit - a.trade.simulation.expectedProfit)[0];
     
-    if (tradeAmount < 1) {
-      console.log(`❌ Trade amount too small: ${tradeAmount} ALGO`);
+    if (!best) {
+      this.log(`📉 No opportunity with positive expected value for ${strategy.name}`);
       return;
     }
     
-    // Mark this opportunity as processed
-    this.processedOpportunities.add(opportunity.id);
-    
-    // Update last trade time for this strategy
-    this.lastTradeTime.set(strategy.id, Date.now());
-    
-    const profitAmount = tradeAmount * (opportunity.netProfitPct / 100);
-    const newValue = strategy.currentValue + profitAmount;
-    
-    console.log(`� AI Trade: ${strategy.name} - ${tradeAmount.toFixed(2)} ALGO at ${opportunity.netProfitPct?.toFixed(2)}% profit`);
-    
-    // Update strategy IMMEDIATELY
-    strategy.currentValue = newValue;
-    strategy.stats.totalTrades += 1;
-    if (profitAmount > 0) {
-      strategy.stats.successfulTrades += 1;
-    }
-    
-    // Add to completed trades
-    strategy.completedTrades.push({
-      id: Date.now(),
-      timestamp: new Date(),
-      pair: opportunity.pair,
-      buyExchange: opportunity.buyExchange || opportunity.buyDex,
-      sellExchange: opportunity.sellExchange || opportunity.sellDex,
-      amount: tradeAmount,
-      profit: profitAmount,
-      profitPct: opportunity.netProfitPct,
-      success: profitAmount > 0
+    const { opportunity, trade } = best;
+    this.log(`🎯 Best opportunity by EV: ${opportunity.pair} - ${trade.simulation.expectedProfit.toFixed(4)} ALGO expected, ${(trade.simulation.probabilityOfLoss * 100).toFixed(0)}% chance of loss`);
+    this.executeTheoreticalTrade(strategy, opportunity, trade);
+  }
+
+  // Mean time for every leg to fill, from the recorded venue latencies
+  estimateExecutionMs(opportunity) {
+    return getOpportunityLegs(opportunity)
+      .reduce((sum, leg) => sum + this.venueBehaviour.getProfile(leg.venue, leg.pair).latencyMs.mean, 0);
+  }
+
+  getSpreadPersistence() {
+    return this.spreadPersistence.summarize();
+  }
+
+  // Monte Carlo outcome of trading `amount` ALGO; netProfitPct defaults to the quoted return
+  simulateOpportunity(opportunity, amount, netProfitPct = opportunity.netProfitPct) {
+    return simulateOpportunity(opportunity, {
+      amount,
+      netProfitPct,
+      getProfile: (venue, pair) => this.venueBehaviour.getProfile(venue, pair),
+      random: this.random,
+      iterations: this.simulationIterations
     });
-    
-    // Emit delayed completion message to show progressive gains
-    setTimeout(() => {
-      console.log(`� Trade completed: ${strategy.name} +${profitAmount.toFixed(4)} ALGO`);
-    }, 1000);
   }
 
   detectOpportunities() {
@@ -253,61 +628,41 @@ export class AIArbitrageEngine {
       return [];
     }
 
-    const opportunities = [];
+    const now = this.clock.now();
+    const opportunities = measureSpreads(this.priceData)
+      .filter(spread => spread.netProfitPct > SPREAD_THRESHOLD_PCT)
+      .map(spread => ({
+        id: `opp_${now}_${this.random().toString(36).substr(2, 9)}`,
+        pair: spread.pair,
+        buyExchange: spread.buyVenue,
+        sellExchange: spread.sellVenue,
+        buyPrice: spread.buyPrice,
+        sellPrice: spread.sellPrice,
+        spread: spread.spreadPct,
+        netProfitPct: spread.netProfitPct,
+        costPct: spread.costPct,
+        transferTimeMs: spread.transferTimeMs,
+        spreadKey: spread.key,
+        timestamp: new Date(now)
+      }));
     
-    // Analyze each pair
-    Object.entries(this.priceData).forEach(([pair, exchanges]) => {
-      const exchangeNames = Object.keys(exchanges);
-      
-      // Compare all exchange pairs
-      for (let i = 0; i < exchangeNames.length; i++) {
-        for (let j = i + 1; j < exchangeNames.length; j++) {
-          const exchange1 = exchangeNames[i];
-          const exchange2 = exchangeNames[j];
-          
-          const price1 = exchanges[exchange1]?.price;
-          const price2 = exchanges[exchange2]?.price;
-          
-          if (price1 && price2 && price1 > 0 && price2 > 0) {
-            // Calculate arbitrage opportunity
-            let buyExchange, sellExchange, buyPrice, sellPrice;
-            
-            if (price1 < price2) {
-              buyExchange = exchange1;
-              sellExchange = exchange2;
-              buyPrice = price1;
-              sellPrice = price2;
-            } else {
-              buyExchange = exchange2;
-              sellExchange = exchange1;
-              buyPrice = price2;
-              sellPrice = price1;
-            }
-            
-            const spread = ((sellPrice - buyPrice) / buyPrice) * 100;
-            const netProfitPct = spread - 0.1; // Subtract 0.1% for fees
-            
-            if (netProfitPct > 0.1) { // Minimum 0.1% profit (much lower threshold)
-              opportunities.push({
-                id: `opp_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-                pair,
-                buyExchange,
-                sellExchange,
-                buyPrice,
-                sellPrice,
-                spread,
-                netProfitPct,
-                confidence: Math.min(95, 60 + spread * 10),
-                timestamp: new Date(),
-                expiresAt: new Date(Date.now() + 30000) // 30 second window
-              });
-            }
-          }
-        }
+    // Multi-hop cycles across every pair we have prices for
+    opportunities.push(...detectCycleOpportunities(this.priceData, { now: this.clock.now() }));
+    
+    // Reference-size outcome distribution, and how long spreads like this one usually last.
+    // Confidence is the chance of not losing money, scaled by the chance the spread is
+    // still open once every leg has had time to execute.
+    opportunities.forEach(opp => {
+      opp.simulation = this.simulateOpportunity(opp);
+      if (opp.spreadKey) {
+        opp.persistence = this.spreadPersistence.assess(opp.spreadKey, now, this.estimateExecutionMs(opp));
+        opp.expiresAt = opp.persistence.expiresAt;
       }
+      opp.confidence = Math.round(simulationConfidence(opp.simulation) * (opp.persistence?.survivalProbability ?? 1));
     });
 
     this.opportunities = opportunities;
+    opportunities.forEach(opp => this.emit('opportunity', opp));
     return opportunities;
   }
 
@@ -318,7 +673,7 @@ export class AIArbitrageEngine {
     // Get current opportunities
     this.detectOpportunities();
     
-    console.log(`🤖 Processing ${this.opportunities.length} opportunities for ${this.strategies.size} strategies`);
+    this.log(`🤖 Processing ${this.opportunities.length} opportunities for ${this.strategies.size} strategies`);
     
     // Process each active strategy
     for (const [strategyId, strategy] of this.strategies.entries()) {
@@ -353,7 +708,7 @@ export class AIArbitrageEngine {
   shouldExecuteTrade(strategy, opportunity) {
     // Check cooldown - max 1 trade per minute
     const lastTrade = strategy.activeTrades[strategy.activeTrades.length - 1];
-    if (lastTrade && (new Date() - new Date(lastTrade.timestamp)) < 60000) {
+    if (lastTrade && (this.clock.now() - new Date(lastTrade.timestamp)) < 60000) {
       return false;
     }
     
@@ -371,16 +726,56 @@ export class AIArbitrageEngine {
     return true;
   }
 
-  executeTheoreticalTrade(strategy, opportunity) {
-    const tradeAmount = Math.min(
+  executeTheoreticalTrade(strategy, opportunity, trade = this.prepareTrade(strategy, opportunity)) {
+    if (!trade) return null;
+    
+    this.openTrade(strategy, opportunity, trade);
+    this.scheduleTradeCompletion(strategy, trade);
+    
+    this.log(`🚀 AI Trade: ${strategy.name} - ${trade.amount.toFixed(2)} ALGO at ${trade.modelledProfitPct.toFixed(2)}% modelled profit (quoted ${trade.expectedProfitPct.toFixed(2)}%)`);
+    
+    return trade;
+  }
+
+  // Risk check and liquidity sizing; returns the trade record or null when nothing is tradable
+  prepareTrade(strategy, opportunity) {
+    const riskCheck = checkTradeAllowed(strategy, opportunity);
+    if (!riskCheck.allowed) {
+      this.log(`🛡️ Trade blocked for ${strategy.name}: ${riskCheck.reason}`);
+      return null;
+    }
+    
+    const fundableAmount = this.getFundableAmount(strategy, opportunity);
+    if (fundableAmount !== null && fundableAmount < 1) {
+      this.log(`💸 Trade blocked for ${strategy.name}: not enough inventory on ${this.describeFundingVenues(opportunity)}`);
+      return null;
+    }
+    
+    const maxTradeAmount = Math.min(
       (strategy.settings.maxTradeAmount / 100) * strategy.currentValue,
-      strategy.currentValue * 0.15 // Max 15% per trade
+      strategy.currentValue * 0.15, // Max 15% per trade
+      riskCheck.maxAmount,
+      fundableAmount ?? Infinity
     );
     
-    const trade = {
-      id: `trade_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    // Size the trade against each venue's liquidity instead of taking the cap blindly
+    const pair = opportunity.pair || 'ALGO/USD';
+    const sized = opportunity.legs
+      ? this.sizeCycleTrade(opportunity, maxTradeAmount)
+      : this.sizeCrossVenueTrade(opportunity, pair, maxTradeAmount);
+    
+    if (!sized || sized.sizing.netProfit <= 0) {
+      this.log(`❌ No profitable size for ${pair} ${opportunity.buyExchange}→${opportunity.sellExchange} after price impact`);
+      return null;
+    }
+    
+    const { sizing, details } = sized;
+    const tradeAmount = sizing.amount;
+    const now = this.clock.now();
+    const trade = createTradeRecord({
+      id: `trade_${this.clock.now()}_${this.random().toString(36).substr(2, 9)}`,
       strategyId: strategy.id,
-      pair: opportunity.pair || 'ALGO/USD',
+      pair,
       buyExchange: opportunity.buyExchange,
       sellExchange: opportunity.sellExchange,
       buyPrice: opportunity.buyPrice,
@@ -388,55 +783,540 @@ export class AIArbitrageEngine {
       amount: tradeAmount,
       expectedProfit: (opportunity.netProfitPct / 100) * tradeAmount,
       expectedProfitPct: opportunity.netProfitPct,
-      timestamp: new Date(),
-      status: 'active'
-    };
+      // Modelled fills after price impact on each venue
+      ...details,
+      modelledProfit: sizing.netProfit,
+      modelledProfitPct: sizing.netProfitPct,
+      mode: strategy.mode || 'paper',
+      legCount: opportunity.legs ? opportunity.legs.length : 2,
+      filledLegs: 0,
+      expiresAt: opportunity.expiresAt ? new Date(opportunity.expiresAt) : new Date(now + 30000)
+    }, now);
+    trade.simulation = this.simulateOpportunity(opportunity, tradeAmount, sizing.netProfitPct);
+    
+    // Price impact can push the buy cost past the USD that was available at the quoted price
+    if (fundableAmount !== null && !this.canFundTrade(strategy, trade)) {
+      this.log(`💸 Trade blocked for ${strategy.name}: ${tradeAmount.toFixed(2)} ALGO after price impact exceeds the inventory on ${this.describeFundingVenues(opportunity)}`);
+      return null;
+    }
+    
+    return trade;
+  }
+
+  // Largest size the strategy's venue balances can fund, or null while capital is not
+  // positioned on venues yet (it is then assumed to be available wherever it is needed)
+  getFundableAmount(strategy, opportunity) {
+    if (!strategy.accounting?.positioned) return null;
+    
+    if (opportunity.legs) {
+      return getAvailableBalance(strategy, opportunity.legs[0].venue, 'ALGO');
+    }
+    const usd = getAvailableBalance(strategy, opportunity.buyExchange, 'USD');
+    const algo = getAvailableBalance(strategy, opportunity.sellExchange, 'ALGO');
+    return Math.max(0, Math.min(usd / opportunity.buyPrice, algo));
+  }
+
+  canFundTrade(strategy, trade) {
+    return tradeFundingNeeds(trade).every(need => getAvailableBalance(strategy, need.venue, need.asset) >= need.amount - 1e-9);
+  }
+
+  describeFundingVenues(opportunity) {
+    return opportunity.legs
+      ? `${getVenue(opportunity.legs[0].venue).label} (ALGO)`
+      : `${getVenue(opportunity.buyExchange).label} (USD) / ${getVenue(opportunity.sellExchange).label} (ALGO)`;
+  }
+
+  // Arbitrage capital starts on the strategy's venues, half in ALGO and half in USD.
+  // Needs a mark price to convert; returns true when the inventory moved.
+  positionStrategyInventory(strategy) {
+    const accounting = strategy.accounting;
+    if ((strategy.type || 'arbitrage') !== 'arbitrage' || !accounting || accounting.positioned || !this.markPrice) {
+      return false;
+    }
+    accounting.inventory = positionInventory(accounting.inventory, strategy.settings.exchanges, this.markPrice);
+    accounting.positioned = true;
+    this.log(`🏦 ${strategy.name}: capital positioned on ${strategy.settings.exchanges.map(venue => getVenue(venue).label).join(', ')}`);
+    return true;
+  }
+
+  // Re-plans every positioned strategy once its transfers have landed. Paper strategies
+  // simulate the plan right away; live strategies only get the proposal to act on.
+  checkRebalancing() {
+    this.strategies.forEach(strategy => {
+      if (!strategy.accounting?.positioned) return;
+      if (strategy.accounting.transfers.some(transfer => transfer.status === 'in_transit')) return;
+      
+      const hadPlan = Boolean(strategy.rebalancePlan);
+      const plan = this.planRebalance(strategy.id);
+      if (plan && strategy.mode !== 'live' && strategy.status === 'active') {
+        this.executeRebalance(strategy.id);
+      } else if (plan || hadPlan) {
+        this.notifyStrategyUpdated(strategy);
+      }
+    });
+  }
+
+  planRebalance(strategyId) {
+    const strategy = this.strategies.get(strategyId);
+    if (!strategy?.accounting?.positioned) return null;
     
-    // Add to active trades
+    const previous = strategy.rebalancePlan;
+    strategy.rebalancePlan = planRebalance({
+      inventory: strategy.accounting.inventory,
+      venues: strategy.settings.exchanges,
+      price: this.markPrice,
+      now: this.clock.now()
+    });
+    if (strategy.rebalancePlan && strategy.rebalancePlan.reason !== previous?.reason) {
+      this.log(`⚖️ Rebalance proposed for ${strategy.name}: ${strategy.rebalancePlan.reason}`);
+    }
+    return strategy.rebalancePlan;
+  }
+
+  // Paper only: funds leave the sending venue (plus its withdrawal fee) at once and
+  // sit in transit until the receiving venue credits them
+  executeRebalance(strategyId) {
+    const strategy = this.strategies.get(strategyId);
+    if (!strategy) {
+      throw new Error(`Unknown AI strategy: ${strategyId}`);
+    }
+    if (strategy.mode === 'live') {
+      throw new Error('Live strategies rebalance by withdrawing from the venues themselves');
+    }
+    const plan = strategy.rebalancePlan || this.planRebalance(strategyId);
+    if (!plan) return null;
+    
+    const now = this.clock.now();
+    const accounting = strategy.accounting;
+    plan.transfers.forEach((planned, index) => {
+      const transfer = {
+        ...planned,
+        id: `transfer_${now}_${index}`,
+        status: 'in_transit',
+        startedAt: new Date(now),
+        arrivesAt: new Date(now + planned.transferTimeMs)
+      };
+      applyInventoryDeltas(accounting.inventory, [
+        { venue: transfer.from, asset: transfer.asset, amount: -(transfer.amount + transfer.fee) },
+        { venue: IN_TRANSIT_VENUE, asset: transfer.asset, amount: transfer.amount }
+      ]);
+      this.bookTransferFee(strategy, transfer);
+      accounting.transfers.push(transfer);
+      this.scheduleTransferArrival(strategy, transfer);
+      this.log(`🚚 Rebalancing ${strategy.name}: ${describeTransfer(transfer)}`);
+    });
+    strategy.rebalancePlan = null;
+    this.notifyStrategyUpdated(strategy);
+    return plan;
+  }
+
+  // Withdrawal fees are a realised cost in both reporting currencies
+  bookTransferFee(strategy, transfer) {
+    const feeAlgo = transfer.asset === 'ALGO' ? transfer.fee : this.markPrice ? transfer.fee / this.markPrice : 0;
+    const feeUsd = transfer.asset === 'USD' ? transfer.fee : transfer.fee * (this.markPrice || 0);
+    strategy.currentValue -= feeAlgo;
+    strategy.totalReturn -= feeAlgo;
+    strategy.totalReturnPct = ((strategy.currentValue - strategy.initialAmount) / strategy.initialAmount) * 100;
+    if (strategy.accounting.realisedUsd !== null) {
+      strategy.accounting.realisedUsd -= feeUsd;
+    }
+  }
+
+  scheduleTransferArrival(strategy, transfer) {
+    const delay = Math.max(0, new Date(transfer.arrivesAt).getTime() - this.clock.now());
+    this.clock.setTimeout(() => this.completeTransfer(strategy, transfer), delay);
+  }
+
+  completeTransfer(strategy, transfer) {
+    if (transfer.status !== 'in_transit') return;
+    
+    applyInventoryDeltas(strategy.accounting.inventory, [
+      { venue: IN_TRANSIT_VENUE, asset: transfer.asset, amount: -transfer.amount },
+      { venue: transfer.to, asset: transfer.asset, amount: transfer.amount }
+    ]);
+    transfer.status = 'completed';
+    transfer.completedAt = new Date(this.clock.now());
+    
+    // Keep the in-flight transfers and the most recent completed ones
+    const completed = strategy.accounting.transfers.filter(t => t.status === 'completed');
+    if (completed.length > MAX_COMPLETED_TRANSFERS) {
+      const dropped = new Set(completed.slice(0, completed.length - MAX_COMPLETED_TRANSFERS));
+      strategy.accounting.transfers = strategy.accounting.transfers.filter(t => !dropped.has(t));
+    }
+    
+    this.log(`📬 Transfer arrived for ${strategy.name}: ${describeTransfer(transfer)}`);
+    this.notifyStrategyUpdated(strategy);
+  }
+
+  openTrade(strategy, opportunity, trade) {
     strategy.activeTrades.push(trade);
+    if (opportunity.id) {
+      this.processedOpportunities.add(opportunity.id);
+    }
+    this.lastTradeTime.set(strategy.id, this.clock.now());
+    this.updateTradeState(strategy, trade, TRADE_STATES.SUBMITTED);
+    this.emit('tradeOpened', { strategy, trade });
+  }
+
+  // Live mode: the Tinyman leg is swapped on-chain through executeSwap (see liveExecution.js),
+  // the off-chain leg is booked at its modelled price
+  async executeLiveTrade(strategyId, opportunity, executeSwap) {
+    const strategy = this.strategies.get(strategyId);
+    if (!strategy || strategy.mode !== 'live') {
+      throw new Error('Live execution needs a live strategy');
+    }
+    if (strategy.status !== 'active') {
+      throw new Error(`Strategy ${strategy.name} is ${strategy.status}`);
+    }
     
-    // Simulate trade completion with realistic results
-    setTimeout(() => {
-      this.completeTrade(strategy, trade);
-    }, 3000 + Math.random() * 7000); // 3-10 seconds
+    const dexSide = opportunity.buyExchange === 'tinyman' ? 'buy'
+      : opportunity.sellExchange === 'tinyman' ? 'sell'
+      : null;
+    if (opportunity.legs || !dexSide) {
+      throw new Error('Live mode only executes cross-venue opportunities with a Tinyman leg');
+    }
     
-    console.log(`🚀 AI Trade: ${strategy.name} - ${tradeAmount.toFixed(2)} ALGO at ${opportunity.netProfitPct.toFixed(2)}% profit`);
+    const trade = this.prepareTrade(strategy, opportunity);
+    if (!trade) {
+      throw new Error('Opportunity is not profitable at any size within the risk limits');
+    }
+    trade.dexSide = dexSide;
+    this.openTrade(strategy, opportunity, trade);
+    this.log(`⛓️ Live trade submitting: ${strategy.name} - ${dexSide} ${trade.amount.toFixed(2)} ALGO on Tinyman`);
+    
+    const submittedAt = this.clock.now();
+    try {
+      const fill = await executeSwap({
+        sender: strategy.walletAddress,
+        side: dexSide,
+        amountAlgo: trade.amount,
+        price: dexSide === 'buy' ? trade.buyPrice : trade.sellPrice,
+        slippagePct: strategy.settings.maxSlippagePct ?? 1
+      });
+      const actualProfit = this.reconcileLiveFill(trade, fill);
+      this.fillTradeLeg(strategy, trade, { venue: 'tinyman', txId: fill.txId });
+      this.fillTrade(strategy, trade, actualProfit);
+      this.recordLiveExecution(trade, submittedAt);
+    } catch (error) {
+      if (error.message.startsWith(WALLET_CANCELLED_PREFIX)) {
+        this.closeUnfilledTrade(strategy, trade, TRADE_STATES.CANCELLED, error.message);
+      } else {
+        this.venueBehaviour.recordExecution('tinyman', { latencyMs: this.clock.now() - submittedAt, failed: true, mode: 'live' });
+        this.closeUnfilledTrade(strategy, trade, TRADE_STATES.FAILED, error.message);
+      }
+      throw error;
+    }
     
     return trade;
   }
 
-  completeTrade(strategy, trade) {
-    // Simulate realistic profit (85-95% of expected due to slippage)
-    const successRate = 0.85 + Math.random() * 0.1;
-    const actualProfit = trade.expectedProfit * successRate;
+  // Actual P&L from the confirmed swap; Tinyman's fee is already inside the fill price
+  reconcileLiveFill(trade, fill) {
+    trade.txId = fill.txId;
+    trade.confirmedRound = fill.confirmedRound;
+    trade.amount = fill.algoAmount;
+    trade.actualBuyPrice = trade.dexSide === 'buy' ? fill.fillPrice : (trade.modelledBuyPrice ?? trade.buyPrice);
+    trade.actualSellPrice = trade.dexSide === 'sell' ? fill.fillPrice : (trade.modelledSellPrice ?? trade.sellPrice);
     
-    // Update trade
-    trade.status = 'completed';
-    trade.actualProfit = actualProfit;
-    trade.completedAt = new Date();
+    const offChainFeePct = trade.tradingFeePct - getVenue('tinyman').takerFeePct;
+    const spreadPct = ((trade.actualSellPrice - trade.actualBuyPrice) / trade.actualBuyPrice) * 100;
+    return (fill.algoAmount * (spreadPct - offChainFeePct)) / 100 - trade.fixedCostAlgo;
+  }
+
+  // Slippage is measured against the modelled fill, so it excludes expected price impact
+  recordLiveExecution(trade, submittedAt) {
+    const modelled = trade.dexSide === 'buy' ? trade.modelledBuyPrice : trade.modelledSellPrice;
+    const actual = trade.dexSide === 'buy' ? trade.actualBuyPrice : trade.actualSellPrice;
+    const adversePct = ((actual - modelled) / modelled) * 100 * (trade.dexSide === 'buy' ? 1 : -1);
+    this.venueBehaviour.recordExecution('tinyman', {
+      latencyMs: this.clock.now() - submittedAt,
+      slippagePct: adversePct,
+      mode: 'live'
+    });
+  }
+
+  sizeCrossVenueTrade(opportunity, pair, maxTradeAmount) {
+    const costs = estimateRoundTripCost({
+      buyVenue: opportunity.buyExchange,
+      sellVenue: opportunity.sellExchange,
+      price: opportunity.buyPrice
+    });
+    const sizing = findOptimalTradeSize({
+      buyVenue: opportunity.buyExchange,
+      buyQuote: this.priceData[pair]?.[opportunity.buyExchange] || { price: opportunity.buyPrice },
+      sellVenue: opportunity.sellExchange,
+      sellQuote: this.priceData[pair]?.[opportunity.sellExchange] || { price: opportunity.sellPrice },
+      feePct: costs.tradingFeePct,
+      fixedCost: costs.fixedCostAlgo,
+      minAmount: 1,
+      maxAmount: maxTradeAmount
+    });
+    if (!sizing) return null;
+    
+    return {
+      sizing,
+      details: {
+        modelledBuyPrice: sizing.buyFill.avgPrice,
+        modelledSellPrice: sizing.sellFill.avgPrice,
+        buyPriceImpactPct: sizing.buyFill.priceImpactPct,
+        sellPriceImpactPct: sizing.sellFill.priceImpactPct,
+        tradingFeePct: costs.tradingFeePct,
+        fixedCostAlgo: costs.fixedCostAlgo
+      }
+    };
+  }
+
+  sizeCycleTrade(opportunity, maxTradeAmount) {
+    // Capital is in ALGO, so only cycles that start and end in ALGO are tradable
+    if (opportunity.startAsset !== 'ALGO') return null;
+    
+    const legs = opportunity.legs.map(leg => ({ ...leg, feePct: getVenue(leg.venue).takerFeePct }));
+    const fixedCostAlgo = legs.reduce((sum, leg) => sum + getVenue(leg.venue).networkFeeAlgo, 0);
+    const sizing = findOptimalCycleSize({
+      legs,
+      priceData: this.priceData,
+      fixedCost: fixedCostAlgo,
+      minAmount: 1,
+      maxAmount: maxTradeAmount
+    });
+    if (!sizing) return null;
+    
+    return {
+      sizing,
+      details: {
+        legs: opportunity.legs.map((leg, i) => ({
+          ...leg,
+          modelledPrice: sizing.fills[i].avgPrice,
+          priceImpactPct: sizing.fills[i].priceImpactPct
+        })),
+        tradingFeePct: legs.reduce((sum, leg) => sum + leg.feePct, 0),
+        fixedCostAlgo
+      }
+    };
+  }
+
+  // Paper fills: legs fill one after another over 3-10 seconds at the modelled prices.
+  // Like a live swap, a leg fails when the venue can no longer fill the size or the
+  // price has moved past the strategy's slippage limit since the trade was sized.
+  scheduleTradeCompletion(strategy, trade) {
+    const delay = 3000 + this.random() * 7000;
+    for (let leg = trade.filledLegs + 1; leg <= trade.legCount; leg++) {
+      this.clock.setTimeout(() => {
+        if (!isTradeOpen(trade)) return; // Cancelled or expired meanwhile
+        const { venue, adversePct } = this.repricePaperLeg(trade, leg);
+        const maxSlippagePct = strategy.settings.maxSlippagePct ?? 1;
+        const failureReason = adversePct === null
+          ? `Not enough liquidity on ${getVenue(venue).label} to fill ${trade.amount.toFixed(2)} ALGO`
+          : adversePct > maxSlippagePct
+            ? `${getVenue(venue).label} price moved ${adversePct.toFixed(2)}% against the fill, beyond the ${maxSlippagePct}% slippage limit`
+            : null;
+        const previousStepAt = new Date(trade.transitions[trade.transitions.length - 1].at).getTime();
+        this.venueBehaviour.recordExecution(venue, {
+          latencyMs: this.clock.now() - previousStepAt,
+          slippagePct: failureReason ? 0 : adversePct,
+          failed: Boolean(failureReason),
+          mode: 'paper'
+        });
+        if (failureReason && trade.filledLegs > 0) {
+          this.closeUnwoundTrade(strategy, trade, failureReason);
+        } else if (failureReason) {
+          this.closeUnfilledTrade(strategy, trade, TRADE_STATES.FAILED, failureReason);
+        } else if (leg === trade.legCount) {
+          this.fillTrade(strategy, trade);
+        } else {
+          this.fillTradeLeg(strategy, trade);
+        }
+      }, (delay * leg) / trade.legCount);
+    }
+  }
+
+  // One paper leg priced on the venue's quote at fill time. adversePct is how much worse than
+  // modelled the fill is (negative when better), null when the venue cannot fill the size.
+  repricePaperLeg(trade, leg) {
+    if (trade.legs) {
+      const { venue, pair, side, price } = trade.legs[leg - 1];
+      const quote = this.priceData[pair]?.[venue];
+      const movePct = quote?.price > 0 ? ((quote.price - price) / price) * 100 : 0;
+      return { venue, adversePct: side === 'buy' ? movePct : -movePct };
+    }
+
+    const side = leg === 1 ? 'buy' : 'sell';
+    const venue = side === 'buy' ? trade.buyExchange : trade.sellExchange;
+    const quotedPrice = side === 'buy' ? trade.buyPrice : trade.sellPrice;
+    const modelled = (side === 'buy' ? trade.modelledBuyPrice : trade.modelledSellPrice) ?? quotedPrice;
+    const fill = estimateFill(venue, this.priceData[trade.pair]?.[venue] || { price: quotedPrice }, side, trade.amount);
+    if (!fill) return { venue, adversePct: null };
+    const movePct = ((fill.avgPrice - modelled) / modelled) * 100;
+    return { venue, adversePct: side === 'buy' ? movePct : -movePct };
+  }
+
+  // Sells back what a paper trade's filled legs bought, each on its own venue at the current
+  // price and paying its fees again. Returns the P&L in ALGO and how it moves the inventory.
+  unwindPaperLegs(trade) {
+    const filled = trade.legs
+      ? trade.legs.slice(0, trade.filledLegs).map(leg => ({
+          venue: leg.venue,
+          side: leg.side,
+          fillPrice: leg.modelledPrice ?? leg.price,
+          exitPrice: this.priceData[leg.pair]?.[leg.venue]?.price
+        }))
+      : [{
+          venue: trade.buyExchange,
+          side: 'buy',
+          fillPrice: trade.modelledBuyPrice ?? trade.buyPrice,
+          exitPrice: estimateFill(trade.buyExchange, this.priceData[trade.pair]?.[trade.buyExchange] || { price: trade.buyPrice }, 'sell', trade.amount)?.avgPrice
+            ?? this.priceData[trade.pair]?.[trade.buyExchange]?.price
+        }];
+
+    const unwindPct = filled.reduce((sum, { venue, side, fillPrice, exitPrice }) => {
+      const movePct = exitPrice > 0 ? ((exitPrice - fillPrice) / fillPrice) * 100 : 0;
+      return sum + (side === 'buy' ? movePct : -movePct) - 2 * getVenue(venue).takerFeePct;
+    }, 0);
+    const fixedCostAlgo = filled.reduce((sum, { venue }) => sum + 2 * getVenue(venue).networkFeeAlgo, 0);
+    const profit = (trade.amount * unwindPct) / 100 - fixedCostAlgo;
+
+    // Cycles end back in ALGO on their first venue; a cross-venue buy is sold back for USD
+    // where it was bought, so only the difference stays on that venue
+    const inventoryDeltas = trade.legs
+      ? [{ venue: trade.legs[0].venue, asset: 'ALGO', amount: profit }]
+      : [{ venue: trade.buyExchange, asset: 'USD', amount: profit * (this.markPrice || filled[0].fillPrice) }];
+    return { profit, inventoryDeltas };
+  }
+
+  // Applies a lifecycle transition and keeps the trade lists, stats and listeners in step
+  updateTradeState(strategy, trade, status, details = {}) {
+    transitionTrade(trade, status, this.clock.now(), details);
+    strategy.lastUpdateAt = new Date(this.clock.now());
     
-    // Update strategy
+    if (isTerminalTradeState(status)) {
+      const index = strategy.activeTrades.findIndex(t => t.id === trade.id);
+      if (index !== -1) {
+        strategy.activeTrades.splice(index, 1);
+        strategy.completedTrades.push(trade);
+      }
+      this.recordTradeOutcome(strategy, trade);
+    }
+    
+    this.notifyStrategyUpdated(strategy);
+    this.emit('tradeUpdated', { strategy, trade });
+    if (isTerminalTradeState(status)) {
+      this.emit('tradeCompleted', { strategy, trade });
+    }
+  }
+
+  // Expired and cancelled trades never reached a venue, so they stay out of the win rate
+  recordTradeOutcome(strategy, trade) {
+    const stats = strategy.stats;
+    if (trade.status === TRADE_STATES.FILLED) {
+      stats.totalTrades++;
+      if (trade.actualProfit > 0) {
+        stats.successfulTrades++;
+      } else {
+        stats.failedTrades++;
+      }
+    } else if (trade.status === TRADE_STATES.FAILED) {
+      stats.totalTrades++;
+      stats.failedTrades++;
+    } else if (trade.status === TRADE_STATES.EXPIRED) {
+      stats.expiredTrades = (stats.expiredTrades || 0) + 1;
+    } else if (trade.status === TRADE_STATES.CANCELLED) {
+      stats.cancelledTrades = (stats.cancelledTrades || 0) + 1;
+    }
+  }
+
+  fillTradeLeg(strategy, trade, details = {}) {
+    trade.filledLegs++;
+    this.updateTradeState(strategy, trade, TRADE_STATES.PARTIALLY_FILLED, { filledLegs: trade.filledLegs, ...details });
+  }
+
+  // Paper trades fill at the modelled prices; trades restored from older snapshots have no model
+  fillTrade(strategy, trade, actualProfit = trade.modelledProfit ?? trade.expectedProfit) {
+    if (!canTransition(trade, TRADE_STATES.FILLED)) return;
+    
+    trade.filledLegs = trade.legCount;
+    this.bookTradeProfit(strategy, trade, actualProfit);
+    this.updateTradeState(strategy, trade, TRADE_STATES.FILLED);
+    this.checkHaltConditions(strategy);
+    
+    this.log(`💰 Trade filled: ${strategy.name} +${actualProfit.toFixed(4)} ALGO`);
+  }
+
+  // P&L is only booked once a trade closes with fills: every leg filled, or the filled legs unwound
+  bookTradeProfit(strategy, trade, actualProfit) {
+    trade.actualProfit = actualProfit;
     strategy.currentValue += actualProfit;
     strategy.totalReturn += actualProfit;
     strategy.totalReturnPct = ((strategy.currentValue - strategy.initialAmount) / strategy.initialAmount) * 100;
-    strategy.lastUpdateAt = new Date();
+    this.bookFillInventory(strategy, trade);
+  }
+
+  checkHaltConditions(strategy) {
+    const haltReason = evaluateHaltConditions(strategy, this.clock.now());
+    if (haltReason && strategy.status !== 'halted') {
+      this.haltStrategy(strategy, haltReason);
+    }
+  }
+
+  // Realised P&L in USD at the fill's fair price, and the inventory that produced it
+  bookFillInventory(strategy, trade) {
+    const accounting = strategy.accounting;
+    trade.markPrice = this.markPrice;
+    if (accounting.realisedUsd !== null && this.markPrice) {
+      accounting.realisedUsd += trade.actualProfit * this.markPrice;
+    }
+    applyInventoryDeltas(accounting.inventory, trade.inventoryDeltas || defaultInventoryDeltas(trade, this.markPrice));
+  }
+
+  // A paper leg failed after earlier legs filled: the position they left is unwound and its
+  // cost booked, the same way the profit simulator charges a failure after the first leg
+  closeUnwoundTrade(strategy, trade, reason) {
+    if (!canTransition(trade, TRADE_STATES.FAILED)) return;
+    
+    const unwind = this.unwindPaperLegs(trade);
+    trade.inventoryDeltas = unwind.inventoryDeltas;
+    this.bookTradeProfit(strategy, trade, unwind.profit);
+    this.updateTradeState(strategy, trade, TRADE_STATES.FAILED, { reason, unwoundLegs: trade.filledLegs });
+    this.checkHaltConditions(strategy);
     
-    // Update statistics
-    strategy.stats.totalTrades++;
-    if (actualProfit > 0) {
-      strategy.stats.successfulTrades++;
+    console.warn(`❌ Trade failed: ${strategy.name} - ${reason}, filled legs unwound for ${unwind.profit.toFixed(4)} ALGO`);
+  }
+
+  // Trades that fail, expire or are cancelled before any leg filled close without P&L
+  closeUnfilledTrade(strategy, trade, status, reason) {
+    if (!canTransition(trade, status)) return;
+    
+    trade.actualProfit = 0;
+    this.updateTradeState(strategy, trade, status, { reason });
+    
+    if (status === TRADE_STATES.FAILED) {
+      console.warn(`❌ Trade failed: ${strategy.name} - ${reason}`);
     } else {
-      strategy.stats.failedTrades++;
+      this.log(`🚫 Trade ${status}: ${strategy.name} - ${reason}`);
     }
-    
-    // Move from active to completed
-    const index = strategy.activeTrades.findIndex(t => t.id === trade.id);
-    if (index !== -1) {
-      strategy.activeTrades.splice(index, 1);
-      strategy.completedTrades.push(trade);
+  }
+
+  // Paper trades still waiting for their first fill when the opportunity window closes.
+  // Live trades are left alone: the swap is already with the wallet or the chain.
+  expireStaleTrades() {
+    const now = this.clock.now();
+    this.strategies.forEach(strategy => {
+      strategy.activeTrades
+        .filter(trade => trade.mode !== 'live' && trade.expiresAt && now > new Date(trade.expiresAt).getTime())
+        .filter(trade => canTransition(trade, TRADE_STATES.EXPIRED))
+        .forEach(trade => this.closeUnfilledTrade(strategy, trade, TRADE_STATES.EXPIRED, 'Opportunity expired before any leg filled'));
+    });
+  }
+
+  // Withdraws a paper trade that has not filled yet
+  cancelTrade(strategyId, tradeId, reason = 'Cancelled by user') {
+    const strategy = this.strategies.get(strategyId);
+    const trade = strategy?.activeTrades.find(t => t.id === tradeId);
+    if (!trade || trade.mode === 'live' || !canTransition(trade, TRADE_STATES.CANCELLED)) {
+      this.log(`⚠️ Trade ${tradeId} cannot be cancelled`);
+      return false;
     }
-    
-    console.log(`💰 Trade completed: ${strategy.name} +${actualProfit.toFixed(4)} ALGO`);
+    this.closeUnfilledTrade(strategy, trade, TRADE_STATES.CANCELLED, reason);
+    return true;
   }
 
   // Management methods
@@ -444,11 +1324,21 @@ export class AIArbitrageEngine {
     return Array.from(this.strategies.values());
   }
 
+  // Paper and live results are never mixed
+  getModeSummary() {
+    return summarizeByMode(this.getAllStrategies());
+  }
+
   activateStrategy(id) {
     const strategy = this.strategies.get(id);
+    if (strategy?.status === 'halted') {
+      this.log(`🛑 Strategy ${strategy.name} is halted (${strategy.haltReason}), reset it first`);
+      return;
+    }
     if (strategy) {
       strategy.status = 'active';
-      console.log(`▶️ Strategy ${strategy.name} activated`);
+      this.notifyStrategyUpdated(strategy);
+      this.log(`▶️ Strategy ${strategy.name} activated`);
     }
   }
 
@@ -456,55 +1346,38 @@ export class AIArbitrageEngine {
     const strategy = this.strategies.get(id);
     if (strategy) {
       strategy.status = 'paused';
-      console.log(`⏸️ Strategy ${strategy.name} paused`);
+      this.notifyStrategyUpdated(strategy);
+      this.log(`⏸️ Strategy ${strategy.name} paused`);
     }
   }
 
+  // Kill-switch: stops new trades until the user resets the strategy
+  haltStrategy(strategy, reason) {
+    strategy.status = 'halted';
+    strategy.haltReason = reason;
+    strategy.haltedAt = new Date(this.clock.now());
+    this.notifyStrategyUpdated(strategy);
+    this.emit('halted', { strategy, reason });
+    console.warn(`🛑 Strategy ${strategy.name} halted: ${reason}`);
+  }
+
+  // Manual reset after a halt: new high-water mark and daily baseline from the current value
+  resetStrategy(id) {
+    const strategy = this.strategies.get(id);
+    if (!strategy || strategy.status !== 'halted') return;
+    
+    strategy.status = 'active';
+    strategy.haltReason = null;
+    strategy.haltedAt = null;
+    strategy.risk = createRiskState(strategy.currentValue, this.clock.now());
+    this.notifyStrategyUpdated(strategy);
+    this.log(`🔄 Strategy ${strategy.name} reset and reactivated`);
+  }
+
   getCurrentOpportunities() {
     // Filter out expired opportunities
-    const now = new Date();
+    const now = new Date(this.clock.now());
     this.opportunities = this.opportunities.filter(opp => opp.expiresAt > now);
     return this.opportunities;
   }
 }
-
-//export singleton instance  
-export const aiArbitrageEngine = new AIArbitrageEngine();
-
-// Debug helper - global access for testing
-window.debugAI = {
-  engine: aiArbitrageEngine,
-  testTrade: (strategyId = null) => {
-    const strategies = aiArbitrageEngine.getAllStrategies();
-    const strategy = strategyId ? strategies.find(s => s.id === strategyId) : strategies[0];
-    
-    if (!strategy) {
-      console.log('❌ No strategy found');
-      return;
-    }
-    
-    // Create a mock opportunity for testing
-    const mockOpportunity = {
-      pair: 'ALGO/USD',
-      buyExchange: 'coingecko',
-      sellExchange: 'htx', 
-      buyPrice: 0.1500,
-      sellPrice: 0.1520,
-      netProfitPct: 1.2,
-      timestamp: new Date()
-    };
-    
-    console.log('🧪 Testing trade execution...');
-    aiArbitrageEngine.executeTheoreticalTrade(strategy, mockOpportunity);
-  },
-  
-  getStrategies: () => aiArbitrageEngine.getAllStrategies(),
-  
-  checkEngine: () => {
-    console.log('🔍 AI Engine Status:', {
-      isRunning: aiArbitrageEngine.isRunning,
-      strategiesCount: aiArbitrageEngine.strategies.size,
-      priceDataKeys: aiArbitrageEngine.priceData ? Object.keys(aiArbitrageEngine.priceData) : []
-    });
-  }
-};
\ No newline at end of file
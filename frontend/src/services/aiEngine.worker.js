@@ -0,0 +1,9 @@
+// AI Engine Worker - runs the AI Arbitrage Engine off the main thread
+import { AIArbitrageEngine } from './aiArbitrageEngine';
+import { createEngineHost } from './aiEngineHost';
+import { createDefaultStrategyStorage } from './strategyStorage';
+
+const engine = new AIArbitrageEngine({ storage: createDefaultStrategyStorage() });
+const handleMessage = createEngineHost(engine, message => globalThis.postMessage(message));
+
+globalThis.addEventListener('message', (event) => handleMessage(event.data));
@@ -0,0 +1,192 @@
+// AI Engine Client - promise/event facade over the AI Arbitrage Engine
+// The engine runs in a Web Worker when the host supports it and in-process otherwise
+// (tests, node, headless reuse). Every operation resolves asynchronously either way.
+import { AIArbitrageEngine, ENGINE_EVENTS } from './aiArbitrageEngine';
+import { ENGINE_METHODS, createEngineHost } from './aiEngineHost';
+import { createDefaultStrategyStorage } from './strategyStorage';
+
+const clone = (value) => (typeof structuredClone === 'function' ? structuredClone(value) : value);
+
+export class AIEngineClient {
+  constructor(transport) {
+    this.nextCallId = 1;
+    this.pendingCalls = new Map(); // id -> { resolve, reject, callback }
+    this.listeners = new Map(ENGINE_EVENTS.map(event => [event, new Set()]));
+
+    // Mirrors kept current from engine events, for synchronous reads while rendering
+    this.strategies = new Map();
+    this.opportunities = [];
+    this.rejectedQuotes = [];
+    this.markPrice = null;
+    this.isRunning = false;
+
+    this.post = transport.connect(message => this.handleMessage(message));
+
+    ENGINE_METHODS
+      .filter(method => !this[method])
+      .forEach(method => {
+        this[method] = (...args) => this.call(method, ...args);
+      });
+  }
+
+  call(method, ...args) {
+    return this.callWith(null, method, args);
+  }
+
+  callWith(callback, method, args) {
+    const id = this.nextCallId++;
+    return new Promise((resolve, reject) => {
+      this.pendingCalls.set(id, { resolve, reject, callback });
+      this.post({ type: 'call', id, method, args });
+    });
+  }
+
+  // Event subscription - returns an unsubscribe function
+  on(event, handler) {
+    const handlers = this.listeners.get(event);
+    if (!handlers) {
+      throw new Error(`Unknown AI engine event: ${event}`);
+    }
+    handlers.add(handler);
+    return () => this.off(event, handler);
+  }
+
+  off(event, handler) {
+    this.listeners.get(event)?.delete(handler);
+  }
+
+  handleMessage(message) {
+    if (message.type === 'event') {
+      this.updateMirrors(message.event, message.payload);
+      this.listeners.get(message.event)?.forEach(handler => {
+        try {
+          handler(message.payload);
+        } catch (error) {
+          console.error(`❌ AI engine '${message.event}' handler failed:`, error);
+        }
+      });
+      return;
+    }
+
+    const pending = this.pendingCalls.get(message.id);
+    if (message.type === 'callback' && !pending && message.requestId !== undefined) {
+      // The host awaits every callback, so one for a call that has gone still needs an answer
+      this.post({ type: 'callbackResult', requestId: message.requestId, error: { message: 'Call no longer pending' } });
+      return;
+    }
+    if (!pending) return;
+
+    if (message.type === 'callback') {
+      this.runCallback(pending.callback, message);
+      return;
+    }
+
+    this.pendingCalls.delete(message.id);
+    if (message.error) {
+      pending.reject(new Error(message.error.message));
+    } else {
+      pending.resolve(message.result);
+    }
+  }
+
+  async runCallback(callback, { requestId, args }) {
+    try {
+      if (!callback) throw new Error('No callback registered for this call');
+      const result = await callback(args);
+      this.post({ type: 'callbackResult', requestId, result });
+    } catch (error) {
+      this.post({ type: 'callbackResult', requestId, error: { message: error.message } });
+    }
+  }
+
+  updateMirrors(event, payload) {
+    if (event === 'strategyUpdated') {
+      this.strategies.set(payload.id, payload);
+    } else if (event === 'opportunity') {
+      this.opportunities = [...this.getCachedOpportunities().filter(opp => opp.id !== payload.id), payload];
+    } else if (event === 'quotesRejected') {
+      this.rejectedQuotes = payload;
+    } else if (event === 'markPrice') {
+      this.markPrice = payload;
+    }
+  }
+
+  getCachedStrategies() {
+    return Array.from(this.strategies.values());
+  }
+
+  getCachedOpportunities() {
+    const now = Date.now();
+    this.opportunities = this.opportunities.filter(opp => new Date(opp.expiresAt).getTime() > now);
+    return this.opportunities;
+  }
+
+  getCachedRejectedQuotes() {
+    return this.rejectedQuotes;
+  }
+
+  getCachedMarkPrice() {
+    return this.markPrice;
+  }
+
+  async start() {
+    await this.call('start');
+    this.isRunning = true;
+  }
+
+  async stop() {
+    await this.call('stop');
+    this.isRunning = false;
+  }
+
+  // The swap executor stays on this thread: wallet signing needs the page
+  executeLiveTrade(strategyId, opportunity, executeSwap) {
+    return this.callWith(executeSwap, 'executeLiveTrade', [strategyId, opportunity]);
+  }
+
+  // Backtests the sweep off the page; onProgress({ completed, total }) runs here.
+  // cancelParameterSweep() stops it with the runs finished so far.
+  runParameterSweep(options, onProgress = () => {}) {
+    return this.callWith(onProgress, 'runParameterSweep', [options]);
+  }
+}
+
+export const createWorkerTransport = () => ({
+  connect: (onMessage) => {
+    const worker = new Worker(new URL('./aiEngine.worker.js', import.meta.url));
+    worker.onmessage = (event) => onMessage(event.data);
+    worker.onerror = (event) => console.error('❌ AI engine worker error:', event.message);
+    return (message) => worker.postMessage(message);
+  }
+});
+
+// Same protocol without a worker; messages are cloned so neither side shares objects
+export const createInProcessTransport = (engine = new AIArbitrageEngine({ storage: createDefaultStrategyStorage() })) => ({
+  engine,
+  connect: (onMessage) => {
+    const handleHostMessage = createEngineHost(engine, message => {
+      Promise.resolve().then(() => onMessage(clone(message)));
+    });
+    return (message) => handleHostMessage(clone(message));
+  }
+});
+
+export const createAIEngineClient = () => {
+  const transport = typeof Worker !== 'undefined' ? createWorkerTransport() : createInProcessTransport();
+  return new AIEngineClient(transport);
+};
+
+// Shared client for the app
+export const aiEngine = createAIEngineClient();
+
+// Debug helper - global access for testing
+if (typeof window !== 'undefined') {
+  window.debugAI = {
+    engine: aiEngine,
+    testTrade: (strategyId = null) => aiEngine.testTrade(strategyId),
+    getStrategies: () => aiEngine.getAllStrategies(),
+    checkEngine: async () => {
+      console.log('🔍 AI Engine Status:', await aiEngine.getStatus());
+    }
+  };
+}
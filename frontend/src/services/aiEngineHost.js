@@ -0,0 +1,136 @@
+// AI Engine Host - the engine side of the worker message protocol
+//
+// main -> host: { type: 'call', id, method, args }
+//               { type: 'callbackResult', requestId, result, error }
+// host -> main: { type: 'result', id, result, error }
+//               { type: 'event', event, payload }
+//               { type: 'callback', id, requestId, args }   (live swaps signed on the main thread,
+//                                                            parameter sweep progress)
+import { ENGINE_EVENTS } from './aiArbitrageEngine';
+import { runParameterSweep } from './parameterSweep';
+
+// Engine operations callable through the facade
+export const ENGINE_METHODS = [
+  'start',
+  'stop',
+  'restoreState',
+  'createStrategy',
+  'pauseStrategy',
+  'activateStrategy',
+  'resetStrategy',
+  'cancelTrade',
+  'planRebalance',
+  'executeRebalance',
+  'updatePriceData',
+  'getAllStrategies',
+  'getCurrentOpportunities',
+  'getRejectedQuotes',
+  'getModeSummary',
+  'setPriceGuard',
+  'updateYieldRates',
+  'simulateOpportunity',
+  'getSpreadPersistence',
+  'executeLiveTrade',
+  'testTrade',
+  'getStatus',
+  'runParameterSweep',
+  'cancelParameterSweep'
+];
+
+const serializeError = (error) => ({ message: error?.message || String(error) });
+
+export const createEngineHost = (engine, post) => {
+  const pendingCallbacks = new Map();
+  let nextRequestId = 1;
+  let sweepController = null; // One parameter sweep at a time
+
+  ENGINE_EVENTS.forEach(event => {
+    engine.on(event, payload => post({ type: 'event', event, payload }));
+  });
+
+  // Ask the main thread to run a function it passed in, e.g. the Pera-signed swap
+  const requestCallback = (id, args) => new Promise((resolve, reject) => {
+    const requestId = nextRequestId++;
+    pendingCallbacks.set(requestId, { resolve, reject });
+    post({ type: 'callback', id, requestId, args });
+  });
+
+  const handlers = {
+    executeLiveTrade: (id, [strategyId, opportunity]) => (
+      engine.executeLiveTrade(strategyId, opportunity, args => requestCallback(id, args))
+    ),
+    // Backtests run here rather than on the page; progress goes back through the callback
+    runParameterSweep: async (id, [options]) => {
+      sweepController?.abort();
+      const controller = new AbortController();
+      sweepController = controller;
+      try {
+        return await runParameterSweep({
+          ...options,
+          signal: controller.signal,
+          onProgress: progress => requestCallback(id, progress).catch(() => {})
+        });
+      } finally {
+        if (sweepController === controller) sweepController = null;
+      }
+    },
+    cancelParameterSweep: () => {
+      sweepController?.abort();
+      return true;
+    },
+    getStatus: () => ({
+      isRunning: engine.isRunning,
+      strategiesCount: engine.strategies.size,
+      priceDataKeys: Object.keys(engine.priceData || {})
+    }),
+    // Debug helper: one paper trade on a fixed mock opportunity
+    testTrade: (id, [strategyId = null]) => {
+      const strategies = engine.getAllStrategies();
+      const strategy = strategyId ? strategies.find(s => s.id === strategyId) : strategies[0];
+      if (!strategy) {
+        console.log('❌ No strategy found');
+        return null;
+      }
+
+      console.log('🧪 Testing trade execution...');
+      return engine.executeTheoreticalTrade(strategy, {
+        pair: 'ALGO/USD',
+        buyExchange: 'coingecko',
+        sellExchange: 'htx',
+        buyPrice: 0.1500,
+        sellPrice: 0.1520,
+        netProfitPct: 1.2,
+        timestamp: new Date(engine.clock.now())
+      });
+    }
+  };
+
+  const handleCall = async ({ id, method, args = [] }) => {
+    try {
+      if (!ENGINE_METHODS.includes(method)) {
+        throw new Error(`Unknown AI engine method: ${method}`);
+      }
+      const result = handlers[method]
+        ? await handlers[method](id, args)
+        : await engine[method](...args);
+      post({ type: 'result', id, result });
+    } catch (error) {
+      post({ type: 'result', id, error: serializeError(error) });
+    }
+  };
+
+  return (message) => {
+    if (message?.type === 'call') {
+      handleCall(message);
+    } else if (message?.type === 'callbackResult') {
+      const pending = pendingCallbacks.get(message.requestId);
+      if (!pending) return;
+      pendingCallbacks.delete(message.requestId);
+      if (message.error) {
+        pending.reject(new Error(message.error.message));
+      } else {
+        pending.resolve(message.result);
+      }
+    }
+  };
+};
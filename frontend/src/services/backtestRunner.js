@@ -0,0 +1,126 @@
+// Backtest Runner - replays recorded price histories through the AI Arbitrage Engine
+import { AIArbitrageEngine } from './aiArbitrageEngine';
+import { SimulatedClock, createSeededRandom } from './simulationClock';
+import { countTradesByState } from './tradeLifecycle';
+
+const toTimestamp = (value) => (value instanceof Date ? value.getTime() : new Date(value).getTime());
+
+// Recorded quotes without their own source time are as old as the frame they came in
+const stampQuotes = (prices, timestamp) => Object.fromEntries(
+  Object.entries(prices).map(([pair, quotes]) => [
+    pair,
+    Object.fromEntries(Object.entries(quotes || {}).map(([venue, quote]) => [
+      venue,
+      quote?.timestamp || quote?.last_updated ? quote : { ...quote, timestamp }
+    ]))
+  ])
+);
+
+// Peak-to-trough decline of an equity curve, in ALGO and percent of the peak
+export const computeDrawdown = (equityCurve) => {
+  let peak = -Infinity;
+  let maxDrawdown = 0;
+  let maxDrawdownPct = 0;
+
+  equityCurve.forEach(({ value }) => {
+    peak = Math.max(peak, value);
+    const drawdown = peak - value;
+    if (drawdown > maxDrawdown) {
+      maxDrawdown = drawdown;
+      maxDrawdownPct = peak > 0 ? (drawdown / peak) * 100 : 0;
+    }
+  });
+
+  return { maxDrawdown, maxDrawdownPct };
+};
+
+const buildStrategyReport = (strategy, equityCurve) => {
+  // Expired and cancelled trades never reached a venue, so they do not count as trades
+  const trades = strategy.completedTrades.filter(trade => trade.status === 'filled' || trade.status === 'failed');
+  const profitOf = (trade) => trade.actualProfit ?? trade.profit ?? 0;
+  const wins = trades.filter(trade => profitOf(trade) > 0).length;
+
+  return {
+    id: strategy.id,
+    name: strategy.name,
+    settings: { ...strategy.settings },
+    initialAmount: strategy.initialAmount,
+    finalValue: strategy.currentValue,
+    totalReturn: strategy.currentValue - strategy.initialAmount,
+    totalReturnPct: ((strategy.currentValue - strategy.initialAmount) / strategy.initialAmount) * 100,
+    tradeCount: trades.length,
+    winRate: trades.length > 0 ? (wins / trades.length) * 100 : 0,
+    openTrades: strategy.activeTrades.length,
+    tradeStates: countTradesByState([...strategy.completedTrades, ...strategy.activeTrades]),
+    trades: trades.map(trade => ({ ...trade })),
+    equityCurve,
+    ...computeDrawdown(equityCurve)
+  };
+};
+
+// priceSeries: [{ timestamp, prices: { pair: { exchange: { price, ... } } } }] in any order
+// strategies: createStrategy() configs; identical seed + inputs always yield identical reports
+export const runBacktest = ({
+  priceSeries,
+  strategies,
+  seed = 42,
+  settleMs = 15000,
+  engineOptions = {}
+}) => {
+  if (!Array.isArray(priceSeries) || priceSeries.length === 0) {
+    throw new Error('Backtest requires a non-empty price series');
+  }
+  if (!Array.isArray(strategies) || strategies.length === 0) {
+    throw new Error('Backtest requires at least one strategy config');
+  }
+
+  const frames = priceSeries
+    .map(frame => ({ timestamp: toTimestamp(frame.timestamp), prices: frame.prices }))
+    .filter(frame => Number.isFinite(frame.timestamp) && frame.prices)
+    .map(frame => ({ ...frame, prices: stampQuotes(frame.prices, frame.timestamp) }))
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  if (frames.length === 0) {
+    throw new Error('Backtest price series has no valid timestamped frames');
+  }
+
+  const clock = new SimulatedClock(frames[0].timestamp);
+  const engine = new AIArbitrageEngine({
+    logger: () => {},
+    ...engineOptions,
+    clock,
+    random: createSeededRandom(seed),
+    storage: null
+  });
+
+  const strategyIds = strategies.map(config => engine.createStrategy(config).id);
+  const equityCurves = new Map(strategyIds.map(id => [id, []]));
+
+  const recordEquity = () => {
+    strategyIds.forEach(id => {
+      equityCurves.get(id).push({ timestamp: clock.now(), value: engine.strategies.get(id).currentValue });
+    });
+  };
+
+  engine.start();
+  recordEquity();
+
+  frames.forEach(frame => {
+    clock.advanceTo(frame.timestamp);
+    engine.updatePriceData(frame.prices);
+    recordEquity();
+  });
+
+  // Stop scanning, then let trades opened on the final frames settle before reporting
+  engine.stop();
+  clock.advanceBy(settleMs);
+  recordEquity();
+
+  return {
+    seed,
+    startTime: new Date(frames[0].timestamp),
+    endTime: new Date(clock.now()),
+    frameCount: frames.length,
+    strategies: strategyIds.map(id => buildStrategyReport(engine.strategies.get(id), equityCurves.get(id)))
+  };
+};
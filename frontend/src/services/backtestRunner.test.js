@@ -0,0 +1,67 @@
+import { computeDrawdown, runBacktest } from './backtestRunner';
+
+const START = 1700000000000;
+
+// HTX is cheapest and Tinyman dearest, so a strategy buys on HTX and sells on Tinyman
+const frame = (offsetMs, tinymanPrice) => ({
+  timestamp: START + offsetMs,
+  prices: {
+    'ALGO/USD': {
+      htx: { price: 0.2 },
+      coingecko: { price: 0.201 },
+      tinyman: { price: tinymanPrice }
+    }
+  }
+});
+
+const STRATEGY = { name: 'Cross-venue', initialAmount: 1000 };
+
+// Two minutes of quotes where the Tinyman premium opens and closes every few frames
+const OSCILLATING_SERIES = Array.from({ length: 60 }, (_, i) => frame(i * 2000, 0.201 + 0.003 * Math.sin(i / 2)));
+
+describe('runBacktest', () => {
+  it('books the unwind cost when the sell leg fails after the buy leg filled', () => {
+    const filled = runBacktest({
+      priceSeries: [frame(0, 0.203), frame(1000, 0.203), frame(2000, 0.203)],
+      strategies: [STRATEGY]
+    }).strategies[0];
+    // Tinyman drops before the sell leg, past the 1% slippage limit
+    const failed = runBacktest({
+      priceSeries: [frame(0, 0.203), frame(1000, 0.199), frame(2000, 0.199)],
+      strategies: [STRATEGY]
+    }).strategies[0];
+
+    expect(filled.tradeStates).toEqual({ filled: 1 });
+    expect(failed.tradeStates).toEqual({ failed: 1 });
+    expect(failed.trades[0].actualProfit).toBeLessThan(0);
+    expect(failed.finalValue).toBeLessThan(STRATEGY.initialAmount);
+    expect(failed.winRate).toBe(0);
+  });
+
+  it('gives identical reports for the same seed and price series', () => {
+    const run = () => runBacktest({
+      priceSeries: OSCILLATING_SERIES,
+      strategies: [STRATEGY, { ...STRATEGY, name: 'Cautious', minProfitThreshold: 1 }],
+      seed: 7
+    });
+
+    const first = run();
+    expect(first.strategies[0].tradeCount).toBeGreaterThan(1);
+    expect(run()).toEqual(first);
+  });
+});
+
+describe('computeDrawdown', () => {
+  it('measures the largest fall from a running peak', () => {
+    const curve = [100, 110, 99, 105, 120, 105, 125].map(value => ({ value }));
+
+    const { maxDrawdown, maxDrawdownPct } = computeDrawdown(curve);
+
+    expect(maxDrawdown).toBeCloseTo(15);
+    expect(maxDrawdownPct).toBeCloseTo(12.5);
+  });
+
+  it('is zero for a curve that never falls', () => {
+    expect(computeDrawdown([{ value: 100 }, { value: 100 }, { value: 101 }])).toEqual({ maxDrawdown: 0, maxDrawdownPct: 0 });
+  });
+});
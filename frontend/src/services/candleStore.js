@@ -0,0 +1,201 @@
+// Candle Store - aggregates price ticks into OHLC candles per pair, venue and timeframe
+// Candles are kept in IndexedDB so history survives reloads; each timeframe has its own
+// retention and older candles are pruned. Without IndexedDB (private browsing, tests)
+// candles are kept in memory for the session.
+import { getQuoteTimestamp } from './priceGuard';
+
+export const CANDLE_TIMEFRAMES = {
+  '1m': { label: '1m', ms: 60 * 1000, retentionMs: 2 * 24 * 60 * 60 * 1000 },
+  '5m': { label: '5m', ms: 5 * 60 * 1000, retentionMs: 14 * 24 * 60 * 60 * 1000 },
+  '1h': { label: '1h', ms: 60 * 60 * 1000, retentionMs: 180 * 24 * 60 * 60 * 1000 },
+  '1d': { label: '1d', ms: 24 * 60 * 60 * 1000, retentionMs: 5 * 365 * 24 * 60 * 60 * 1000 }
+};
+
+const DB_NAME = 'algofi-candles';
+const DB_VERSION = 1;
+const STORE = 'candles';
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const MAX_CANDLES_PER_QUERY = 5000;
+
+export const getCandleStart = (time, timeframe) => {
+  const { ms } = CANDLE_TIMEFRAMES[timeframe];
+  return Math.floor(time / ms) * ms;
+};
+
+// The candle for `start` after one more tick. Volume is the growth of the venue's
+// rolling 24h volume since its previous tick: an approximation, as sources report no per-trade volume.
+export const applyTick = (candle, { pair, venue, timeframe, start }, { price, time, volume = 0 }) => {
+  if (!candle) {
+    return { pair, venue, timeframe, start, open: price, high: price, low: price, close: price, volume, ticks: 1, updatedAt: time };
+  }
+  return {
+    ...candle,
+    high: Math.max(candle.high, price),
+    low: Math.min(candle.low, price),
+    close: time >= candle.updatedAt ? price : candle.close,
+    volume: candle.volume + volume,
+    ticks: candle.ticks + 1,
+    updatedAt: Math.max(candle.updatedAt, time)
+  };
+};
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error);
+});
+
+const keyOf = ({ pair, venue, timeframe, start }) => [pair, venue, timeframe, start];
+
+export class CandleStore {
+  constructor({ indexedDB = typeof window !== 'undefined' ? window.indexedDB : undefined, now = () => Date.now() } = {}) {
+    this.indexedDB = indexedDB;
+    this.now = now;
+    this.dbPromise = null;
+    this.memory = null; // Map of key -> candle when IndexedDB is unavailable
+    this.lastTicks = {}; // `${pair}|${venue}` -> { time, volume24h } of the last recorded quote
+    this.lastPrunedAt = 0;
+    this.writeQueue = Promise.resolve();
+  }
+
+  open() {
+    if (this.dbPromise) return this.dbPromise;
+    if (!this.indexedDB) {
+      console.warn('⚠️ IndexedDB unavailable, candles are kept for this session only');
+      this.memory = new Map();
+      this.dbPromise = Promise.resolve(null);
+      return this.dbPromise;
+    }
+
+    const request = this.indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(STORE, { keyPath: ['pair', 'venue', 'timeframe', 'start'] });
+      store.createIndex('byTimeframeStart', ['timeframe', 'start']);
+    };
+    this.dbPromise = requestToPromise(request).catch(error => {
+      console.error('❌ Failed to open candle database, using memory:', error);
+      this.memory = new Map();
+      return null;
+    });
+    return this.dbPromise;
+  }
+
+  // Adds every quote in { pair: { venue: quote } } to the candles of all timeframes.
+  // A quote is recorded once per source timestamp, so re-sent or duplicate books are ignored.
+  recordQuotes(priceData) {
+    const ticks = [];
+    Object.entries(priceData || {}).forEach(([pair, quotes]) => {
+      Object.entries(quotes || {}).forEach(([venue, quote]) => {
+        const time = getQuoteTimestamp(quote);
+        if (!(quote?.price > 0) || time === null) return;
+
+        const seriesKey = `${pair}|${venue}`;
+        const last = this.lastTicks[seriesKey];
+        if (last && time <= last.time) return;
+
+        const volume24h = Number(quote.volume_24h);
+        const volume = last && Number.isFinite(volume24h) && Number.isFinite(last.volume24h)
+          ? Math.max(0, volume24h - last.volume24h)
+          : 0;
+        this.lastTicks[seriesKey] = { time, volume24h };
+        ticks.push({ pair, venue, tick: { price: quote.price, time, volume } });
+      });
+    });
+    if (ticks.length === 0) return this.writeQueue;
+
+    // Writes are serialised so two ticks never read the same candle before either is saved
+    this.writeQueue = this.writeQueue
+      .then(() => this.writeTicks(ticks))
+      .catch(error => console.error('❌ Failed to record candles:', error));
+    return this.writeQueue;
+  }
+
+  async writeTicks(ticks) {
+    const db = await this.open();
+    const updates = ticks.flatMap(({ pair, venue, tick }) => Object.keys(CANDLE_TIMEFRAMES).map(timeframe => ({
+      series: { pair, venue, timeframe, start: getCandleStart(tick.time, timeframe) },
+      tick
+    })));
+
+    if (!db) {
+      updates.forEach(({ series, tick }) => {
+        const key = keyOf(series).join('|');
+        this.memory.set(key, applyTick(this.memory.get(key), series, tick));
+      });
+    } else {
+      const transaction = db.transaction(STORE, 'readwrite');
+      const store = transaction.objectStore(STORE);
+      updates.forEach(({ series, tick }) => {
+        const request = store.get(keyOf(series));
+        request.onsuccess = () => store.put(applyTick(request.result, series, tick));
+      });
+      await transactionDone(transaction);
+    }
+
+    if (this.now() - this.lastPrunedAt > PRUNE_INTERVAL_MS) {
+      await this.prune();
+    }
+  }
+
+  // Candles for one series with start in [from, to], oldest first
+  async getCandles({ pair, venue, timeframe, from = 0, to = this.now() }) {
+    const db = await this.open();
+    if (!db) {
+      return Array.from(this.memory.values())
+        .filter(c => c.pair === pair && c.venue === venue && c.timeframe === timeframe && c.start >= from && c.start <= to)
+        .sort((a, b) => a.start - b.start)
+        .slice(-MAX_CANDLES_PER_QUERY);
+    }
+
+    const range = IDBKeyRange.bound([pair, venue, timeframe, from], [pair, venue, timeframe, to]);
+    const candles = await requestToPromise(db.transaction(STORE).objectStore(STORE).getAll(range));
+    return candles.slice(-MAX_CANDLES_PER_QUERY);
+  }
+
+  // Venues with stored candles for a pair, so history shows venues not quoting right now
+  async getVenues(pair, timeframe = '1d') {
+    const db = await this.open();
+    const candles = db
+      ? await requestToPromise(db.transaction(STORE).objectStore(STORE).index('byTimeframeStart')
+        .getAll(IDBKeyRange.bound([timeframe, 0], [timeframe, Infinity])))
+      : Array.from(this.memory.values()).filter(c => c.timeframe === timeframe);
+    return Array.from(new Set(candles.filter(c => c.pair === pair).map(c => c.venue))).sort();
+  }
+
+  // Drops candles older than their timeframe's retention
+  async prune() {
+    const now = this.now();
+    this.lastPrunedAt = now;
+    const db = await this.open();
+
+    if (!db) {
+      this.memory.forEach((candle, key) => {
+        if (candle.start < now - CANDLE_TIMEFRAMES[candle.timeframe].retentionMs) this.memory.delete(key);
+      });
+      return;
+    }
+
+    const transaction = db.transaction(STORE, 'readwrite');
+    const index = transaction.objectStore(STORE).index('byTimeframeStart');
+    let removed = 0;
+    Object.entries(CANDLE_TIMEFRAMES).forEach(([timeframe, { retentionMs }]) => {
+      const request = index.openCursor(IDBKeyRange.bound([timeframe, 0], [timeframe, now - retentionMs], false, true));
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        cursor.delete();
+        removed++;
+        cursor.continue();
+      };
+    });
+    await transactionDone(transaction);
+    if (removed > 0) console.log(`🧹 Pruned ${removed} candles past retention`);
+  }
+}
+
+export const candleStore = new CandleStore();
@@ -0,0 +1,152 @@
+// Cycle Detector - triangular and multi-hop arbitrage across asset pairs
+// Builds a rate graph from { 'BASE/QUOTE': { venue: { price } } } and finds
+// profitable cycles as negative-weight cycles over -log(rate) edges.
+import { REFERENCE_TRADE_AMOUNT_ALGO, getVenue } from '../config/venues';
+
+const HOME_ASSET = 'ALGO'; // Strategy capital is held in ALGO, so cycles start there
+
+// Pairs whose legs close triangles through ALGO, stablecoins and the wrapped assets; the
+// engine's price feed subscribes to these alongside the watchlist
+export const CYCLE_ROUTE_PAIRS = [
+  'ALGO/USDC',
+  'ALGO/USDt',
+  'USDC/USDt',
+  'goETH/ALGO',
+  'goETH/USDC',
+  'goBTC/ALGO',
+  'goBTC/USDC'
+];
+
+export const parsePair = (pair) => {
+  const [base, quote] = pair.split('/');
+  return base && quote ? { base, quote } : null;
+};
+
+// One directed edge per asset pair direction, keeping the venue with the best net rate
+export const buildRateGraph = (priceData, { venues = null } = {}) => {
+  const best = new Map();
+
+  const addEdge = (edge) => {
+    const key = `${edge.from}>${edge.to}`;
+    const current = best.get(key);
+    if (!current || edge.rate > current.rate) {
+      best.set(key, edge);
+    }
+  };
+
+  Object.entries(priceData || {}).forEach(([pair, quotes]) => {
+    const assets = parsePair(pair);
+    if (!assets || !quotes) return;
+
+    Object.entries(quotes).forEach(([venue, data]) => {
+      if (venues && !venues.includes(venue)) return;
+      const price = data?.price;
+      if (!(price > 0)) return;
+
+      const feeFactor = 1 - getVenue(venue).takerFeePct / 100;
+      // Selling base for quote at the venue price, and buying base back with quote
+      addEdge({ from: assets.base, to: assets.quote, venue, pair, side: 'sell', price, rate: price * feeFactor });
+      addEdge({ from: assets.quote, to: assets.base, venue, pair, side: 'buy', price, rate: (1 / price) * feeFactor });
+    });
+  });
+
+  const edges = Array.from(best.values());
+  const assets = Array.from(new Set(edges.flatMap(edge => [edge.from, edge.to])));
+  return { assets, edges };
+};
+
+// Rotate so the cycle starts at the home asset when it passes through it
+const normaliseCycle = (legs) => {
+  const homeIndex = legs.findIndex(leg => leg.from === HOME_ASSET);
+  if (homeIndex > 0) {
+    return [...legs.slice(homeIndex), ...legs.slice(0, homeIndex)];
+  }
+  if (homeIndex === -1) {
+    // Stable ordering for cycles that never touch ALGO
+    const minIndex = legs.reduce((min, leg, i) => (leg.from < legs[min].from ? i : min), 0);
+    return [...legs.slice(minIndex), ...legs.slice(0, minIndex)];
+  }
+  return legs;
+};
+
+// Depth-first walk from every asset over the rate graph, keeping simple cycles of
+// minLegs..maxLegs hops whose negative-log weight sums below zero. Enumerating by length
+// means a profitable 2-leg loop on one pair cannot hide a longer cycle next to it.
+const findProfitableCycles = ({ assets, edges }, { minLegs, maxLegs }) => {
+  const outgoing = new Map(assets.map(asset => [asset, []]));
+  edges.forEach(edge => outgoing.get(edge.from).push(edge));
+  const order = new Map(assets.map((asset, i) => [asset, i]));
+  const cycles = new Map();
+
+  assets.forEach(start => {
+    const visited = new Set([start]);
+    const legs = [];
+
+    const walk = (node, weight) => {
+      outgoing.get(node).forEach(edge => {
+        const total = weight - Math.log(edge.rate);
+        if (edge.to === start) {
+          if (legs.length + 1 >= minLegs && total < -1e-12) {
+            const normalised = normaliseCycle([...legs, edge]);
+            const key = normalised.map(leg => `${leg.from}@${leg.venue}`).join('>');
+            cycles.set(key, normalised);
+          }
+          return;
+        }
+        // Each cycle is walked once, from its first asset in graph order
+        if (legs.length + 1 >= maxLegs || visited.has(edge.to) || order.get(edge.to) < order.get(start)) return;
+        visited.add(edge.to);
+        legs.push(edge);
+        walk(edge.to, total);
+        legs.pop();
+        visited.delete(edge.to);
+      });
+    };
+    walk(start, 0);
+  });
+
+  return Array.from(cycles.values());
+};
+
+// Profitable cycles of minLegs..maxLegs hops, as engine opportunities with a `legs` array
+export const detectCycleOpportunities = (priceData, {
+  minLegs = 3,
+  maxLegs = 4,
+  minProfitPct = 0.1,
+  venues = null,
+  now = Date.now()
+} = {}) => {
+  const graph = buildRateGraph(priceData, { venues });
+  if (graph.assets.length < minLegs) return [];
+
+  return findProfitableCycles(graph, { minLegs, maxLegs })
+    .map(legs => {
+      const grossReturn = legs.reduce((product, leg) => product * leg.rate, 1);
+      const networkFeeAlgo = legs.reduce((sum, leg) => sum + getVenue(leg.venue).networkFeeAlgo, 0);
+      const fixedCostPct = (networkFeeAlgo / REFERENCE_TRADE_AMOUNT_ALGO) * 100;
+      const spread = (grossReturn - 1) * 100; // Already net of per-leg taker fees
+      const netProfitPct = spread - fixedCostPct;
+      const route = [legs[0].from, ...legs.map(leg => leg.to)].join('→');
+      const first = legs[0];
+      const last = legs[legs.length - 1];
+
+      return {
+        id: `opp_${now}_cycle_${legs.map(leg => `${leg.to}${leg.venue}`).join('_')}`,
+        type: 'cycle',
+        pair: route,
+        startAsset: first.from,
+        legs: legs.map(({ from, to, venue, pair, side, price, rate }) => ({ from, to, venue, pair, side, price, rate })),
+        buyExchange: first.venue,
+        sellExchange: last.venue,
+        buyPrice: first.price,
+        sellPrice: last.price,
+        spread,
+        netProfitPct,
+        costPct: fixedCostPct,
+        confidence: Math.min(95, 50 + spread * 10),
+        timestamp: new Date(now),
+        expiresAt: new Date(now + 30000)
+      };
+    })
+    .filter(opp => opp.netProfitPct > minProfitPct);
+};
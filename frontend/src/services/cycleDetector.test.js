@@ -0,0 +1,32 @@
+import { detectCycleOpportunities } from './cycleDetector';
+
+const NOW = 1700000000000;
+
+describe('detectCycleOpportunities', () => {
+  it('finds a triangular cycle next to a profitable 2-leg loop', () => {
+    const priceData = {
+      // Cross-venue loop on one pair: buy on HTX, sell on Tinyman
+      'ALGO/USDC': { htx: { price: 0.2 }, tinyman: { price: 0.3 } },
+      'USDC/USDT': { htx: { price: 1.05 } },
+      'ALGO/USDT': { htx: { price: 0.21 } }
+    };
+
+    const opportunities = detectCycleOpportunities(priceData, { now: NOW });
+
+    expect(opportunities.map(opp => opp.pair)).toContain('ALGO→USDC→USDT→ALGO');
+    opportunities.forEach(opp => expect(opp.legs.length).toBeGreaterThanOrEqual(3));
+
+    const triangle = opportunities.find(opp => opp.pair === 'ALGO→USDC→USDT→ALGO');
+    expect(triangle.legs.map(leg => leg.venue)).toEqual(['tinyman', 'htx', 'htx']);
+    expect(triangle.netProfitPct).toBeGreaterThan(0);
+  });
+
+  it('does not report a 2-leg loop on its own', () => {
+    const priceData = {
+      'ALGO/USDC': { htx: { price: 0.2 }, tinyman: { price: 0.21 } },
+      'USDC/USDT': { htx: { price: 1 } }
+    };
+
+    expect(detectCycleOpportunities(priceData, { now: NOW })).toEqual([]);
+  });
+});
@@ -0,0 +1,192 @@
+// Liquidity Model - price impact per venue and profit-maximising trade size
+// Amounts are in base asset units (ALGO for ALGO/USD), prices in quote units
+
+// Fallback liquidity when a quote carries no reserves or depth of its own
+export const VENUE_LIQUIDITY_PROFILES = {
+  tinyman: { type: 'amm', reserveQuote: 1500000 },
+  pact: { type: 'amm', reserveQuote: 600000 },
+  vestige: { type: 'amm', reserveQuote: 800000 },
+  htx: { type: 'orderbook', depthQuote: 250000, levels: 20, levelSpreadPct: 0.05 },
+  ultrade: { type: 'orderbook', depthQuote: 40000, levels: 10, levelSpreadPct: 0.1 },
+  coingecko: { type: 'orderbook', depthQuote: 500000, levels: 20, levelSpreadPct: 0.05 }
+};
+
+const DEFAULT_PROFILE = { type: 'orderbook', depthQuote: 50000, levels: 10, levelSpreadPct: 0.1 };
+
+export const getVenueProfile = (venue) => VENUE_LIQUIDITY_PROFILES[venue] || DEFAULT_PROFILE;
+
+// Constant-product reserves, taken from the quote when the feed provides them
+export const getAmmReserves = (venue, quote) => {
+  if (quote?.reserves?.base > 0 && quote?.reserves?.quote > 0) {
+    return { base: quote.reserves.base, quote: quote.reserves.quote };
+  }
+  const profile = getVenueProfile(venue);
+  const reserveQuote = quote?.liquidity_usd ? quote.liquidity_usd / 2 : profile.reserveQuote;
+  return { base: reserveQuote / quote.price, quote: reserveQuote };
+};
+
+// Order book levels as [price, baseSize] pairs, best first
+export const getOrderBook = (venue, quote) => {
+  if (Array.isArray(quote?.asks) && Array.isArray(quote?.bids) && quote.asks.length && quote.bids.length) {
+    return { asks: quote.asks, bids: quote.bids };
+  }
+
+  // Synthesise a flat book around the quoted price from the venue's typical depth
+  const profile = getVenueProfile(venue);
+  const sizePerLevel = profile.depthQuote / profile.levels / quote.price;
+  const asks = [];
+  const bids = [];
+  for (let i = 0; i < profile.levels; i++) {
+    const offset = (profile.levelSpreadPct / 100) * i;
+    asks.push([quote.price * (1 + offset), sizePerLevel]);
+    bids.push([quote.price * (1 - offset), sizePerLevel]);
+  }
+  return { asks, bids };
+};
+
+const ammFill = (reserves, side, amount) => {
+  if (side === 'buy') {
+    // Quote paid to withdraw `amount` base from the pool
+    if (amount >= reserves.base) return null;
+    const quoteIn = (reserves.quote * amount) / (reserves.base - amount);
+    return { avgPrice: quoteIn / amount, filledAmount: amount };
+  }
+  const quoteOut = (reserves.quote * amount) / (reserves.base + amount);
+  return { avgPrice: quoteOut / amount, filledAmount: amount };
+};
+
+const orderBookFill = (book, side, amount) => {
+  const levels = side === 'buy' ? book.asks : book.bids;
+  let remaining = amount;
+  let notional = 0;
+
+  for (const [price, size] of levels) {
+    const take = Math.min(remaining, size);
+    notional += take * price;
+    remaining -= take;
+    if (remaining <= 0) break;
+  }
+
+  const filledAmount = amount - Math.max(0, remaining);
+  if (filledAmount <= 0) return null;
+  return { avgPrice: notional / filledAmount, filledAmount };
+};
+
+// Modelled fill for taking `amount` base on one venue; null if the venue cannot fill it
+export const estimateFill = (venue, quote, side, amount) => {
+  if (!quote?.price || amount <= 0) return null;
+
+  const profile = getVenueProfile(venue);
+  const fill = profile.type === 'amm'
+    ? ammFill(getAmmReserves(venue, quote), side, amount)
+    : orderBookFill(getOrderBook(venue, quote), side, amount);
+
+  if (!fill || fill.filledAmount < amount) return null;
+
+  const impact = side === 'buy'
+    ? (fill.avgPrice - quote.price) / quote.price
+    : (quote.price - fill.avgPrice) / quote.price;
+
+  return {
+    ...fill,
+    quotedPrice: quote.price,
+    priceImpactPct: impact * 100
+  };
+};
+
+// Net result of buying `amount` on one venue and selling it on another.
+// feePct scales with size, fixedCost (base units) does not.
+export const evaluateRoundTrip = ({ buyVenue, buyQuote, sellVenue, sellQuote, amount, feePct = 0, fixedCost = 0 }) => {
+  const buyFill = estimateFill(buyVenue, buyQuote, 'buy', amount);
+  const sellFill = estimateFill(sellVenue, sellQuote, 'sell', amount);
+  if (!buyFill || !sellFill) return null;
+
+  const grossPct = ((sellFill.avgPrice - buyFill.avgPrice) / buyFill.avgPrice) * 100;
+  const netProfit = amount * ((grossPct - feePct) / 100) - fixedCost; // in base units
+
+  return {
+    amount,
+    buyFill,
+    sellFill,
+    netProfitPct: (netProfit / amount) * 100,
+    netProfit
+  };
+};
+
+// Search sizes in [minAmount, maxAmount] for the highest netProfit returned by evaluate.
+// Profit is concave in size for both AMM and order book fills, so a coarse grid
+// followed by a ternary refinement around the best bucket is enough.
+const searchBestSize = (evaluate, minAmount, maxAmount, steps) => {
+  if (!(maxAmount >= minAmount)) return null;
+
+  const stepSize = (maxAmount - minAmount) / steps;
+
+  let best = null;
+  let bestIndex = 0;
+  for (let i = 0; i <= steps; i++) {
+    const result = evaluate(minAmount + stepSize * i);
+    if (result && (!best || result.netProfit > best.netProfit)) {
+      best = result;
+      bestIndex = i;
+    }
+  }
+  if (!best || stepSize === 0) return best;
+
+  let low = minAmount + stepSize * Math.max(0, bestIndex - 1);
+  let high = minAmount + stepSize * Math.min(steps, bestIndex + 1);
+  for (let i = 0; i < 30; i++) {
+    const m1 = low + (high - low) / 3;
+    const m2 = high - (high - low) / 3;
+    const r1 = evaluate(m1);
+    const r2 = evaluate(m2);
+    if ((r1?.netProfit ?? -Infinity) < (r2?.netProfit ?? -Infinity)) {
+      low = m1;
+    } else {
+      high = m2;
+    }
+  }
+
+  const refined = evaluate((low + high) / 2);
+  return refined && refined.netProfit > best.netProfit ? refined : best;
+};
+
+export const findOptimalTradeSize = ({ minAmount = 1, maxAmount, steps = 24, ...roundTrip }) =>
+  searchBestSize(amount => evaluateRoundTrip({ ...roundTrip, amount }), minAmount, maxAmount, steps);
+
+// Walk `amount` of the first leg's asset through every leg of a cycle.
+// Each leg is { from, to, venue, pair, side, feePct } where side 'sell' trades
+// base -> quote and 'buy' trades quote -> base on that pair.
+export const evaluateCycle = ({ legs, priceData, amount, fixedCost = 0 }) => {
+  let holding = amount;
+  const fills = [];
+
+  for (const leg of legs) {
+    const quote = priceData[leg.pair]?.[leg.venue] || { price: leg.price };
+    const feeFactor = 1 - (leg.feePct || 0) / 100;
+
+    if (leg.side === 'sell') {
+      const fill = estimateFill(leg.venue, quote, 'sell', holding);
+      if (!fill) return null;
+      fills.push(fill);
+      holding = holding * fill.avgPrice * feeFactor;
+    } else {
+      // Size the base amount at the quoted price, then pay the modelled average
+      const fill = estimateFill(leg.venue, quote, 'buy', holding / quote.price);
+      if (!fill) return null;
+      fills.push(fill);
+      holding = (holding / fill.avgPrice) * feeFactor;
+    }
+  }
+
+  const netProfit = holding - amount - fixedCost;
+  return {
+    amount,
+    fills,
+    finalAmount: holding,
+    netProfit,
+    netProfitPct: (netProfit / amount) * 100
+  };
+};
+
+export const findOptimalCycleSize = ({ minAmount = 1, maxAmount, steps = 24, ...cycle }) =>
+  searchBestSize(amount => evaluateCycle({ ...cycle, amount }), minAmount, maxAmount, steps);
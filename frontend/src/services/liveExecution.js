@@ -0,0 +1,173 @@
+// Live Execution - on-chain Tinyman V2 swaps for the DEX leg of live AI strategies
+// Builds the swap as an atomic group, simulates it against algod, has Pera sign it
+// and reads the actual fill back from the pool's inner transaction.
+import algosdk from 'algosdk';
+import { algodClient, signTransactionGroup, simulateTransactionGroup } from '../utils/algorand';
+import { WALLET_CANCELLED_PREFIX } from './tradeLifecycle';
+
+export const TINYMAN_VALIDATOR_APP_ID = Number(process.env.REACT_APP_TINYMAN_VALIDATOR_APP_ID || 1002541853);
+export const TINYMAN_ALGO_USDC_POOL = process.env.REACT_APP_TINYMAN_ALGO_USDC_POOL || '';
+
+export const ALGO_ASSET = { id: 0, decimals: 6 };
+export const USDC_ASSET = { id: 31566704, decimals: 6 };
+
+const toBaseUnits = (amount, asset) => BigInt(Math.floor(amount * 10 ** asset.decimals));
+const fromBaseUnits = (amount, asset) => Number(amount) / 10 ** asset.decimals;
+
+const decodeLocalState = (keyValues = []) => {
+  const state = {};
+  keyValues.forEach(({ key, value }) => {
+    state[new TextDecoder().decode(key)] = value.uint;
+  });
+  return state;
+};
+
+// Reserves come from the pool account's local state in the validator app
+export const fetchTinymanPool = async (poolAddress = TINYMAN_ALGO_USDC_POOL) => {
+  if (!poolAddress) {
+    throw new Error('Tinyman pool address not configured (REACT_APP_TINYMAN_ALGO_USDC_POOL)');
+  }
+
+  const info = await algodClient.accountApplicationInformation(poolAddress, TINYMAN_VALIDATOR_APP_ID).do();
+  const state = decodeLocalState(info.appLocalState?.keyValue);
+  if (state.asset_1_reserves === undefined) {
+    throw new Error(`Account ${poolAddress} is not a Tinyman V2 pool`);
+  }
+
+  // Missing keys hold zero: asset 2 is ALGO in ALGO pairs
+  const reserves = {
+    [Number(state.asset_1_id || 0)]: state.asset_1_reserves,
+    [Number(state.asset_2_id || 0)]: state.asset_2_reserves || 0n
+  };
+
+  return {
+    address: poolAddress,
+    reserves,
+    totalFeeShare: state.total_fee_share ?? 30n // Basis points
+  };
+};
+
+// Constant-product output for a fixed input, after the pool fee
+export const quoteFixedInput = (pool, assetIn, assetOut, amountIn) => {
+  const fee = (amountIn * pool.totalFeeShare) / 10000n;
+  const swapAmount = amountIn - fee;
+  const reserveIn = pool.reserves[assetIn.id];
+  const reserveOut = pool.reserves[assetOut.id];
+  return (reserveOut * swapAmount) / (reserveIn + swapAmount);
+};
+
+// 'buy' spends USDC for ALGO, 'sell' spends ALGO for USDC
+const swapAssets = (side) => (side === 'buy'
+  ? { assetIn: USDC_ASSET, assetOut: ALGO_ASSET }
+  : { assetIn: ALGO_ASSET, assetOut: USDC_ASSET });
+
+export const buildTinymanSwapGroup = async ({ sender, side, amountAlgo, price, slippagePct = 1 }) => {
+  const pool = await fetchTinymanPool();
+  const { assetIn, assetOut } = swapAssets(side);
+
+  const amountIn = side === 'buy'
+    ? toBaseUnits(amountAlgo * price, USDC_ASSET)
+    : toBaseUnits(amountAlgo, ALGO_ASSET);
+  const expectedOut = quoteFixedInput(pool, assetIn, assetOut, amountIn);
+  const minOut = (expectedOut * BigInt(Math.round((100 - slippagePct) * 100))) / 10000n;
+
+  const suggestedParams = await algodClient.getTransactionParams().do();
+
+  const inputTxn = assetIn.id === 0
+    ? algosdk.makePaymentTxnWithSuggestedParamsFromObject({
+      sender,
+      receiver: pool.address,
+      amount: amountIn,
+      suggestedParams
+    })
+    : algosdk.makeAssetTransferTxnWithSuggestedParamsFromObject({
+      sender,
+      receiver: pool.address,
+      amount: amountIn,
+      assetIndex: assetIn.id,
+      suggestedParams
+    });
+
+  // The app call pays for the pool's inner transfer of the output asset
+  const swapTxn = algosdk.makeApplicationNoOpTxnFromObject({
+    sender,
+    appIndex: TINYMAN_VALIDATOR_APP_ID,
+    appArgs: [
+      new TextEncoder().encode('swap'),
+      new TextEncoder().encode('fixed-input'),
+      algosdk.encodeUint64(minOut)
+    ],
+    accounts: [pool.address],
+    foreignAssets: [assetIn.id, assetOut.id].filter(id => id !== 0),
+    suggestedParams: { ...suggestedParams, flatFee: true, fee: BigInt(suggestedParams.minFee) * 2n }
+  });
+
+  const txns = algosdk.assignGroupID([inputTxn, swapTxn]);
+
+  return {
+    txns,
+    side,
+    assetIn,
+    assetOut,
+    amountIn,
+    expectedOut,
+    minOut
+  };
+};
+
+const innerTransferAmount = (txnResult) => {
+  const inner = txnResult?.innerTxns?.[0]?.txn?.txn;
+  return inner?.payment?.amount ?? inner?.assetTransfer?.amount ?? null;
+};
+
+// Dry-runs the unsigned group so pool or balance problems surface before signing
+export const simulateSwapGroup = async (swap) => {
+  const result = await simulateTransactionGroup(swap.txns);
+  const group = result.txnGroups[0];
+  if (group.failureMessage) {
+    throw new Error(`Swap simulation failed: ${group.failureMessage}`);
+  }
+  return {
+    simulatedOut: innerTransferAmount(group.txnResults[1]?.txnResult)
+  };
+};
+
+const describeFill = (swap, amountOut) => {
+  const amountIn = fromBaseUnits(swap.amountIn, swap.assetIn);
+  const received = fromBaseUnits(amountOut, swap.assetOut);
+  const algoAmount = swap.side === 'buy' ? received : amountIn;
+  const usdAmount = swap.side === 'buy' ? amountIn : received;
+  return {
+    algoAmount,
+    usdAmount,
+    fillPrice: algoAmount > 0 ? usdAmount / algoAmount : 0
+  };
+};
+
+// Full live path for one DEX leg; resolves with the confirmed fill
+export const executeTinymanSwap = async ({ sender, side, amountAlgo, price, slippagePct }) => {
+  const swap = await buildTinymanSwapGroup({ sender, side, amountAlgo, price, slippagePct });
+  const { simulatedOut } = await simulateSwapGroup(swap);
+  console.log(`🧪 Tinyman swap simulated: ${side} ${amountAlgo.toFixed(2)} ALGO, out ${simulatedOut} (min ${swap.minOut})`);
+
+  // Nothing reached the chain if signing fails, so the trade is cancelled rather than failed
+  const signed = await signTransactionGroup(swap.txns).catch(error => {
+    throw new Error(`${WALLET_CANCELLED_PREFIX}: ${error.message}`);
+  });
+  const { txid } = await algodClient.sendRawTransaction(signed).do();
+  const appCallTxId = swap.txns[1].txID();
+  const confirmed = await algosdk.waitForConfirmation(algodClient, appCallTxId, 4);
+
+  const amountOut = innerTransferAmount(confirmed);
+  if (amountOut === null) {
+    throw new Error(`Swap ${txid} confirmed without an output transfer`);
+  }
+
+  console.log(`⛓️ Tinyman swap confirmed in round ${confirmed.confirmedRound}: ${txid}`);
+  return {
+    txId: txid,
+    confirmedRound: Number(confirmed.confirmedRound),
+    simulatedOut: simulatedOut === null ? null : fromBaseUnits(simulatedOut, swap.assetOut),
+    ...describeFill(swap, amountOut)
+  };
+};
@@ -0,0 +1,253 @@
+// Market Data Store - the one app-wide price feed every page reads from
+// Components subscribe to the pairs they show; the store runs a single price stream while any
+// pair is subscribed, shares in-flight snapshot requests, guards quotes once, keeps a rolling
+// per-venue history and the live cross-venue opportunities. While the document is hidden the
+// stream is paused, unless a background subscriber (active AI strategies, alert rules) needs it.
+import { PriceStream, PRICE_STREAM_URL, STREAM_STATES, fetchSnapshotFrom } from './priceStream';
+import { filterQuotes, getQuoteTimestamp } from './priceGuard';
+import { measureSpreads, SPREAD_THRESHOLD_PCT } from './spreadPersistence';
+import { candleStore } from './candleStore';
+import { priceAlerts } from './priceAlerts';
+import { venueHealth } from './venueHealth';
+import { getVenue } from '../config/venues';
+
+export const PAUSE_REASONS = {
+  HIDDEN: 'hidden',
+  MANUAL: 'manual'
+};
+
+const HISTORY_MS = 60 * 60 * 1000;
+const MAX_HISTORY_POINTS = 1000; // Per venue; a quote every few seconds fills the hour
+const OPPORTUNITY_TTL_MS = 15000; // A spread stays listed this long after it was last seen open
+
+// Shares one request between every caller that asks while it is still in flight
+const shareInFlight = (request) => {
+  let pending = null;
+  return () => {
+    if (!pending) {
+      pending = Promise.resolve()
+        .then(request)
+        .finally(() => {
+          pending = null;
+        });
+    }
+    return pending;
+  };
+};
+
+// Keeps each quote's source timestamp; receivedAt is only when we received it
+const normalizeQuotes = (quotes, receivedAt) => Object.fromEntries(
+  Object.entries(quotes || {}).map(([venue, data]) => [venue, {
+    ...data,
+    timestamp: data?.timestamp ?? data?.last_updated ?? null,
+    receivedAt,
+    fee: getVenue(venue).takerFeePct / 100
+  }])
+);
+
+// Appends quotes with a newer source time than the venue's last point and drops points past the window
+const appendHistory = (history, quotes, now) => {
+  const next = { ...history };
+  Object.entries(quotes).forEach(([venue, quote]) => {
+    if (!(quote?.price > 0)) return;
+    const time = getQuoteTimestamp(quote) ?? now;
+    const series = next[venue] || [];
+    if (series.length > 0 && series[series.length - 1].time >= time) return;
+    next[venue] = [...series, { time, price: quote.price, volume: quote.volume_24h || 0 }]
+      .filter(point => point.time >= now - HISTORY_MS)
+      .slice(-MAX_HISTORY_POINTS);
+  });
+  return next;
+};
+
+export class MarketDataStore {
+  constructor({
+    createStream = (options) => new PriceStream(options),
+    fetchSnapshot = fetchSnapshotFrom(PRICE_STREAM_URL),
+    priceGuard,
+    document = typeof window !== 'undefined' ? window.document : undefined,
+    now = () => Date.now()
+  } = {}) {
+    this.fetchSnapshot = shareInFlight(fetchSnapshot);
+    this.createStream = createStream;
+    this.priceGuard = priceGuard;
+    this.document = document;
+    this.now = now;
+
+    this.stream = null;
+    this.pairRefs = {}; // pair -> number of subscriptions watching it
+    this.subscriptions = new Set(); // { pairs, listener, background }
+    this.pairs = {}; // pair -> { pair, quotes, accepted, rejected, history, updatedAt }
+    this.openOpportunities = {}; // spread key -> opportunity
+    this.opportunities = [];
+    this.manuallyPaused = false;
+    this.streamStatus = { state: STREAM_STATES.STOPPED };
+    this.status = { ...this.streamStatus, paused: null };
+    this.snapshot = this.buildSnapshot();
+
+    this.document?.addEventListener?.('visibilitychange', () => this.reconcile());
+  }
+
+  // listener(snapshot, updatedPairs) runs after every change; updatedPairs is empty for status-only changes.
+  // Background subscriptions keep the stream running while the document is hidden.
+  subscribe(pairs, listener, { background = false } = {}) {
+    const subscription = { pairs: Array.from(new Set(pairs)), listener, background };
+    this.subscriptions.add(subscription);
+    subscription.pairs.forEach(pair => {
+      this.pairRefs[pair] = (this.pairRefs[pair] || 0) + 1;
+    });
+    // The book already holds every pair the server sends, so a new pair is served at once
+    if (this.stream?.book && subscription.pairs.some(pair => !this.pairs[pair])) {
+      this.handleBook(this.stream.book);
+    }
+    this.reconcile();
+
+    return () => {
+      if (!this.subscriptions.delete(subscription)) return;
+      subscription.pairs.forEach(pair => {
+        this.pairRefs[pair] -= 1;
+        if (this.pairRefs[pair] === 0) delete this.pairRefs[pair];
+      });
+      this.reconcile();
+    };
+  }
+
+  getSnapshot() {
+    return this.snapshot;
+  }
+
+  getPair(pair) {
+    return this.pairs[pair] || null;
+  }
+
+  // A snapshot fetched outside the stream's own schedule; shares a request already in flight
+  async refresh() {
+    const response = await this.fetchSnapshot();
+    const prices = response?.prices || response; // Handle both response formats
+    if (prices && typeof prices === 'object') this.handleBook(prices);
+    return this.snapshot;
+  }
+
+  pause() {
+    this.manuallyPaused = true;
+    this.reconcile();
+  }
+
+  resume() {
+    this.manuallyPaused = false;
+    this.reconcile();
+  }
+
+  getPauseReason() {
+    if (this.manuallyPaused) return PAUSE_REASONS.MANUAL;
+    const hidden = this.document?.visibilityState === 'hidden';
+    const background = Array.from(this.subscriptions).some(s => s.background && s.pairs.length > 0);
+    return hidden && !background ? PAUSE_REASONS.HIDDEN : null;
+  }
+
+  // Runs the stream exactly while some pair is subscribed and nothing pauses it
+  reconcile() {
+    const paused = this.getPauseReason();
+    const wanted = Object.keys(this.pairRefs).length > 0 && !paused;
+
+    if (wanted && !this.stream) {
+      this.stream = this.createStream({
+        fetchSnapshot: this.fetchSnapshot,
+        onPrices: (book) => this.handleBook(book),
+        onStatus: (status) => this.handleStatus(status)
+      });
+    }
+    if (wanted && this.stream.status.state === STREAM_STATES.STOPPED) {
+      console.log(`🚀 Market data: streaming ${Object.keys(this.pairRefs).join(', ')}`);
+      this.stream.start();
+    } else if (!wanted && this.stream && this.stream.status.state !== STREAM_STATES.STOPPED) {
+      console.log(paused ? `⏸️ Market data paused (${paused})` : '⏹️ Market data: no subscribers, stream stopped');
+      this.stream.stop();
+    }
+
+    if (paused !== this.status.paused) {
+      this.status = { ...this.streamStatus, paused };
+      this.emit([]);
+    }
+  }
+
+  handleStatus(status) {
+    this.streamStatus = status;
+    this.status = { ...status, paused: this.getPauseReason() };
+    this.emit([]);
+  }
+
+  // Guards the subscribed pairs of a merged book and publishes them
+  handleBook(book) {
+    const now = this.now();
+    const receivedAt = new Date(now);
+    const quotes = {};
+    Object.keys(this.pairRefs).forEach(pair => {
+      if (book?.[pair] && typeof book[pair] === 'object') quotes[pair] = normalizeQuotes(book[pair], receivedAt);
+    });
+    const updatedPairs = Object.keys(quotes);
+    if (updatedPairs.length === 0) return;
+
+    // Stale, synthetic and outlying quotes are shown but never used for detection
+    const { accepted, rejected } = filterQuotes(quotes, this.priceGuard, now);
+    if (rejected.length > 0) {
+      console.warn('🚫 Rejected quotes:', rejected.map(q => `${q.pair} ${q.venue}: ${q.reason}`));
+    }
+
+    const pairs = { ...this.pairs };
+    updatedPairs.forEach(pair => {
+      pairs[pair] = {
+        pair,
+        quotes: quotes[pair],
+        accepted: accepted[pair] || {},
+        rejected: rejected.filter(q => q.pair === pair),
+        history: appendHistory(this.pairs[pair]?.history || {}, quotes[pair], now),
+        updatedAt: receivedAt
+      };
+    });
+    this.pairs = pairs;
+    this.updateOpportunities(accepted, receivedAt);
+
+    candleStore.recordQuotes(accepted);
+    priceAlerts.evaluate(accepted);
+    venueHealth.recordQuotes(quotes, rejected, now);
+    this.emit(updatedPairs);
+  }
+
+  // Open spreads refresh their entry; closed ones stay listed until their TTL runs out
+  updateOpportunities(accepted, receivedAt) {
+    const now = receivedAt.getTime();
+    const open = Object.fromEntries(
+      Object.entries(this.openOpportunities).filter(([, opportunity]) => opportunity.expiresAt.getTime() > now)
+    );
+
+    measureSpreads(accepted)
+      .filter(spread => spread.netProfitPct > SPREAD_THRESHOLD_PCT)
+      .forEach(spread => {
+        const previous = open[spread.key];
+        const quotes = accepted[spread.pair];
+        open[spread.key] = {
+          ...spread,
+          id: previous?.id || `${spread.key}|${now}`,
+          volume24h: Math.min(quotes[spread.buyVenue].volume_24h || 0, quotes[spread.sellVenue].volume_24h || 0),
+          firstSeenAt: previous?.firstSeenAt || receivedAt,
+          lastSeenAt: receivedAt,
+          expiresAt: new Date(now + OPPORTUNITY_TTL_MS)
+        };
+      });
+
+    this.openOpportunities = open;
+    this.opportunities = Object.values(open).sort((a, b) => b.netProfitPct - a.netProfitPct);
+  }
+
+  buildSnapshot() {
+    return { pairs: this.pairs, opportunities: this.opportunities, status: this.status };
+  }
+
+  emit(updatedPairs) {
+    this.snapshot = this.buildSnapshot();
+    this.subscriptions.forEach(({ listener }) => listener(this.snapshot, updatedPairs));
+  }
+}
+
+export const marketData = new MarketDataStore();
@@ -0,0 +1,110 @@
+// Market Making Plugin - paper quotes around the cross-venue fair price on an
+// order-book venue, skewed to pull inventory back towards a 50/50 split
+import { getVenue } from '../config/venues';
+import { getMedianPrice } from './priceGuard';
+
+// Share of inventory value held in ALGO, 0..1
+export const inventoryRatio = (state, fairPrice) => {
+  const algoValue = state.algo * fairPrice;
+  const total = algoValue + state.usd;
+  return total > 0 ? algoValue / total : 0.5;
+};
+
+// Strategy value in ALGO with USD inventory marked at the fair price
+export const markToMarket = (state, fairPrice) => state.algo + state.usd / fairPrice;
+
+// Long ALGO shifts both quotes down (sell more eagerly), short ALGO shifts them up
+export const buildQuotes = (state, fairPrice, settings, capital) => {
+  const halfSpread = settings.quoteSpreadPct / 200;
+  const skew = inventoryRatio(state, fairPrice) - 0.5;
+  const shift = skew * (settings.quoteSpreadPct / 100) * settings.skewStrength;
+  const size = capital * (settings.orderSizePct / 100);
+  const maxSkew = settings.maxInventorySkewPct / 100;
+
+  return {
+    bid: skew < maxSkew ? { price: fairPrice * (1 - halfSpread - shift), size } : null,
+    ask: skew > -maxSkew ? { price: fairPrice * (1 + halfSpread - shift), size: Math.min(size, state.algo) } : null,
+    fairPrice,
+    skewPct: skew * 100
+  };
+};
+
+export const marketMakingPlugin = {
+  type: 'market_making',
+  label: 'Market Making',
+  defaultSettings: {
+    venue: 'htx', // Order-book venue the quotes rest on
+    pair: 'ALGO/USD',
+    quoteSpreadPct: 1, // Bid-ask distance around the fair price, must clear two maker fees
+    orderSizePct: 10, // Of strategy value, per side
+    skewStrength: 1, // 1 = a fully one-sided book shifts quotes by half the spread
+    maxInventorySkewPct: 30 // Stop quoting the side that would push inventory further
+  },
+
+  createState: () => ({
+    algo: null, // Funded from strategy value on the first fair price
+    usd: 0,
+    quotes: null
+  }),
+
+  // A resting quote fills when the venue's price trades through it
+  onMarketUpdate: (strategy, { now, priceData }) => {
+    const state = strategy.pluginState;
+    const { settings } = strategy;
+    const quotes = priceData[settings.pair] || {};
+    const fairPrice = getMedianPrice(quotes);
+    const venuePrice = quotes[settings.venue]?.price;
+    if (!fairPrice || !venuePrice) return [];
+
+    if (state.algo === null) {
+      state.algo = strategy.currentValue / 2;
+      state.usd = (strategy.currentValue / 2) * fairPrice;
+    }
+
+    const makerFee = getVenue(settings.venue).makerFeePct / 100;
+    const records = [];
+    let bookedValue = strategy.currentValue;
+
+    const fill = (side, quote) => {
+      if (side === 'buy') {
+        state.algo += quote.size * (1 - makerFee);
+        state.usd -= quote.size * quote.price;
+      } else {
+        state.algo -= quote.size;
+        state.usd += quote.size * quote.price * (1 - makerFee);
+      }
+      const value = markToMarket(state, fairPrice);
+      records.push({
+        kind: 'mm_fill',
+        side,
+        pair: settings.pair,
+        buyExchange: settings.venue,
+        sellExchange: settings.venue,
+        buyPrice: side === 'buy' ? quote.price : fairPrice,
+        sellPrice: side === 'sell' ? quote.price : fairPrice,
+        amount: quote.size,
+        inventorySkewPct: (inventoryRatio(state, fairPrice) - 0.5) * 100,
+        profit: value - bookedValue
+      });
+      bookedValue = value;
+    };
+
+    const resting = state.quotes;
+    if (resting?.bid && venuePrice <= resting.bid.price && state.usd >= resting.bid.size * resting.bid.price) {
+      fill('buy', resting.bid);
+    }
+    if (resting?.ask && venuePrice >= resting.ask.price && resting.ask.size > 0) {
+      fill('sell', resting.ask);
+    }
+
+    state.quotes = { ...buildQuotes(state, fairPrice, settings, bookedValue), postedAt: now };
+    return records;
+  },
+
+  // Once funded, the whole inventory rests on the quoting venue
+  getInventory: (strategy) => {
+    const state = strategy.pluginState;
+    if (state.algo === null) return null;
+    return { [strategy.settings.venue]: { ALGO: state.algo, USD: state.usd } };
+  }
+};
@@ -0,0 +1,115 @@
+// Parameter Sweep - backtests AI arbitrage settings across a grid or random sample
+// Every configuration replays the same price series with the same seed in its own engine,
+// so results differ only by the settings. Runs are ranked by risk-adjusted return.
+import { DEFAULT_TRADE_COOLDOWN_MS } from './aiArbitrageEngine';
+import { runBacktest } from './backtestRunner';
+import { RISK_PROFILES } from './riskManager';
+import { createSeededRandom } from './simulationClock';
+
+export const SWEEP_PARAMETERS = {
+  minProfitThreshold: { label: 'Min profit %', values: [0.1, 0.2, 0.3, 0.5, 1] },
+  maxTradeAmount: { label: 'Max trade % of capital', values: [5, 10, 20] },
+  cooldownMs: { label: 'Cooldown (ms)', values: [0, DEFAULT_TRADE_COOLDOWN_MS, 30000, 60000] },
+  riskLevel: { label: 'Risk level', values: Object.keys(RISK_PROFILES) }
+};
+
+export const MAX_SWEEP_RUNS = 200; // The default grid above is 180 runs
+const SWEEP_SIMULATION_ITERATIONS = 100; // Ranking needs the sign of EV, not its fine print
+const MIN_DRAWDOWN_PCT = 0.5; // Floor so a run without drawdown does not score infinitely
+
+// Every combination of the values in `space` ({ parameter: [values] })
+export const buildGrid = (space) => Object.entries(space).reduce(
+  (combinations, [parameter, values]) => combinations.flatMap(combination => values.map(value => ({ ...combination, [parameter]: value }))),
+  [{}]
+);
+
+// Up to `count` distinct combinations drawn from the grid, reproducible for a given seed
+export const sampleRandom = (space, count, seed = 42) => {
+  const random = createSeededRandom(seed);
+  const total = Object.values(space).reduce((product, values) => product * values.length, 1);
+  const seen = new Map();
+  while (seen.size < Math.min(count, total)) {
+    const combination = Object.fromEntries(Object.entries(space).map(([parameter, values]) => [
+      parameter,
+      values[Math.floor(random() * values.length)]
+    ]));
+    seen.set(JSON.stringify(combination), combination);
+  }
+  return Array.from(seen.values());
+};
+
+// Per-step returns of the equity curve, annualisation-free
+const sharpeRatio = (equityCurve) => {
+  const returns = [];
+  for (let i = 1; i < equityCurve.length; i++) {
+    if (equityCurve[i - 1].value > 0) {
+      returns.push(equityCurve[i].value / equityCurve[i - 1].value - 1);
+    }
+  }
+  if (returns.length < 2) return 0;
+  const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+  const sd = Math.sqrt(returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / returns.length);
+  return sd > 0 ? (mean / sd) * Math.sqrt(returns.length) : 0;
+};
+
+// Return over maximum drawdown, both in percent; runs without trades score zero
+export const scoreReport = (report) => {
+  if (report.tradeCount === 0) return 0;
+  return report.totalReturnPct / Math.max(report.maxDrawdownPct, MIN_DRAWDOWN_PCT);
+};
+
+const summarizeReport = (report) => ({
+  finalValue: report.finalValue,
+  totalReturn: report.totalReturn,
+  totalReturnPct: report.totalReturnPct,
+  maxDrawdownPct: report.maxDrawdownPct,
+  tradeCount: report.tradeCount,
+  winRate: report.winRate,
+  sharpe: sharpeRatio(report.equityCurve)
+});
+
+const yieldToEventLoop = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// Runs every configuration and returns them best first. baseConfig is the createStrategy()
+// config the swept parameters are applied to. onProgress({ completed, total }) fires after
+// each run; an aborted signal stops the sweep with the runs finished so far.
+// The app runs it in the AI engine worker, see aiEngineClient.runParameterSweep.
+export const runParameterSweep = async ({
+  priceSeries,
+  baseConfig = {},
+  space,
+  search = 'grid',
+  samples = 30,
+  seed = 42,
+  onProgress,
+  signal
+}) => {
+  const combinations = search === 'random' ? sampleRandom(space, samples, seed) : buildGrid(space);
+  if (combinations.length === 0) {
+    throw new Error('Parameter sweep needs at least one value for every parameter');
+  }
+  if (combinations.length > MAX_SWEEP_RUNS) {
+    throw new Error(`Sweep has ${combinations.length} runs, the limit is ${MAX_SWEEP_RUNS}. Use fewer values or random search.`);
+  }
+
+  const results = [];
+  for (const parameters of combinations) {
+    if (signal?.aborted) break;
+
+    const config = { ...baseConfig, ...parameters, name: baseConfig.name || 'Sweep run' };
+    const backtest = runBacktest({
+      priceSeries,
+      strategies: [config],
+      seed,
+      engineOptions: { simulationIterations: SWEEP_SIMULATION_ITERATIONS }
+    });
+    const report = backtest.strategies[0];
+    results.push({ parameters, config, score: scoreReport(report), ...summarizeReport(report) });
+
+    onProgress?.({ completed: results.length, total: combinations.length });
+    await yieldToEventLoop(); // Lets a cancel (or, in-process, the page) in between runs
+  }
+
+  console.log(`🧪 Parameter sweep finished: ${results.length}/${combinations.length} runs`);
+  return results.sort((a, b) => b.score - a.score || b.totalReturnPct - a.totalReturnPct);
+};
@@ -0,0 +1,42 @@
+import { SWEEP_PARAMETERS, runParameterSweep, sampleRandom } from './parameterSweep';
+
+const START = 1700000000000;
+
+// Two minutes of quotes where the Tinyman premium over HTX opens and closes every few frames
+const PRICE_SERIES = Array.from({ length: 60 }, (_, i) => ({
+  timestamp: START + i * 2000,
+  prices: {
+    'ALGO/USD': {
+      htx: { price: 0.2 },
+      coingecko: { price: 0.201 },
+      tinyman: { price: 0.201 + 0.003 * Math.sin(i / 2) }
+    }
+  }
+}));
+
+describe('runParameterSweep', () => {
+  it('ranks the same results for the same seed and price series', async () => {
+    const sweep = () => runParameterSweep({
+      priceSeries: PRICE_SERIES,
+      baseConfig: { name: 'Sweep', initialAmount: 1000 },
+      space: { minProfitThreshold: [0.1, 0.5], cooldownMs: [0, 30000] },
+      seed: 7
+    });
+
+    const first = await sweep();
+    expect(first).toHaveLength(4);
+    expect(first[0].tradeCount).toBeGreaterThan(0);
+    expect(await sweep()).toEqual(first);
+  });
+});
+
+describe('sampleRandom', () => {
+  it('draws the same distinct combinations for the same seed', () => {
+    const space = Object.fromEntries(Object.entries(SWEEP_PARAMETERS).map(([parameter, { values }]) => [parameter, values]));
+
+    const sample = sampleRandom(space, 20, 3);
+
+    expect(new Set(sample.map(combination => JSON.stringify(combination))).size).toBe(20);
+    expect(sampleRandom(space, 20, 3)).toEqual(sample);
+  });
+});
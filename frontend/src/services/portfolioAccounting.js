@@ -0,0 +1,128 @@
+// Portfolio Accounting - per-venue inventory and ALGO/USD mark-to-market for AI strategies
+//
+// strategy.accounting = { inventory: { venue: { ALGO, USD } }, initialPrice, realisedUsd, positioned, transfers }
+// Realised P&L is booked on every fill: in ALGO (strategy.totalReturn) and in USD at the
+// fill's fair price. Unrealised P&L is whatever re-marking the inventory at the current
+// fair price adds on top, e.g. an ALGO price drop shows up as an unrealised USD loss.
+
+export const MARK_PAIR = 'ALGO/USD';
+export const REPORTING_CURRENCIES = ['ALGO', 'USD'];
+export const UNALLOCATED_VENUE = 'wallet'; // Capital not committed to any venue yet
+export const IN_TRANSIT_VENUE = 'in_transit'; // Rebalancing transfers on their way to a venue
+
+// initialPrice is the cost basis for USD returns; null until the first mark price arrives
+export const createAccounting = (initialAmount, markPrice = null) => ({
+  inventory: { [UNALLOCATED_VENUE]: { ALGO: initialAmount, USD: 0 } },
+  initialPrice: markPrice,
+  realisedUsd: markPrice ? 0 : null, // null: value realised ALGO at the first mark
+  positioned: false, // Arbitrage capital is spread across venues once a price is known
+  transfers: [] // Rebalancing transfers, in transit and recent
+});
+
+export const applyInventoryDeltas = (inventory, deltas) => {
+  deltas.forEach(({ venue, asset, amount }) => {
+    const holdings = inventory[venue] || { ALGO: 0, USD: 0 };
+    holdings[asset] = (holdings[asset] || 0) + amount;
+    inventory[venue] = holdings;
+  });
+  return inventory;
+};
+
+const isCrossVenueTrade = (trade) => Boolean(trade.buyExchange && trade.sellExchange && trade.buyExchange !== trade.sellExchange);
+
+const tradeBuyPrice = (trade) => trade.actualBuyPrice ?? trade.modelledBuyPrice ?? trade.buyPrice;
+
+// Balances an open trade needs on each venue: USD to buy with, ALGO to sell or start a cycle from
+export const tradeFundingNeeds = (trade) => {
+  if (trade.legs) {
+    return [{ venue: trade.legs[0].venue, asset: 'ALGO', amount: trade.amount }];
+  }
+  if (isCrossVenueTrade(trade)) {
+    return [
+      { venue: trade.buyExchange, asset: 'USD', amount: trade.amount * tradeBuyPrice(trade) },
+      { venue: trade.sellExchange, asset: 'ALGO', amount: trade.amount }
+    ];
+  }
+  return [];
+};
+
+// Balance on `venue` not already committed to the strategy's open trades
+export const getAvailableBalance = (strategy, venue, asset) => {
+  const balance = strategy.accounting?.inventory[venue]?.[asset] || 0;
+  const reserved = strategy.activeTrades
+    .flatMap(tradeFundingNeeds)
+    .filter(need => need.venue === venue && need.asset === asset)
+    .reduce((sum, need) => sum + need.amount, 0);
+  return balance - reserved;
+};
+
+// How a filled trade moves the inventory when its record does not say
+export const defaultInventoryDeltas = (trade, markPrice) => {
+  const profit = trade.actualProfit || 0;
+  if (trade.legs) {
+    // Cycles start and end in ALGO on the first venue
+    return [{ venue: trade.legs[0].venue, asset: 'ALGO', amount: profit }];
+  }
+  if (isCrossVenueTrade(trade)) {
+    // ALGO bought with USD on the buy venue, the same ALGO sold for USD on the sell venue.
+    // The proceeds carry the booked profit, so the spread is earned in USD on the sell side.
+    const cost = trade.amount * tradeBuyPrice(trade);
+    const proceeds = cost + profit * (markPrice > 0 ? markPrice : tradeBuyPrice(trade));
+    return [
+      { venue: trade.buyExchange, asset: 'USD', amount: -cost },
+      { venue: trade.buyExchange, asset: 'ALGO', amount: trade.amount },
+      { venue: trade.sellExchange, asset: 'ALGO', amount: -trade.amount },
+      { venue: trade.sellExchange, asset: 'USD', amount: proceeds }
+    ];
+  }
+  return [{ venue: trade.buyExchange || UNALLOCATED_VENUE, asset: 'ALGO', amount: profit }];
+};
+
+export const sumInventory = (inventory) => Object.values(inventory || {}).reduce((totals, holdings) => ({
+  ALGO: totals.ALGO + (holdings.ALGO || 0),
+  USD: totals.USD + (holdings.USD || 0)
+}), { ALGO: 0, USD: 0 });
+
+const pnlView = (value, cost, realised) => ({
+  value,
+  cost,
+  realised,
+  unrealised: value - cost - realised,
+  pnl: value - cost,
+  pnlPct: cost > 0 ? ((value - cost) / cost) * 100 : 0
+});
+
+// Both reporting currencies at `price` (USD per ALGO); null without a price
+export const valueStrategy = (strategy, price) => {
+  const accounting = strategy.accounting;
+  if (!accounting || !(price > 0)) return null;
+
+  const totals = sumInventory(accounting.inventory);
+  const initialPrice = accounting.initialPrice ?? price;
+  const realisedUsd = accounting.realisedUsd ?? strategy.totalReturn * price;
+
+  return {
+    price,
+    ALGO: pnlView(totals.ALGO + totals.USD / price, strategy.initialAmount, strategy.totalReturn),
+    USD: pnlView(totals.ALGO * price + totals.USD, strategy.initialAmount * initialPrice, realisedUsd),
+    byVenue: Object.entries(accounting.inventory).map(([venue, holdings]) => ({
+      venue,
+      ALGO: holdings.ALGO || 0,
+      USD: holdings.USD || 0,
+      valueAlgo: (holdings.ALGO || 0) + (holdings.USD || 0) / price,
+      valueUsd: (holdings.ALGO || 0) * price + (holdings.USD || 0)
+    }))
+  };
+};
+
+// Totals across strategies in one currency, skipping strategies without a valuation
+export const summarizeValuations = (strategies, currency) => strategies
+  .map(strategy => strategy.valuation?.[currency])
+  .filter(Boolean)
+  .reduce((sum, view) => ({
+    value: sum.value + view.value,
+    cost: sum.cost + view.cost,
+    realised: sum.realised + view.realised,
+    unrealised: sum.unrealised + view.unrealised,
+    pnl: sum.pnl + view.pnl
+  }), { value: 0, cost: 0, realised: 0, unrealised: 0, pnl: 0 });
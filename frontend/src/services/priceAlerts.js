@@ -0,0 +1,251 @@
+// Price Alerts - user-defined rules evaluated against every price update
+// Rules fire on the transition into their condition and re-arm once it clears, so a
+// level that stays crossed alerts once; a cooldown also spaces out alerts from a flapping
+// condition. Triggered alerts are kept in a history and delivered as browser notifications.
+import { getMedianPrice, getQuoteTimestamp } from './priceGuard';
+import { getVenueLabel } from '../config/venues';
+
+export const ALERT_TYPES = {
+  price_above: { label: 'Price above' },
+  price_below: { label: 'Price below' },
+  pct_move: { label: '% move within window' },
+  spread_above: { label: 'Spread between venues above' },
+  stale_feed: { label: 'Stale feed' }
+};
+
+export const MEDIAN_VENUE = 'median'; // Price rules on the cross-venue median instead of one venue
+export const DEFAULT_ALERT_COOLDOWN_MS = 5 * 60 * 1000;
+
+const RULES_KEY = 'algofi.alertRules';
+const HISTORY_KEY = 'algofi.alertHistory';
+const MAX_HISTORY = 200;
+const MAX_MOVE_WINDOW_MS = 24 * 60 * 60 * 1000;
+const STALE_CHECK_MS = 5000; // Stale rules have to be checked without price updates
+
+const formatPrice = (price) => price.toFixed(4);
+const formatDuration = (ms) => (ms < 60000 ? `${Math.round(ms / 1000)}s` : `${Math.round(ms / 60000)}m`);
+
+const readJson = (storage, key, fallback) => {
+  try {
+    const stored = storage?.getItem(key);
+    return stored ? JSON.parse(stored) : fallback;
+  } catch (error) {
+    return fallback;
+  }
+};
+
+export const describeRule = (rule) => {
+  const venue = rule.venue && rule.venue !== MEDIAN_VENUE ? ` on ${getVenueLabel(rule.venue)}` : '';
+  switch (rule.type) {
+    case 'price_above':
+      return `${rule.pair}${venue} above ${rule.threshold}`;
+    case 'price_below':
+      return `${rule.pair}${venue} below ${rule.threshold}`;
+    case 'pct_move':
+      return `${rule.pair}${venue} moves ${rule.threshold}% within ${formatDuration(rule.windowMs)}`;
+    case 'spread_above':
+      return `${rule.pair} spread ${getVenueLabel(rule.venueA)} ↔ ${getVenueLabel(rule.venueB)} above ${rule.threshold}%`;
+    case 'stale_feed':
+      return `${rule.pair} has no update for ${formatDuration(rule.windowMs)}`;
+    default:
+      return rule.type;
+  }
+};
+
+const getRulePrice = (rule, quotes) => (
+  !rule.venue || rule.venue === MEDIAN_VENUE ? getMedianPrice(quotes) : quotes?.[rule.venue]?.price ?? null
+);
+
+// The triggered message for `rule`, or null while its condition does not hold.
+// context: { prices, samples (pair -> [{ time, price }]), lastUpdateAt (pair -> ms), now }
+export const evaluateRule = (rule, { prices, samples, lastUpdateAt, now }) => {
+  const quotes = prices?.[rule.pair];
+
+  switch (rule.type) {
+    case 'price_above':
+    case 'price_below': {
+      const price = getRulePrice(rule, quotes);
+      if (!(price > 0)) return null;
+      const crossed = rule.type === 'price_above' ? price > rule.threshold : price < rule.threshold;
+      return crossed ? { value: price, message: `${describeRule(rule)}: now ${formatPrice(price)}` } : null;
+    }
+    case 'pct_move': {
+      const price = getRulePrice(rule, quotes);
+      const start = (samples?.[`${rule.pair}|${rule.venue || MEDIAN_VENUE}`] || []).find(sample => sample.time >= now - rule.windowMs);
+      if (!(price > 0) || !start) return null;
+      const movePct = ((price - start.price) / start.price) * 100;
+      return Math.abs(movePct) >= rule.threshold
+        ? { value: movePct, message: `${rule.pair} ${movePct >= 0 ? 'up' : 'down'} ${Math.abs(movePct).toFixed(2)}% in ${formatDuration(now - start.time)} (${formatPrice(start.price)} → ${formatPrice(price)})` }
+        : null;
+    }
+    case 'spread_above': {
+      const priceA = quotes?.[rule.venueA]?.price;
+      const priceB = quotes?.[rule.venueB]?.price;
+      if (!(priceA > 0) || !(priceB > 0)) return null;
+      const spreadPct = (Math.abs(priceA - priceB) / Math.min(priceA, priceB)) * 100;
+      return spreadPct > rule.threshold
+        ? { value: spreadPct, message: `${describeRule(rule)}: now ${spreadPct.toFixed(3)}%` }
+        : null;
+    }
+    case 'stale_feed': {
+      const last = lastUpdateAt?.[rule.pair];
+      if (!last) return null;
+      const ageMs = now - last;
+      return ageMs > rule.windowMs ? { value: ageMs, message: `${rule.pair} feed stale: last update ${formatDuration(ageMs)} ago` } : null;
+    }
+    default:
+      return null;
+  }
+};
+
+// Shows a system notification when the user allowed them; returns whether one was shown
+export const showBrowserNotification = (alert) => {
+  if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return false;
+  try {
+    // The tag makes a repeat of the same rule replace its previous notification
+    new Notification(`AlgoFi alert: ${alert.ruleDescription}`, { body: alert.message, tag: alert.ruleId });
+    return true;
+  } catch (error) {
+    console.warn('⚠️ Notification failed:', error);
+    return false;
+  }
+};
+
+export class PriceAlerts {
+  constructor({
+    storage = typeof window !== 'undefined' ? window.localStorage : undefined,
+    notify = showBrowserNotification,
+    now = () => Date.now()
+  } = {}) {
+    this.storage = storage;
+    this.notify = notify;
+    this.now = now;
+    this.rules = readJson(storage, RULES_KEY, []);
+    this.history = readJson(storage, HISTORY_KEY, []);
+    this.active = {}; // ruleId -> true while its condition holds
+    this.samples = {}; // `${pair}|${venue}` -> [{ time, price }] for % move rules
+    this.lastUpdateAt = {}; // pair -> newest quote source time
+    this.prices = {};
+    this.listeners = new Set();
+    this.staleTimer = null;
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  emit() {
+    this.listeners.forEach(listener => listener({ rules: this.rules, history: this.history }));
+  }
+
+  save() {
+    try {
+      this.storage?.setItem(RULES_KEY, JSON.stringify(this.rules));
+      this.storage?.setItem(HISTORY_KEY, JSON.stringify(this.history));
+    } catch (error) {
+      console.warn('⚠️ Could not save alerts:', error);
+    }
+    this.emit();
+  }
+
+  addRule(rule) {
+    const created = {
+      cooldownMs: DEFAULT_ALERT_COOLDOWN_MS,
+      enabled: true,
+      ...rule,
+      id: `alert_${this.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      createdAt: new Date(this.now()).toISOString(),
+      lastTriggeredAt: null
+    };
+    this.rules = [...this.rules, created];
+    console.log(`🔔 Alert rule added: ${describeRule(created)}`);
+    this.save();
+    return created;
+  }
+
+  updateRule(ruleId, changes) {
+    this.rules = this.rules.map(rule => (rule.id === ruleId ? { ...rule, ...changes } : rule));
+    delete this.active[ruleId];
+    this.save();
+  }
+
+  removeRule(ruleId) {
+    this.rules = this.rules.filter(rule => rule.id !== ruleId);
+    delete this.active[ruleId];
+    this.save();
+  }
+
+  clearHistory() {
+    this.history = [];
+    this.save();
+  }
+
+  recordSamples(prices, now) {
+    Object.entries(prices || {}).forEach(([pair, quotes]) => {
+      const times = Object.values(quotes || {}).map(getQuoteTimestamp).filter(time => time !== null);
+      if (times.length > 0) {
+        this.lastUpdateAt[pair] = Math.max(this.lastUpdateAt[pair] || 0, ...times);
+      }
+
+      const series = [[MEDIAN_VENUE, getMedianPrice(quotes)], ...Object.entries(quotes || {}).map(([venue, quote]) => [venue, quote?.price])];
+      series.forEach(([venue, price]) => {
+        if (!(price > 0)) return;
+        const key = `${pair}|${venue}`;
+        this.samples[key] = [...(this.samples[key] || []), { time: now, price }]
+          .filter(sample => sample.time >= now - MAX_MOVE_WINDOW_MS);
+      });
+    });
+  }
+
+  // Checks every enabled rule against `prices` ({ pair: { venue: quote } }, already guarded).
+  // Called without prices it re-checks the last known book, which is how stale feeds are caught.
+  evaluate(prices = null) {
+    const now = this.now();
+    if (prices) {
+      this.prices = { ...this.prices, ...prices };
+      this.recordSamples(prices, now);
+    }
+    if (!this.staleTimer && typeof setInterval !== 'undefined') {
+      this.staleTimer = setInterval(() => this.evaluate(), STALE_CHECK_MS);
+    }
+
+    const context = { prices: this.prices, samples: this.samples, lastUpdateAt: this.lastUpdateAt, now };
+    const triggered = [];
+    this.rules.filter(rule => rule.enabled).forEach(rule => {
+      const result = evaluateRule(rule, context);
+      const wasActive = this.active[rule.id];
+      this.active[rule.id] = !!result;
+      if (!result || wasActive) return;
+
+      const lastTriggered = rule.lastTriggeredAt ? new Date(rule.lastTriggeredAt).getTime() : 0;
+      if (now - lastTriggered < rule.cooldownMs) return;
+
+      triggered.push({
+        id: `${rule.id}_${now}`,
+        ruleId: rule.id,
+        type: rule.type,
+        pair: rule.pair,
+        ruleDescription: describeRule(rule),
+        message: result.message,
+        value: result.value,
+        triggeredAt: new Date(now).toISOString()
+      });
+    });
+    if (triggered.length === 0) return [];
+
+    triggered.forEach(alert => {
+      console.log(`🚨 Alert: ${alert.message}`);
+      alert.notified = this.notify(alert);
+    });
+    const triggeredIds = new Set(triggered.map(alert => alert.ruleId));
+    this.rules = this.rules.map(rule => (
+      triggeredIds.has(rule.id) ? { ...rule, lastTriggeredAt: new Date(now).toISOString() } : rule
+    ));
+    this.history = [...triggered.reverse(), ...this.history].slice(0, MAX_HISTORY);
+    this.save();
+    return triggered;
+  }
+}
+
+export const priceAlerts = new PriceAlerts();
@@ -0,0 +1,93 @@
+// Price Guard - drops quotes that must never be traded against
+// Stale quotes, synthetic (mock or simulated) quotes and cross-venue outliers are
+// split out of { pair: { venue: quote } } together with the reason they were rejected.
+
+export const DEFAULT_PRICE_GUARD = {
+  maxAgeMs: 60000, // Quotes older than this at evaluation time are stale
+  maxDeviationPct: 3, // Allowed distance from the cross-venue median
+  minQuotesForMedian: 3, // With two quotes the median cannot tell which one is wrong
+  allowSynthetic: false
+};
+
+// Source time of a quote in ms, or null when the source did not say
+export const getQuoteTimestamp = (quote) => {
+  const value = quote?.timestamp ?? quote?.last_updated;
+  if (value === undefined || value === null) return null;
+  const time = value instanceof Date ? value.getTime() : new Date(value).getTime();
+  return Number.isFinite(time) ? time : null;
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// Cross-venue fair price for one pair's { venue: quote } map, null without prices
+export const getMedianPrice = (quotes) => {
+  const prices = Object.values(quotes || {}).map(quote => quote?.price).filter(price => price > 0);
+  return prices.length > 0 ? median(prices) : null;
+};
+
+const rejectReason = (quote, guard, now) => {
+  if (!(quote?.price > 0)) {
+    return { code: 'invalid', reason: 'No valid price' };
+  }
+  if (quote.synthetic && !guard.allowSynthetic) {
+    return { code: 'synthetic', reason: `Synthetic quote (${quote.source || 'mock'})` };
+  }
+
+  const timestamp = getQuoteTimestamp(quote);
+  if (timestamp === null) {
+    return { code: 'stale', reason: 'No source timestamp' };
+  }
+  const ageMs = now - timestamp;
+  if (ageMs > guard.maxAgeMs) {
+    return { code: 'stale', reason: `Stale: ${Math.round(ageMs / 1000)}s old (max ${Math.round(guard.maxAgeMs / 1000)}s)` };
+  }
+  return null;
+};
+
+// Returns { accepted, rejected }; accepted keeps the input shape, rejected is a flat list
+export const filterQuotes = (priceData, options = {}, now = Date.now()) => {
+  const guard = { ...DEFAULT_PRICE_GUARD, ...options };
+  const accepted = {};
+  const rejected = [];
+
+  Object.entries(priceData || {}).forEach(([pair, quotes]) => {
+    const fresh = [];
+    Object.entries(quotes || {}).forEach(([venue, quote]) => {
+      const rejection = rejectReason(quote, guard, now);
+      if (rejection) {
+        rejected.push({ pair, venue, price: quote?.price ?? null, timestamp: getQuoteTimestamp(quote), ...rejection });
+      } else {
+        fresh.push([venue, quote]);
+      }
+    });
+
+    // Outliers are judged only against quotes that passed the checks above
+    let kept = fresh;
+    if (fresh.length >= guard.minQuotesForMedian) {
+      const mid = median(fresh.map(([, quote]) => quote.price));
+      kept = fresh.filter(([venue, quote]) => {
+        const deviationPct = (Math.abs(quote.price - mid) / mid) * 100;
+        if (deviationPct <= guard.maxDeviationPct) return true;
+        rejected.push({
+          pair,
+          venue,
+          price: quote.price,
+          timestamp: getQuoteTimestamp(quote),
+          code: 'outlier',
+          reason: `Outlier: ${deviationPct.toFixed(2)}% from median ${mid.toFixed(4)} (max ${guard.maxDeviationPct}%)`
+        });
+        return false;
+      });
+    }
+
+    if (kept.length > 0) {
+      accepted[pair] = Object.fromEntries(kept);
+    }
+  });
+
+  return { accepted, rejected };
+};
@@ -0,0 +1,277 @@
+// Price Stream - push-based market quotes with reconnect, gap detection and polling fallback
+// A stream server pushes `{ seq, timestamp, prices }` frames holding only the quotes that changed,
+// over Server-Sent Events (default) or socket.io. Frames are merged into a local book that is
+// seeded from the REST snapshot; a jump in `seq` means frames were lost, so the book is resynced.
+// Dropped connections retry with exponential backoff, and after repeated failures the feed
+// polls the REST endpoint while it keeps retrying the push transport in the background.
+import { io } from 'socket.io-client';
+import algofiAPI from './algofiAPI';
+
+export const STREAM_STATES = {
+  CONNECTING: 'connecting',
+  STREAMING: 'streaming',
+  RECONNECTING: 'reconnecting',
+  POLLING: 'polling',
+  STOPPED: 'stopped'
+};
+
+export const PRICE_STREAM_URL = process.env.REACT_APP_PRICE_STREAM_URL || algofiAPI.baseURL;
+// The Julia backend only serves the REST snapshot, so pushing is opt-in: it defaults on
+// when a stream server is configured and can be forced either way
+export const PRICE_STREAM_TRANSPORT = process.env.REACT_APP_PRICE_STREAM_TRANSPORT ||
+  (process.env.REACT_APP_PRICE_STREAM_URL ? 'sse' : 'polling'); // sse | socketio | polling
+
+const SNAPSHOT_PATH = '/api/v1/market/prices';
+const STREAM_PATH = `${SNAPSHOT_PATH}/stream`;
+const POLL_INTERVAL_MS = 5000; // Same cadence the feed used before streaming
+const HEARTBEAT_TIMEOUT_MS = 15000; // Server heartbeats every 5s; three missed means a dead connection
+const BASE_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 30000;
+const FAILURES_BEFORE_POLLING = 3;
+
+// Exponential backoff with equal jitter, so reconnecting clients do not retry in lockstep
+export const getBackoffDelay = (attempt, random = Math.random) => {
+  const ceiling = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** attempt);
+  return ceiling / 2 + random() * (ceiling / 2);
+};
+
+// The REST snapshot comes from the same server as the stream, so a stand-in server stays consistent
+export const fetchSnapshotFrom = (url) => async () => {
+  if (url === algofiAPI.baseURL) return algofiAPI.getCurrentPrices();
+  const response = await fetch(`${url}${SNAPSHOT_PATH}`);
+  if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  return response.json();
+};
+
+// Transports open one connection and report through the handlers; they never retry themselves
+const connectEventSource = (url, { onOpen, onFrame, onHeartbeat, onError }) => {
+  const source = new EventSource(`${url}${STREAM_PATH}`);
+  const parse = (handler) => (event) => {
+    try {
+      handler(JSON.parse(event.data));
+    } catch (error) {
+      onError(new Error(`Malformed stream message: ${error.message}`));
+    }
+  };
+  source.onopen = onOpen;
+  source.addEventListener('prices', parse(onFrame));
+  source.addEventListener('heartbeat', parse(onHeartbeat));
+  source.onerror = () => onError(new Error('Event stream connection lost'));
+  return () => source.close();
+};
+
+const connectSocketIo = (url, { onOpen, onFrame, onHeartbeat, onError }) => {
+  const socket = io(url, { transports: ['websocket'], reconnection: false });
+  socket.on('connect', onOpen);
+  socket.on('prices', onFrame);
+  socket.on('heartbeat', onHeartbeat);
+  socket.on('connect_error', error => onError(error));
+  socket.on('disconnect', reason => onError(new Error(`Socket disconnected: ${reason}`)));
+  return () => {
+    socket.removeAllListeners();
+    socket.close();
+  };
+};
+
+const TRANSPORTS = {
+  sse: connectEventSource,
+  socketio: connectSocketIo
+};
+
+const mergeQuotes = (book, prices) => {
+  const merged = { ...book };
+  Object.entries(prices || {}).forEach(([pair, quotes]) => {
+    merged[pair] = { ...merged[pair], ...quotes };
+  });
+  return merged;
+};
+
+export class PriceStream {
+  // onPrices(book, { source: 'stream' | 'snapshot', seq }) receives the full merged book;
+  // onStatus(status) fires on every transport state change
+  constructor({
+    url = PRICE_STREAM_URL,
+    transport = PRICE_STREAM_TRANSPORT,
+    fetchSnapshot = fetchSnapshotFrom(url),
+    onPrices,
+    onStatus,
+    random = Math.random
+  } = {}) {
+    this.url = url;
+    this.transport = TRANSPORTS[transport] ? transport : 'polling';
+    this.connectTransport = TRANSPORTS[this.transport];
+    this.fetchSnapshot = fetchSnapshot;
+    this.onPrices = onPrices;
+    this.onStatus = onStatus;
+    this.random = random;
+
+    this.book = {};
+    this.lastSeq = null;
+    this.connectionId = 0;
+    this.closeConnection = null;
+    this.reconnectTimer = null;
+    this.heartbeatTimer = null;
+    this.pollTimer = null;
+    this.status = {
+      state: STREAM_STATES.STOPPED,
+      transport: this.transport,
+      failures: 0,
+      nextRetryAt: null,
+      lastMessageAt: null,
+      gaps: 0,
+      error: null
+    };
+  }
+
+  setStatus(changes) {
+    this.status = { ...this.status, ...changes };
+    this.onStatus?.(this.status);
+  }
+
+  start() {
+    if (this.status.state !== STREAM_STATES.STOPPED) return;
+
+    if (!this.connectTransport) {
+      console.log('🔁 Price stream: polling only');
+      this.startPolling();
+      return;
+    }
+    this.connect();
+  }
+
+  stop() {
+    this.connectionId++;
+    this.closeConnection?.();
+    this.closeConnection = null;
+    clearTimeout(this.reconnectTimer);
+    clearTimeout(this.heartbeatTimer);
+    this.stopPolling();
+    this.setStatus({ state: STREAM_STATES.STOPPED, nextRetryAt: null });
+  }
+
+  connect() {
+    const id = ++this.connectionId;
+    const current = (handler) => (...args) => {
+      if (id === this.connectionId) handler(...args);
+    };
+
+    // While polling covers for the stream the state stays POLLING until a connection opens
+    this.setStatus(this.pollTimer ? { nextRetryAt: null } : {
+      state: this.status.failures > 0 ? STREAM_STATES.RECONNECTING : STREAM_STATES.CONNECTING,
+      nextRetryAt: null
+    });
+
+    try {
+      this.closeConnection = this.connectTransport(this.url, {
+        onOpen: current(() => this.handleOpen()),
+        onFrame: current(frame => this.handleFrame(frame)),
+        onHeartbeat: current(heartbeat => this.handleHeartbeat(heartbeat)),
+        onError: current(error => this.handleFailure(error))
+      });
+      this.armHeartbeat(id);
+    } catch (error) {
+      this.handleFailure(error);
+    }
+  }
+
+  handleOpen() {
+    console.log(`📡 Price stream connected (${this.transport})`);
+    this.stopPolling();
+    this.lastSeq = null; // The server may have moved on while we were away; the snapshot covers it
+    this.setStatus({ state: STREAM_STATES.STREAMING, failures: 0, nextRetryAt: null, error: null });
+    this.resync();
+  }
+
+  handleFrame(frame) {
+    this.armHeartbeat(this.connectionId);
+    const seq = Number(frame?.seq);
+    const previousSeq = this.lastSeq;
+    const gapped = previousSeq !== null && Number.isFinite(seq) && seq !== previousSeq + 1;
+    if (Number.isFinite(seq)) this.lastSeq = seq;
+
+    this.book = mergeQuotes(this.book, frame?.prices);
+    this.setStatus({ lastMessageAt: new Date() });
+    this.onPrices?.(this.book, { source: 'stream', seq });
+
+    if (gapped) this.handleGap(`frame ${seq} arrived after ${previousSeq}`);
+  }
+
+  // Heartbeats carry the latest seq sent, so frames lost just before a quiet spell are caught too
+  handleHeartbeat(heartbeat) {
+    this.armHeartbeat(this.connectionId);
+    const seq = Number(heartbeat?.seq);
+    if (this.lastSeq !== null && Number.isFinite(seq) && seq > this.lastSeq) {
+      this.lastSeq = seq;
+      this.handleGap(`heartbeat reports frame ${seq}`);
+    }
+  }
+
+  handleGap(reason) {
+    console.warn(`🕳️ Price stream gap detected (${reason}), resyncing`);
+    this.setStatus({ gaps: this.status.gaps + 1 });
+    this.resync();
+  }
+
+  handleFailure(error) {
+    this.connectionId++;
+    this.closeConnection?.();
+    this.closeConnection = null;
+    clearTimeout(this.heartbeatTimer);
+
+    const failures = this.status.failures + 1;
+    console.warn(`⚠️ Price stream failure ${failures}: ${error?.message || error}`);
+    if (failures >= FAILURES_BEFORE_POLLING && !this.pollTimer) {
+      console.log('🔁 Price stream unavailable, falling back to polling');
+      this.startPolling();
+    }
+
+    const delay = getBackoffDelay(failures - 1, this.random);
+    this.setStatus({
+      state: this.pollTimer ? STREAM_STATES.POLLING : STREAM_STATES.RECONNECTING,
+      failures,
+      nextRetryAt: new Date(Date.now() + delay),
+      error: error?.message || String(error)
+    });
+    this.reconnectTimer = setTimeout(() => this.connect(), delay);
+  }
+
+  // A connection that neither opens nor sends anything is treated as failed
+  armHeartbeat(id) {
+    clearTimeout(this.heartbeatTimer);
+    this.heartbeatTimer = setTimeout(() => {
+      if (id === this.connectionId) {
+        this.handleFailure(new Error(`No stream data for ${HEARTBEAT_TIMEOUT_MS / 1000}s`));
+      }
+    }, HEARTBEAT_TIMEOUT_MS);
+  }
+
+  async resync() {
+    try {
+      const response = await this.fetchSnapshot();
+      const prices = response?.prices || response; // Handle both response formats
+      if (!prices || typeof prices !== 'object') return;
+      this.book = mergeQuotes({}, prices);
+      this.onPrices?.(this.book, { source: 'snapshot', seq: this.lastSeq });
+      if (this.status.state === STREAM_STATES.POLLING) {
+        this.setStatus({ lastMessageAt: new Date() });
+      }
+    } catch (error) {
+      console.error('❌ Price snapshot failed:', error);
+      if (this.status.state === STREAM_STATES.POLLING) {
+        this.setStatus({ error: error.message });
+      }
+    }
+  }
+
+  startPolling() {
+    if (this.pollTimer) return;
+    this.setStatus({ state: STREAM_STATES.POLLING });
+    this.resync();
+    this.pollTimer = setInterval(() => this.resync(), POLL_INTERVAL_MS);
+  }
+
+  stopPolling() {
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+  }
+}
@@ -0,0 +1,126 @@
+// Profit Simulator - Monte Carlo distribution of an opportunity's outcome at a given size
+// Each run walks the legs in order, sampling execution latency, price drift since the
+// quote, adverse slippage and fill failures from the venue behaviour profiles. A leg that
+// fails after earlier legs filled leaves a position that is unwound on the previous venue.
+import { REFERENCE_TRADE_AMOUNT_ALGO, getVenue } from '../config/venues';
+import { CALIBRATION_BASES } from './venueBehaviour';
+
+export const DEFAULT_SIMULATION_ITERATIONS = 500;
+
+export const CALIBRATION_LABELS = {
+  live: 'calibrated on live fills',
+  paper: 'calibrated on paper fills only',
+  prior: 'venue priors only, nothing recorded yet'
+};
+
+// Standard normal via Box-Muller; `random` is injectable so replays stay deterministic
+const sampleNormal = (random) => {
+  const u = Math.max(random(), Number.EPSILON);
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+};
+
+// Latencies are positive and right-skewed, so sample a lognormal with the profile's mean/sd
+const sampleLatencyMs = ({ mean, sd }, random) => {
+  if (!(mean > 0)) return 0;
+  const sigmaSq = Math.log(1 + (sd * sd) / (mean * mean));
+  return Math.exp(Math.log(mean) - sigmaSq / 2 + Math.sqrt(sigmaSq) * sampleNormal(random));
+};
+
+const percentile = (sorted, p) => {
+  const index = (sorted.length - 1) * p;
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+};
+
+// Venues in execution order: both sides of a cross-venue trade, or every hop of a cycle
+export const getOpportunityLegs = (opportunity) => (
+  opportunity.legs
+    ? opportunity.legs.map(leg => ({ venue: leg.venue, pair: leg.pair }))
+    : [
+        { venue: opportunity.buyExchange, pair: opportunity.pair },
+        { venue: opportunity.sellExchange, pair: opportunity.pair }
+      ]
+);
+
+const runOnce = (legs, profiles, { amount, netProfitPct }, random) => {
+  let elapsedMs = 0;
+  let profitPct = netProfitPct;
+  let networkFeeAlgo = 0;
+
+  for (let i = 0; i < legs.length; i++) {
+    const profile = profiles[i];
+    const venue = getVenue(legs[i].venue);
+    elapsedMs += sampleLatencyMs(profile.latencyMs, random);
+    networkFeeAlgo += venue.networkFeeAlgo;
+
+    const driftPct = sampleNormal(random) * profile.volatilityPct * Math.sqrt(elapsedMs / 1000);
+    const slippagePct = Math.max(0, profile.slippagePct.mean + sampleNormal(random) * profile.slippagePct.sd);
+
+    if (random() < profile.failureRate) {
+      if (i === 0) {
+        return { profit: -networkFeeAlgo, failed: true }; // Nothing filled, only the attempt's fees
+      }
+      // Unwind what earlier legs bought: pay their fees again plus drift and slippage on the way back
+      const previous = getVenue(legs[i - 1].venue);
+      const paidFeePct = legs.slice(0, i).reduce((sum, leg) => sum + getVenue(leg.venue).takerFeePct, 0);
+      const unwindPct = driftPct - slippagePct - paidFeePct - previous.takerFeePct;
+      return { profit: (amount * unwindPct) / 100 - networkFeeAlgo - previous.networkFeeAlgo, failed: true };
+    }
+
+    profitPct += driftPct - slippagePct;
+  }
+
+  return { profit: (amount * profitPct) / 100, failed: false };
+};
+
+// Outcome distribution in ALGO. netProfitPct is the modelled net return at `amount`
+// (after fees and price impact); getProfile(venue, pair) supplies venue behaviour.
+export const simulateOpportunity = (opportunity, {
+  amount = REFERENCE_TRADE_AMOUNT_ALGO,
+  netProfitPct = opportunity.netProfitPct,
+  getProfile,
+  random = Math.random,
+  iterations = DEFAULT_SIMULATION_ITERATIONS
+}) => {
+  const legs = getOpportunityLegs(opportunity);
+  const profiles = legs.map(leg => getProfile(leg.venue, leg.pair));
+
+  const profits = [];
+  let failures = 0;
+  for (let i = 0; i < iterations; i++) {
+    const outcome = runOnce(legs, profiles, { amount, netProfitPct }, random);
+    profits.push(outcome.profit);
+    if (outcome.failed) failures++;
+  }
+  profits.sort((a, b) => a - b);
+
+  const expectedProfit = profits.reduce((sum, profit) => sum + profit, 0) / iterations;
+  const variance = profits.reduce((sum, profit) => sum + (profit - expectedProfit) ** 2, 0) / iterations;
+
+  // Only as well calibrated as its least-measured leg
+  const calibration = profiles
+    .map(profile => profile.samples?.basis || 'prior')
+    .reduce((weakest, basis) => (CALIBRATION_BASES.indexOf(basis) < CALIBRATION_BASES.indexOf(weakest) ? basis : weakest), 'live');
+
+  return {
+    iterations,
+    amount,
+    calibration,
+    expectedProfit,
+    expectedProfitPct: (expectedProfit / amount) * 100,
+    stdDev: Math.sqrt(variance),
+    probabilityOfLoss: profits.filter(profit => profit < 0).length / iterations,
+    fillFailureRate: failures / iterations,
+    percentiles: {
+      p5: percentile(profits, 0.05),
+      p25: percentile(profits, 0.25),
+      p50: percentile(profits, 0.5),
+      p75: percentile(profits, 0.75),
+      p95: percentile(profits, 0.95)
+    }
+  };
+};
+
+// Confidence shown on opportunities: the simulated chance of not losing money
+export const simulationConfidence = (simulation) => Math.round((1 - simulation.probabilityOfLoss) * 100);
@@ -0,0 +1,105 @@
+// Rebalancing Planner - keeps arbitrage inventory spread across the venues a strategy trades
+// Cross-venue trades leave ALGO piling up on the buy venue and USD on the sell venue.
+// Once a venue runs low on either asset, the planner proposes same-asset transfers from
+// the venues holding a surplus, costed with each venue's withdrawal fee and deposit time.
+import { getVenue } from '../config/venues';
+import { IN_TRANSIT_VENUE, UNALLOCATED_VENUE } from './portfolioAccounting';
+
+export const REBALANCE_ASSETS = ['ALGO', 'USD'];
+export const REBALANCE_TRIGGER_RATIO = 0.25; // Rebalance once a balance drops below 25% of its target
+const MIN_TRANSFER_FEE_MULTIPLE = 10; // Skip transfers that would lose more than 10% to fees
+const MIN_TRANSFER_TARGET_SHARE = 0.05; // ...and top-ups under 5% of the target balance
+
+// Splits the unallocated ALGO evenly across `venues`, half of each share held as USD at `price`
+export const positionInventory = (inventory, venues, price) => {
+  const unallocated = inventory[UNALLOCATED_VENUE]?.ALGO || 0;
+  if (!(price > 0) || venues.length === 0 || unallocated <= 0) return inventory;
+
+  const share = unallocated / venues.length;
+  const positioned = { ...inventory, [UNALLOCATED_VENUE]: { ...inventory[UNALLOCATED_VENUE], ALGO: 0 } };
+  venues.forEach(venue => {
+    const holdings = positioned[venue] || { ALGO: 0, USD: 0 };
+    positioned[venue] = {
+      ALGO: (holdings.ALGO || 0) + share / 2,
+      USD: (holdings.USD || 0) + (share / 2) * price
+    };
+  });
+  return positioned;
+};
+
+// Even split of each asset across the venues
+const getTargets = (inventory, venues) => Object.fromEntries(REBALANCE_ASSETS.map(asset => [
+  asset,
+  venues.reduce((sum, venue) => sum + Math.max(0, inventory[venue]?.[asset] || 0), 0) / venues.length
+]));
+
+const matchTransfers = (inventory, venues, asset, target, now) => {
+  const balanceOf = (venue) => inventory[venue]?.[asset] || 0;
+  const deficits = venues
+    .filter(venue => balanceOf(venue) < target)
+    .map(venue => ({ venue, amount: target - balanceOf(venue) }))
+    .sort((a, b) => b.amount - a.amount);
+  const surpluses = venues
+    .filter(venue => balanceOf(venue) > target)
+    .map(venue => ({ venue, amount: balanceOf(venue) - target }))
+    .sort((a, b) => b.amount - a.amount);
+
+  const transfers = [];
+  deficits.forEach(deficit => {
+    surpluses.forEach(surplus => {
+      if (deficit.amount <= 0 || surplus.amount <= 0) return;
+      const fee = getVenue(surplus.venue).withdrawalFees[asset] || 0;
+      const amount = Math.min(deficit.amount, surplus.amount - fee);
+      if (amount <= fee * MIN_TRANSFER_FEE_MULTIPLE || amount < target * MIN_TRANSFER_TARGET_SHARE) return;
+
+      const transferTimeMs = getVenue(deficit.venue).depositConfirmationMs;
+      transfers.push({
+        from: surplus.venue,
+        to: deficit.venue,
+        asset,
+        amount,
+        fee,
+        transferTimeMs,
+        arrivesAt: new Date(now + transferTimeMs)
+      });
+      deficit.amount -= amount;
+      surplus.amount -= amount + fee;
+    });
+  });
+  return transfers;
+};
+
+// Transfers that bring every venue back to an even split, or null while no venue is
+// depleted (or nothing useful can be moved). Fees are paid by the sending venue.
+export const planRebalance = ({ inventory, venues, price, now, triggerRatio = REBALANCE_TRIGGER_RATIO }) => {
+  const tradable = venues.filter(venue => venue !== UNALLOCATED_VENUE && venue !== IN_TRANSIT_VENUE);
+  if (tradable.length < 2) return null;
+
+  const targets = getTargets(inventory, tradable);
+  const depleted = REBALANCE_ASSETS.flatMap(asset => tradable
+    .filter(venue => targets[asset] > 0 && (inventory[venue]?.[asset] || 0) < targets[asset] * triggerRatio)
+    .map(venue => ({ venue, asset, balance: inventory[venue]?.[asset] || 0, target: targets[asset] })));
+  if (depleted.length === 0) return null;
+
+  const transfers = REBALANCE_ASSETS.flatMap(asset => matchTransfers(inventory, tradable, asset, targets[asset], now));
+  if (transfers.length === 0) return null;
+
+  const feeValueAlgo = transfers.reduce((sum, t) => sum + (t.asset === 'ALGO' ? t.fee : price > 0 ? t.fee / price : 0), 0);
+  return {
+    createdAt: new Date(now),
+    reason: depleted
+      .map(d => `${getVenue(d.venue).label} ${d.asset} at ${Math.round((Math.max(0, d.balance) / d.target) * 100)}% of target`)
+      .join(', '),
+    depleted,
+    targets,
+    transfers,
+    feeValueAlgo,
+    transferTimeMs: Math.max(...transfers.map(t => t.transferTimeMs))
+  };
+};
+
+export const describeTransfer = (transfer) => (
+  `${transfer.asset === 'USD' ? '$' : ''}${transfer.amount.toFixed(2)}${transfer.asset === 'ALGO' ? ' ALGO' : ''} ` +
+  `${getVenue(transfer.from).label} → ${getVenue(transfer.to).label} ` +
+  `(fee ${transfer.fee} ${transfer.asset}, ~${Math.round(transfer.transferTimeMs / 1000)}s)`
+);
@@ -0,0 +1,108 @@
+// Risk Manager - per-strategy limits and kill-switch rules for the AI engine
+
+// Limits per settings.riskLevel, percentages are of the strategy's value
+export const RISK_PROFILES = {
+  conservative: {
+    maxDrawdownPct: 5,
+    dailyLossLimitPct: 2,
+    maxConcurrentTrades: 1,
+    maxVenueExposurePct: 20
+  },
+  moderate: {
+    maxDrawdownPct: 10,
+    dailyLossLimitPct: 5,
+    maxConcurrentTrades: 3,
+    maxVenueExposurePct: 40
+  },
+  aggressive: {
+    maxDrawdownPct: 20,
+    dailyLossLimitPct: 10,
+    maxConcurrentTrades: 5,
+    maxVenueExposurePct: 60
+  }
+};
+
+// Explicit settings.riskLimits override the profile picked by riskLevel
+export const getRiskLimits = (settings = {}) => ({
+  ...(RISK_PROFILES[settings.riskLevel] || RISK_PROFILES.moderate),
+  ...(settings.riskLimits || {})
+});
+
+const dayKeyOf = (timestamp) => new Date(timestamp).toISOString().slice(0, 10); // UTC day
+
+export const createRiskState = (value, now) => ({
+  peakValue: value,
+  dayKey: dayKeyOf(now),
+  dayStartValue: value
+});
+
+// Roll the daily baseline and high-water mark forward
+export const updateRiskState = (strategy, now) => {
+  if (!strategy.risk) {
+    strategy.risk = createRiskState(strategy.currentValue, now);
+  }
+
+  const risk = strategy.risk;
+  const dayKey = dayKeyOf(now);
+  if (risk.dayKey !== dayKey) {
+    risk.dayKey = dayKey;
+    risk.dayStartValue = strategy.currentValue;
+  }
+  risk.peakValue = Math.max(risk.peakValue, strategy.currentValue);
+  return risk;
+};
+
+const tradeVenues = (trade) => (
+  trade.legs ? Array.from(new Set(trade.legs.map(leg => leg.venue))) : [trade.buyExchange, trade.sellExchange]
+);
+
+export const getVenueExposure = (strategy) => {
+  const exposure = {};
+  strategy.activeTrades.forEach(trade => {
+    tradeVenues(trade).forEach(venue => {
+      exposure[venue] = (exposure[venue] || 0) + trade.amount;
+    });
+  });
+  return exposure;
+};
+
+// Largest trade the venue exposure cap still allows, or a reason it allows none
+export const checkTradeAllowed = (strategy, opportunity) => {
+  const limits = getRiskLimits(strategy.settings);
+
+  if (strategy.activeTrades.length >= limits.maxConcurrentTrades) {
+    return { allowed: false, reason: `Max concurrent trades reached (${limits.maxConcurrentTrades})` };
+  }
+
+  const exposure = getVenueExposure(strategy);
+  const venueCap = strategy.currentValue * (limits.maxVenueExposurePct / 100);
+  const venues = tradeVenues(opportunity);
+  const headroom = Math.min(...venues.map(venue => venueCap - (exposure[venue] || 0)));
+
+  if (headroom <= 0) {
+    return { allowed: false, reason: `Venue exposure limit reached (${limits.maxVenueExposurePct}% per venue)` };
+  }
+
+  return { allowed: true, maxAmount: headroom };
+};
+
+// Returns a halt reason when the strategy breached a kill-switch limit, else null
+export const evaluateHaltConditions = (strategy, now) => {
+  const limits = getRiskLimits(strategy.settings);
+  const risk = updateRiskState(strategy, now);
+
+  const drawdownPct = risk.peakValue > 0
+    ? ((risk.peakValue - strategy.currentValue) / risk.peakValue) * 100
+    : 0;
+  if (drawdownPct >= limits.maxDrawdownPct) {
+    return `Max drawdown breached: ${drawdownPct.toFixed(2)}% from peak ${risk.peakValue.toFixed(2)} ALGO (limit ${limits.maxDrawdownPct}%)`;
+  }
+
+  const dailyLoss = risk.dayStartValue - strategy.currentValue;
+  const dailyLossPct = risk.dayStartValue > 0 ? (dailyLoss / risk.dayStartValue) * 100 : 0;
+  if (dailyLossPct >= limits.dailyLossLimitPct) {
+    return `Daily loss limit hit: -${dailyLoss.toFixed(2)} ALGO today (limit ${limits.dailyLossLimitPct}%)`;
+  }
+
+  return null;
+};
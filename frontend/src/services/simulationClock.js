@@ -0,0 +1,88 @@
+// Simulation Clock - time and randomness sources the AI engine can be driven by
+
+// Wall clock used by the live engine
+export const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (id) => clearTimeout(id),
+  setInterval: (fn, ms) => setInterval(fn, ms),
+  clearInterval: (id) => clearInterval(id)
+};
+
+// Manually advanced clock for replays: timers only fire inside advanceTo()
+export class SimulatedClock {
+  constructor(startTime = 0) {
+    this.currentTime = startTime;
+    this.timers = new Map();
+    this.nextTimerId = 1;
+  }
+
+  now() {
+    return this.currentTime;
+  }
+
+  setTimeout(fn, ms = 0) {
+    const id = this.nextTimerId++;
+    this.timers.set(id, { fn, dueAt: this.currentTime + Math.max(0, ms), interval: null });
+    return id;
+  }
+
+  clearTimeout(id) {
+    this.timers.delete(id);
+  }
+
+  setInterval(fn, ms) {
+    const id = this.nextTimerId++;
+    this.timers.set(id, { fn, dueAt: this.currentTime + ms, interval: ms });
+    return id;
+  }
+
+  clearInterval(id) {
+    this.timers.delete(id);
+  }
+
+  // Fire every timer due up to targetTime in chronological order (ties by creation order)
+  advanceTo(targetTime) {
+    for (;;) {
+      let nextId = null;
+      let next = null;
+      this.timers.forEach((timer, id) => {
+        if (timer.dueAt <= targetTime && (!next || timer.dueAt < next.dueAt)) {
+          nextId = id;
+          next = timer;
+        }
+      });
+      if (!next) break;
+
+      this.currentTime = Math.max(this.currentTime, next.dueAt);
+      if (next.interval) {
+        next.dueAt += next.interval;
+      } else {
+        this.timers.delete(nextId);
+      }
+      next.fn();
+    }
+
+    this.currentTime = Math.max(this.currentTime, targetTime);
+  }
+
+  advanceBy(ms) {
+    this.advanceTo(this.currentTime + ms);
+  }
+
+  pendingTimers() {
+    return Array.from(this.timers.values()).filter(timer => !timer.interval).length;
+  }
+}
+
+// Mulberry32 - small, fast PRNG so identical seeds replay identical trades
+export const createSeededRandom = (seed = 1) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
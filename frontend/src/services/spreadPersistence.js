@@ -0,0 +1,217 @@
+// Spread Persistence - how long cross-venue spreads stay tradable, by venue pair and hour
+// Every price update is compared per ordered venue pair; a spread whose net return stays
+// above the opportunity threshold forms an episode, and closed episodes give the lifetime
+// distribution used for opportunity expiry and the survival term of its confidence.
+import { estimateRoundTripCost } from '../config/venues';
+
+export const SPREAD_THRESHOLD_PCT = 0.1; // Net return (after costs) an opportunity needs
+export const DEFAULT_OPPORTUNITY_WINDOW_MS = 30000; // Used until a venue pair has history
+
+const MIN_SAMPLES = 5; // Closed episodes needed before the statistics are trusted
+const MIN_EXPIRY_MS = 5000;
+const MAX_EXPIRY_MS = 5 * 60 * 1000;
+const MAX_GAP_MS = 120000; // Without an update for this long the episode is closed where last seen
+
+export const LIFETIME_BUCKETS = [
+  { label: '<5s', maxMs: 5000 },
+  { label: '5-15s', maxMs: 15000 },
+  { label: '15-30s', maxMs: 30000 },
+  { label: '30-60s', maxMs: 60000 },
+  { label: '1-2m', maxMs: 120000 },
+  { label: '2-5m', maxMs: 300000 },
+  { label: '5m+', maxMs: Infinity }
+];
+
+export const getSpreadKey = (pair, buyVenue, sellVenue) => `${pair}|${buyVenue}|${sellVenue}`;
+
+// Net spread of buying `pair` on one venue and selling it on another, after round-trip costs
+export const measureSpread = ({ pair, buyVenue, sellVenue, buyPrice, sellPrice }) => {
+  const spreadPct = ((sellPrice - buyPrice) / buyPrice) * 100;
+  const costs = estimateRoundTripCost({ buyVenue, sellVenue, price: buyPrice });
+  return {
+    key: getSpreadKey(pair, buyVenue, sellVenue),
+    pair,
+    buyVenue,
+    sellVenue,
+    buyPrice,
+    sellPrice,
+    spreadPct,
+    costPct: costs.totalCostPct,
+    netProfitPct: spreadPct - costs.totalCostPct,
+    transferTimeMs: costs.transferTimeMs
+  };
+};
+
+// Net spread for every venue pair quoting the same pair, in the profitable direction
+export const measureSpreads = (priceData) => {
+  const spreads = [];
+  Object.entries(priceData || {}).forEach(([pair, quotes]) => {
+    const venues = Object.keys(quotes);
+    for (let i = 0; i < venues.length; i++) {
+      for (let j = i + 1; j < venues.length; j++) {
+        const price1 = quotes[venues[i]]?.price;
+        const price2 = quotes[venues[j]]?.price;
+        if (!(price1 > 0) || !(price2 > 0)) continue;
+
+        const [buyVenue, sellVenue, buyPrice, sellPrice] = price1 < price2
+          ? [venues[i], venues[j], price1, price2]
+          : [venues[j], venues[i], price2, price1];
+        spreads.push(measureSpread({ pair, buyVenue, sellVenue, buyPrice, sellPrice }));
+      }
+    }
+  });
+  return spreads;
+};
+
+// One buy/sell venue spread over time from per-venue price series ({ venue: [{ time, price }] }, oldest
+// first); each point pairs a venue's update with the other venue's latest price at that time
+export const buildSpreadSeries = (history, pair, buyVenue, sellVenue) => {
+  const updates = [
+    ...(history?.[buyVenue] || []).map(point => ({ time: point.time, buyPrice: point.price })),
+    ...(history?.[sellVenue] || []).map(point => ({ time: point.time, sellPrice: point.price }))
+  ].sort((a, b) => a.time - b.time);
+
+  const series = [];
+  let buyPrice = null;
+  let sellPrice = null;
+  updates.forEach(update => {
+    buyPrice = update.buyPrice ?? buyPrice;
+    sellPrice = update.sellPrice ?? sellPrice;
+    if (!(buyPrice > 0) || !(sellPrice > 0)) return;
+    const { spreadPct, netProfitPct } = measureSpread({ pair, buyVenue, sellVenue, buyPrice, sellPrice });
+    series.push({ time: update.time, spreadPct, netProfitPct });
+  });
+  return series;
+};
+
+const percentile = (sorted, p) => {
+  if (sorted.length === 0) return null;
+  const index = (sorted.length - 1) * p;
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+};
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+export class SpreadPersistenceTracker {
+  constructor({ maxEpisodes = 200 } = {}) {
+    this.maxEpisodes = maxEpisodes;
+    this.episodes = {}; // key -> [{ startedAt, durationMs, hour, peakPct }]
+    this.open = {}; // key -> { startedAt, lastSeenAt, peakPct }
+  }
+
+  recordSpreads(spreads, now) {
+    const above = new Map(spreads
+      .filter(spread => spread.netProfitPct > SPREAD_THRESHOLD_PCT)
+      .map(spread => [spread.key, spread]));
+
+    // Episodes end on the first update below the threshold, or where last seen after a gap
+    Object.entries(this.open).forEach(([key, episode]) => {
+      const gapped = now - episode.lastSeenAt > MAX_GAP_MS;
+      if (above.has(key) && !gapped) return;
+      this.closeEpisode(key, episode, gapped ? episode.lastSeenAt : now);
+    });
+
+    above.forEach((spread, key) => {
+      const episode = this.open[key] || { startedAt: now, lastSeenAt: now, peakPct: spread.netProfitPct };
+      episode.lastSeenAt = now;
+      episode.peakPct = Math.max(episode.peakPct, spread.netProfitPct);
+      this.open[key] = episode;
+    });
+  }
+
+  closeEpisode(key, episode, endedAt) {
+    const episodes = this.episodes[key] || [];
+    episodes.push({
+      startedAt: episode.startedAt,
+      durationMs: endedAt - episode.startedAt,
+      hour: new Date(episode.startedAt).getHours(),
+      peakPct: episode.peakPct
+    });
+    this.episodes[key] = episodes.slice(-this.maxEpisodes);
+    delete this.open[key];
+  }
+
+  // Lifetimes for the hour of day when it has enough history, otherwise for all hours
+  getLifetimes(key, hour = null) {
+    const episodes = this.episodes[key] || [];
+    const inHour = hour === null ? [] : episodes.filter(episode => episode.hour === hour);
+    const basis = inHour.length >= MIN_SAMPLES ? 'hour' : episodes.length >= MIN_SAMPLES ? 'all' : 'default';
+    const selected = basis === 'hour' ? inHour : episodes;
+    return { basis, lifetimes: selected.map(episode => episode.durationMs).sort((a, b) => a - b) };
+  }
+
+  // Expiry and survival for the spread under `key` seen now. The expected remaining life is
+  // the median lifetime of past episodes that outlived the current age; survivalProbability
+  // is the share of those still open after `executionMs` more (null without enough history).
+  assess(key, now, executionMs = 0) {
+    const episode = this.open[key];
+    const ageMs = episode ? now - episode.startedAt : 0;
+    const { basis, lifetimes } = this.getLifetimes(key, new Date(episode?.startedAt ?? now).getHours());
+
+    if (basis === 'default') {
+      return { ageMs, basis, samples: lifetimes.length, expiresAt: new Date(now + DEFAULT_OPPORTUNITY_WINDOW_MS), survivalProbability: null };
+    }
+
+    const survivors = lifetimes.filter(lifetime => lifetime > ageMs);
+    const remainingMs = survivors.length > 0 ? percentile(survivors, 0.5) - ageMs : 0;
+    const survivalProbability = survivors.length > 0
+      ? survivors.filter(lifetime => lifetime > ageMs + executionMs).length / survivors.length
+      : 0;
+
+    return {
+      ageMs,
+      basis,
+      samples: lifetimes.length,
+      expectedRemainingMs: remainingMs,
+      expiresAt: new Date(now + clamp(remainingMs, MIN_EXPIRY_MS, MAX_EXPIRY_MS)),
+      survivalProbability
+    };
+  }
+
+  // Lifetime distribution per venue pair, most observed first
+  summarize() {
+    return Object.entries(this.episodes)
+      .map(([key, episodes]) => {
+        const [pair, buyVenue, sellVenue] = key.split('|');
+        const lifetimes = episodes.map(episode => episode.durationMs).sort((a, b) => a - b);
+        const byHour = Array.from({ length: 24 }, (_, hour) => {
+          const inHour = episodes.filter(episode => episode.hour === hour).map(episode => episode.durationMs).sort((a, b) => a - b);
+          return { hour, samples: inHour.length, medianMs: percentile(inHour, 0.5) };
+        });
+        let lower = 0;
+        const histogram = LIFETIME_BUCKETS.map(bucket => {
+          const count = lifetimes.filter(lifetime => lifetime >= lower && lifetime < bucket.maxMs).length;
+          lower = bucket.maxMs;
+          return { label: bucket.label, count };
+        });
+        return {
+          key,
+          pair,
+          buyVenue,
+          sellVenue,
+          samples: lifetimes.length,
+          medianMs: percentile(lifetimes, 0.5),
+          p25Ms: percentile(lifetimes, 0.25),
+          p75Ms: percentile(lifetimes, 0.75),
+          p90Ms: percentile(lifetimes, 0.9),
+          openSince: this.open[key] ? new Date(this.open[key].startedAt) : null,
+          histogram,
+          byHour
+        };
+      })
+      .sort((a, b) => b.samples - a.samples);
+  }
+
+  toJSON() {
+    return { episodes: this.episodes, open: this.open };
+  }
+
+  static fromJSON(data, options) {
+    const tracker = new SpreadPersistenceTracker(options);
+    tracker.episodes = data?.episodes || {};
+    tracker.open = data?.open || {};
+    return tracker;
+  }
+}
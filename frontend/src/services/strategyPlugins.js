@@ -0,0 +1,25 @@
+// Strategy Plugins - what each AI strategy type does on a market update
+//
+// A plugin is { type, label, defaultSettings, createState(strategy, now), onMarketUpdate(strategy, context) }.
+// context is { engine, now, priceData, opportunities, yieldRates }. onMarketUpdate returns
+// paper trade records ({ kind, pair, amount, profit, ... }) that the engine books with the
+// same stats, P&L and kill-switch handling as arbitrage trades. Plugin state lives in
+// strategy.pluginState and must stay JSON-serialisable so snapshots can persist it.
+// Optional getInventory(strategy) returns { venue: { ALGO, USD } } for plugins that know
+// where their capital sits; otherwise fills are posted by portfolioAccounting.js.
+import { marketMakingPlugin } from './marketMakingPlugin';
+import { yieldFarmingPlugin } from './yieldFarmingPlugin';
+
+// Arbitrage keeps its own execution path in the engine (sizing, timers, live mode)
+export const arbitragePlugin = {
+  type: 'arbitrage',
+  label: 'Arbitrage',
+  defaultSettings: {},
+  createState: () => null,
+  onMarketUpdate: (strategy, { engine, opportunities }) => {
+    engine.processStrategyOpportunities(strategy, opportunities);
+    return [];
+  }
+};
+
+export const DEFAULT_STRATEGY_PLUGINS = [arbitragePlugin, yieldFarmingPlugin, marketMakingPlugin];
@@ -0,0 +1,282 @@
+// Strategy Storage - snapshot persistence for the AI Arbitrage Engine
+// Adapters share a tiny async interface: load(), save(snapshot), clear()
+
+export const SNAPSHOT_SCHEMA_VERSION = 9;
+
+// 'active' and 'submitting' were both in flight, 'completed' meant filled.
+// Dates are still encoded here, so they are copied as-is.
+const LEGACY_TRADE_STATUS = { active: 'submitted', submitting: 'submitted', completed: 'filled', failed: 'failed' };
+
+const migrateTradeToLifecycle = (trade) => {
+  if (trade.transitions) return trade;
+  const status = LEGACY_TRADE_STATUS[trade.status] || 'filled';
+  const legCount = trade.legs ? trade.legs.length : trade.type && trade.type !== 'arbitrage' ? 1 : 2;
+  const closed = status === 'filled' || status === 'failed';
+  return {
+    ...trade,
+    status,
+    legCount,
+    filledLegs: status === 'filled' ? legCount : 0,
+    transitions: [
+      { status: 'proposed', at: trade.timestamp },
+      closed
+        ? { status, at: trade.completedAt || trade.timestamp, ...(trade.failureReason ? { reason: trade.failureReason } : {}) }
+        : { status, at: trade.timestamp }
+    ]
+  };
+};
+
+// Migrations upgrade a snapshot from version N to N + 1.
+// When the engine state shape changes, bump SNAPSHOT_SCHEMA_VERSION and add
+// an entry keyed by the previous version.
+const SNAPSHOT_MIGRATIONS = {
+  // Unversioned snapshots only ever held the strategies list
+  0: (snapshot) => ({
+    ...snapshot,
+    schemaVersion: 1,
+    strategies: snapshot.strategies || [],
+    lastTradeTime: snapshot.lastTradeTime || [],
+    processedOpportunities: snapshot.processedOpportunities || []
+  }),
+  // v2 adds risk tracking and the halted status fields
+  1: (snapshot) => ({
+    ...snapshot,
+    schemaVersion: 2,
+    strategies: snapshot.strategies.map(strategy => ({
+      ...strategy,
+      haltReason: strategy.haltReason ?? null,
+      haltedAt: strategy.haltedAt ?? null,
+      risk: strategy.risk || {
+        peakValue: strategy.currentValue,
+        dayKey: new Date().toISOString().slice(0, 10),
+        dayStartValue: strategy.currentValue
+      }
+    }))
+  }),
+  // v3 separates paper and live strategies; everything before it was paper
+  2: (snapshot) => ({
+    ...snapshot,
+    schemaVersion: 3,
+    strategies: snapshot.strategies.map(strategy => ({
+      ...strategy,
+      mode: strategy.mode || 'paper',
+      walletAddress: strategy.walletAddress ?? null
+    }))
+  }),
+  // v4 adds strategy plugins; older strategies are all arbitrage
+  3: (snapshot) => ({
+    ...snapshot,
+    schemaVersion: 4,
+    strategies: snapshot.strategies.map(strategy => ({
+      ...strategy,
+      type: strategy.type || 'arbitrage',
+      pluginState: strategy.pluginState ?? null
+    }))
+  }),
+  // v5 adds Monte Carlo ranking and the recorded venue behaviour behind it
+  4: (snapshot) => ({
+    ...snapshot,
+    schemaVersion: 5,
+    venueBehaviour: snapshot.venueBehaviour ?? null,
+    strategies: snapshot.strategies.map(strategy => ({
+      ...strategy,
+      settings: { ...strategy.settings, opportunityRanking: strategy.settings?.opportunityRanking || 'spread' }
+    }))
+  }),
+  // v6 moves trades onto the explicit lifecycle in tradeLifecycle.js
+  5: (snapshot) => ({
+    ...snapshot,
+    schemaVersion: 6,
+    strategies: snapshot.strategies.map(strategy => ({
+      ...strategy,
+      stats: { expiredTrades: 0, cancelledTrades: 0, ...strategy.stats },
+      activeTrades: (strategy.activeTrades || []).map(migrateTradeToLifecycle),
+      completedTrades: (strategy.completedTrades || []).map(migrateTradeToLifecycle)
+    }))
+  }),
+  // v7 adds dual-currency accounting; booked value so far is treated as ALGO
+  // and valued in USD at the first mark price after the upgrade
+  6: (snapshot) => ({
+    ...snapshot,
+    schemaVersion: 7,
+    strategies: snapshot.strategies.map(strategy => ({
+      ...strategy,
+      accounting: strategy.accounting || {
+        inventory: { wallet: { ALGO: strategy.currentValue, USD: 0 } },
+        initialPrice: null,
+        realisedUsd: null
+      }
+    }))
+  }),
+  // v8 tracks where arbitrage capital sits; it is spread across venues at the next mark price
+  7: (snapshot) => ({
+    ...snapshot,
+    schemaVersion: 8,
+    strategies: snapshot.strategies.map(strategy => ({
+      ...strategy,
+      rebalancePlan: strategy.rebalancePlan ?? null,
+      accounting: {
+        positioned: false,
+        transfers: [],
+        ...strategy.accounting
+      }
+    }))
+  }),
+  // v9 adds the recorded spread lifetimes behind opportunity expiry
+  8: (snapshot) => ({
+    ...snapshot,
+    schemaVersion: 9,
+    spreadPersistence: snapshot.spreadPersistence ?? null
+  })
+};
+
+export const migrateSnapshot = (snapshot) => {
+  if (!snapshot) return null;
+
+  let migrated = { ...snapshot };
+  let version = migrated.schemaVersion || 0;
+
+  if (version > SNAPSHOT_SCHEMA_VERSION) {
+    console.warn(`⚠️ Snapshot schema v${version} is newer than supported v${SNAPSHOT_SCHEMA_VERSION}, ignoring`);
+    return null;
+  }
+
+  while (version < SNAPSHOT_SCHEMA_VERSION) {
+    const migrate = SNAPSHOT_MIGRATIONS[version];
+    if (!migrate) {
+      console.warn(`⚠️ No migration from snapshot schema v${version}, ignoring`);
+      return null;
+    }
+    migrated = migrate(migrated);
+    version = migrated.schemaVersion;
+  }
+
+  return migrated;
+};
+
+// Dates are tagged so snapshots survive JSON-only hosts (localStorage, files, workers)
+export const encodeSnapshotValue = (value) => {
+  if (value instanceof Date) {
+    return { $date: value.toISOString() };
+  }
+  if (value instanceof Map) {
+    return { $map: Array.from(value.entries()).map(([k, v]) => [k, encodeSnapshotValue(v)]) };
+  }
+  if (value instanceof Set) {
+    return { $set: Array.from(value).map(encodeSnapshotValue) };
+  }
+  if (Array.isArray(value)) {
+    return value.map(encodeSnapshotValue);
+  }
+  if (value && typeof value === 'object') {
+    const encoded = {};
+    Object.entries(value).forEach(([key, v]) => {
+      if (typeof v !== 'function' && v !== undefined) {
+        encoded[key] = encodeSnapshotValue(v);
+      }
+    });
+    return encoded;
+  }
+  return value;
+};
+
+export const decodeSnapshotValue = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(decodeSnapshotValue);
+  }
+  if (value && typeof value === 'object') {
+    if (typeof value.$date === 'string') return new Date(value.$date);
+    if (Array.isArray(value.$map)) {
+      return new Map(value.$map.map(([k, v]) => [k, decodeSnapshotValue(v)]));
+    }
+    if (Array.isArray(value.$set)) return new Set(value.$set.map(decodeSnapshotValue));
+
+    const decoded = {};
+    Object.entries(value).forEach(([key, v]) => {
+      decoded[key] = decodeSnapshotValue(v);
+    });
+    return decoded;
+  }
+  return value;
+};
+
+// IndexedDB adapter (browser default)
+export class IndexedDBStrategyStorage {
+  constructor({ dbName = 'algofi-ai-engine', storeName = 'snapshots', key = 'engine' } = {}) {
+    this.dbName = dbName;
+    this.storeName = storeName;
+    this.key = key;
+    this.dbPromise = null;
+  }
+
+  openDatabase() {
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, 1);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(this.storeName)) {
+          db.createObjectStore(this.storeName);
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        this.dbPromise = null;
+        reject(request.error);
+      };
+    });
+
+    return this.dbPromise;
+  }
+
+  async runRequest(mode, operation) {
+    const db = await this.openDatabase();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(this.storeName, mode);
+      const request = operation(tx.objectStore(this.storeName));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async load() {
+    const snapshot = await this.runRequest('readonly', store => store.get(this.key));
+    return snapshot || null;
+  }
+
+  async save(snapshot) {
+    await this.runRequest('readwrite', store => store.put(snapshot, this.key));
+  }
+
+  async clear() {
+    await this.runRequest('readwrite', store => store.delete(this.key));
+  }
+}
+
+// In-memory adapter for hosts without IndexedDB (tests, workers, node)
+export class MemoryStrategyStorage {
+  constructor(initialSnapshot = null) {
+    this.snapshot = initialSnapshot;
+  }
+
+  async load() {
+    return this.snapshot;
+  }
+
+  async save(snapshot) {
+    this.snapshot = snapshot;
+  }
+
+  async clear() {
+    this.snapshot = null;
+  }
+}
+
+export const createDefaultStrategyStorage = () => {
+  if (typeof indexedDB !== 'undefined') {
+    return new IndexedDBStrategyStorage();
+  }
+  return new MemoryStrategyStorage();
+};
@@ -0,0 +1,148 @@
+// Trade Journal - flattens AI strategy trades for export (CSV, JSON, double-entry ledger)
+
+export const JOURNAL_FORMATS = {
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  ledger: { label: 'Double-entry (CSV)', extension: 'ledger.csv', mimeType: 'text/csv' }
+};
+
+const JOURNAL_COLUMNS = [
+  'strategyId',
+  'strategyName',
+  'strategyType',
+  'mode',
+  'tradeId',
+  'kind',
+  'status',
+  'pair',
+  'buyExchange',
+  'sellExchange',
+  'amount',
+  'buyPrice',
+  'sellPrice',
+  'expectedProfit',
+  'actualProfit',
+  'profitVariance',
+  'feesAlgo',
+  'openedAt',
+  'closedAt',
+  'txId',
+  'failureReason'
+];
+
+const toIso = (value) => (value ? new Date(value).toISOString() : '');
+const roundAlgo = (value) => Number(value.toFixed(6)); // ALGO has 6 decimals
+
+// Trading fees plus fixed network/withdrawal costs, when the trade recorded them
+const tradeFees = (trade) => {
+  if (trade.tradingFeePct === undefined && trade.fixedCostAlgo === undefined) return 0;
+  return roundAlgo((trade.amount || 0) * ((trade.tradingFeePct || 0) / 100) + (trade.fixedCostAlgo || 0));
+};
+
+export const toJournalEntry = (strategy, trade) => {
+  const expectedProfit = trade.modelledProfit ?? trade.expectedProfit ?? 0;
+  const actualProfit = trade.actualProfit ?? 0;
+  return {
+    strategyId: strategy.id,
+    strategyName: strategy.name,
+    strategyType: strategy.type || 'arbitrage',
+    mode: trade.mode || strategy.mode || 'paper',
+    tradeId: trade.id,
+    kind: trade.kind || (trade.legs ? 'cycle' : 'cross_venue'),
+    status: trade.status,
+    pair: trade.pair,
+    buyExchange: trade.buyExchange || '',
+    sellExchange: trade.sellExchange || '',
+    amount: trade.amount,
+    buyPrice: trade.actualBuyPrice ?? trade.modelledBuyPrice ?? trade.buyPrice ?? '',
+    sellPrice: trade.actualSellPrice ?? trade.modelledSellPrice ?? trade.sellPrice ?? '',
+    expectedProfit,
+    actualProfit,
+    profitVariance: actualProfit - expectedProfit,
+    feesAlgo: tradeFees(trade),
+    openedAt: toIso(trade.timestamp),
+    closedAt: toIso(trade.completedAt),
+    txId: trade.txId || '',
+    failureReason: trade.failureReason || ''
+  };
+};
+
+// Closed trades only; dates compare against the close time (open time for older records)
+export const collectJournalEntries = (strategies, { strategyId = null, pair = null, from = null, to = null } = {}) => {
+  const fromTime = from ? new Date(from).getTime() : -Infinity;
+  const toTime = to ? new Date(to).getTime() : Infinity;
+
+  return strategies
+    .filter(strategy => !strategyId || strategy.id === strategyId)
+    .flatMap(strategy => strategy.completedTrades.map(trade => toJournalEntry(strategy, trade)))
+    .filter(entry => !pair || entry.pair === pair)
+    .filter(entry => {
+      const time = new Date(entry.closedAt || entry.openedAt).getTime();
+      return time >= fromTime && time <= toTime;
+    })
+    .sort((a, b) => (a.closedAt || a.openedAt).localeCompare(b.closedAt || b.openedAt));
+};
+
+export const listJournalPairs = (strategies) => Array.from(new Set(
+  strategies.flatMap(strategy => strategy.completedTrades.map(trade => trade.pair)).filter(Boolean)
+)).sort();
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvRows = (columns, rows) => [
+  columns.join(','),
+  ...rows.map(row => columns.map(column => csvCell(row[column])).join(','))
+].join('\n');
+
+export const journalToCsv = (entries) => toCsvRows(JOURNAL_COLUMNS, entries);
+
+export const journalToJson = (entries, filters = {}) => JSON.stringify({
+  exportedAt: new Date().toISOString(),
+  filters,
+  count: entries.length,
+  trades: entries
+}, null, 2);
+
+// Every trade becomes a balanced transaction in ALGO:
+//   Dr Assets (net P&L) + Dr Expenses:Fees = Cr Income:Trading (gross P&L)
+// with the sides flipped when a leg is negative. Failed trades carry no amounts.
+export const journalToLedgerLines = (entries) => entries.flatMap(entry => {
+  const date = (entry.closedAt || entry.openedAt).slice(0, 10);
+  const venues = entry.buyExchange ? ` ${entry.buyExchange}→${entry.sellExchange}` : '';
+  const memo = `${entry.pair}${venues} (${entry.kind})`;
+  const assetAccount = `Assets:AI Strategies:${entry.strategyName}`;
+  const net = roundAlgo(entry.actualProfit);
+  const gross = roundAlgo(net + entry.feesAlgo);
+
+  const postings = [
+    { account: assetAccount, amount: net },
+    { account: 'Expenses:Trading Fees', amount: entry.feesAlgo },
+    { account: `${gross >= 0 ? 'Income:Trading' : 'Expenses:Trading Losses'}:${entry.pair}`, amount: -gross }
+  ].filter(posting => Math.abs(posting.amount) > 1e-12);
+
+  return postings.map(posting => ({
+    date,
+    transactionId: entry.tradeId,
+    account: posting.account,
+    debit: posting.amount > 0 ? roundAlgo(posting.amount) : '',
+    credit: posting.amount < 0 ? roundAlgo(-posting.amount) : '',
+    currency: 'ALGO',
+    mode: entry.mode,
+    memo
+  }));
+});
+
+export const journalToLedgerCsv = (entries) => toCsvRows(
+  ['date', 'transactionId', 'account', 'debit', 'credit', 'currency', 'mode', 'memo'],
+  journalToLedgerLines(entries)
+);
+
+export const formatJournal = (format, entries, filters) => {
+  if (format === 'json') return journalToJson(entries, filters);
+  if (format === 'ledger') return journalToLedgerCsv(entries);
+  return journalToCsv(entries);
+};
@@ -0,0 +1,76 @@
+// Trade Lifecycle - the states an AI strategy trade moves through
+//
+//   proposed ──> submitted ──> partially_filled ──> filled
+//      │             │                │
+//      └─────────────┴────────────────┴──> failed | expired | cancelled
+//
+// Every transition is appended to trade.transitions as { status, at, ...details } so the
+// full history (with failure reasons) survives snapshots and exports.
+
+export const TRADE_STATES = {
+  PROPOSED: 'proposed', // Sized and risk-checked, not sent anywhere yet
+  SUBMITTED: 'submitted', // Orders sent (paper: scheduled; live: handed to the wallet)
+  PARTIALLY_FILLED: 'partially_filled', // Some legs filled
+  FILLED: 'filled', // Every leg filled, P&L booked
+  FAILED: 'failed', // A leg was rejected or reverted (paper: repriced past the slippage limit or liquidity); filled legs are unwound at a cost
+  EXPIRED: 'expired', // The opportunity window closed before anything filled
+  CANCELLED: 'cancelled' // Withdrawn by the user or rejected in the wallet
+};
+
+const TRANSITIONS = {
+  proposed: ['submitted', 'failed', 'expired', 'cancelled'],
+  submitted: ['partially_filled', 'filled', 'failed', 'expired', 'cancelled'],
+  partially_filled: ['partially_filled', 'filled', 'failed'],
+  filled: [],
+  failed: [],
+  expired: [],
+  cancelled: []
+};
+
+export const TRADE_STATE_LABELS = {
+  proposed: 'Proposed',
+  submitted: 'Submitted',
+  partially_filled: 'Partially filled',
+  filled: 'Filled',
+  failed: 'Failed',
+  expired: 'Expired',
+  cancelled: 'Cancelled'
+};
+
+// Error messages starting with this mean the user declined, not that the venue failed
+export const WALLET_CANCELLED_PREFIX = 'Cancelled in wallet';
+
+export const isTerminalTradeState = (status) => TRANSITIONS[status]?.length === 0;
+
+export const isTradeOpen = (trade) => TRANSITIONS[trade.status] !== undefined && !isTerminalTradeState(trade.status);
+
+export const canTransition = (trade, status) => (TRANSITIONS[trade.status] || []).includes(status);
+
+export const createTradeRecord = (fields, now) => ({
+  ...fields,
+  status: TRADE_STATES.PROPOSED,
+  timestamp: new Date(now),
+  transitions: [{ status: TRADE_STATES.PROPOSED, at: new Date(now) }]
+});
+
+// Moves the trade to `status`; throws on a transition the lifecycle does not allow
+export const transitionTrade = (trade, status, now, details = {}) => {
+  if (!canTransition(trade, status)) {
+    throw new Error(`Trade ${trade.id} cannot go from ${trade.status} to ${status}`);
+  }
+  trade.status = status;
+  trade.transitions = [...(trade.transitions || []), { status, at: new Date(now), ...details }];
+  if (details.reason) {
+    trade.failureReason = details.reason;
+  }
+  if (isTerminalTradeState(status)) {
+    trade.completedAt = new Date(now);
+  }
+  return trade;
+};
+
+// Trade counts per state, for stats and the UI
+export const countTradesByState = (trades) => trades.reduce((counts, trade) => {
+  counts[trade.status] = (counts[trade.status] || 0) + 1;
+  return counts;
+}, {});
@@ -0,0 +1,121 @@
+// Venue Behaviour - recorded execution latency, slippage, fill failures and price volatility
+// Defaults by venue type act as a prior; recorded samples take over as they accumulate.
+// Live swaps are the real measurement; paper fills (repriced on the quote at fill time)
+// only stand in for a venue until it has live samples.
+import { getVenue } from '../config/venues';
+
+// Typical behaviour before anything has been recorded for a venue
+export const DEFAULT_VENUE_BEHAVIOUR = {
+  dex: {
+    latencyMs: { mean: 4000, sd: 1500 }, // Signing plus about one Algorand block
+    slippagePct: { mean: 0.05, sd: 0.08 },
+    failureRate: 0.03 // Reverted groups: slippage limit hit or pool moved
+  },
+  cex: {
+    latencyMs: { mean: 500, sd: 300 },
+    slippagePct: { mean: 0.03, sd: 0.05 },
+    failureRate: 0.01
+  },
+  reference: {
+    latencyMs: { mean: 1500, sd: 800 }, // Index price, filled wherever it is cheapest
+    slippagePct: { mean: 0.08, sd: 0.1 },
+    failureRate: 0.05
+  }
+};
+
+// What a profile's execution figures rest on, weakest first
+export const CALIBRATION_BASES = ['prior', 'paper', 'live'];
+
+const DEFAULT_VOLATILITY_PCT = 0.02; // Per sqrt(second), roughly 6% a day
+const PRIOR_WEIGHT = 20; // Recorded samples needed to outweigh the defaults
+const EWMA_DECAY = 0.94;
+const MAX_RETURN_GAP_SEC = 600; // Longer gaps say little about short-term drift
+
+const blend = (prior, recorded, samples) => {
+  if (!samples) return prior;
+  const weight = samples / (samples + PRIOR_WEIGHT);
+  return prior * (1 - weight) + recorded * weight;
+};
+
+const meanAndSd = (values) => {
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+  return { mean, sd: Math.sqrt(variance) };
+};
+
+export class VenueBehaviourRecorder {
+  constructor({ maxSamples = 200 } = {}) {
+    this.maxSamples = maxSamples;
+    this.executions = {}; // venue -> [{ latencyMs, slippagePct, failed, mode }]
+    this.volatility = {}; // `${pair}|${venue}` -> { variance, samples, lastPrice, lastTime }
+  }
+
+  // Feeds the drift model; quotes need the source timestamp so repeats are ignored
+  recordQuote(pair, venue, price, timestamp) {
+    if (!(price > 0) || !Number.isFinite(timestamp)) return;
+
+    const key = `${pair}|${venue}`;
+    const entry = this.volatility[key] || { variance: null, samples: 0, lastPrice: null, lastTime: null };
+    const gapSec = entry.lastTime === null ? 0 : (timestamp - entry.lastTime) / 1000;
+
+    if (gapSec > 0 && gapSec <= MAX_RETURN_GAP_SEC) {
+      const sample = Math.log(price / entry.lastPrice) ** 2 / gapSec;
+      entry.variance = entry.variance === null ? sample : EWMA_DECAY * entry.variance + (1 - EWMA_DECAY) * sample;
+      entry.samples++;
+    }
+    if (gapSec >= 0) {
+      entry.lastPrice = price;
+      entry.lastTime = timestamp;
+    }
+    this.volatility[key] = entry;
+  }
+
+  // slippagePct is positive when the fill was worse than modelled, negative when better
+  recordExecution(venue, { latencyMs, slippagePct = 0, failed = false, mode = 'live' }) {
+    const samples = this.executions[venue] || [];
+    samples.push({ latencyMs, slippagePct, failed, mode });
+    this.executions[venue] = samples.slice(-this.maxSamples);
+  }
+
+  getProfile(venue, pair = null) {
+    const prior = DEFAULT_VENUE_BEHAVIOUR[getVenue(venue).type] || DEFAULT_VENUE_BEHAVIOUR.cex;
+    // Samples recorded before modes were tagged all came from live swaps
+    const recorded = this.executions[venue] || [];
+    const live = recorded.filter(sample => sample.mode !== 'paper');
+    const executions = live.length ? live : recorded;
+    const basis = live.length ? 'live' : recorded.length ? 'paper' : 'prior';
+    const fills = executions.filter(sample => !sample.failed);
+    const failures = executions.length - fills.length;
+
+    const latency = executions.length ? meanAndSd(executions.map(sample => sample.latencyMs)) : prior.latencyMs;
+    const slippage = fills.length ? meanAndSd(fills.map(sample => sample.slippagePct)) : prior.slippagePct;
+    const vol = pair ? this.volatility[`${pair}|${venue}`] : null;
+    const recordedVolPct = vol?.variance !== null && vol?.variance !== undefined ? Math.sqrt(vol.variance) * 100 : 0;
+
+    return {
+      venue,
+      latencyMs: {
+        mean: blend(prior.latencyMs.mean, latency.mean, executions.length),
+        sd: blend(prior.latencyMs.sd, latency.sd, executions.length)
+      },
+      slippagePct: {
+        mean: blend(prior.slippagePct.mean, slippage.mean, fills.length),
+        sd: blend(prior.slippagePct.sd, slippage.sd, fills.length)
+      },
+      failureRate: (failures + prior.failureRate * PRIOR_WEIGHT) / (executions.length + PRIOR_WEIGHT),
+      volatilityPct: blend(DEFAULT_VOLATILITY_PCT, recordedVolPct, vol?.samples || 0),
+      samples: { executions: executions.length, quotes: vol?.samples || 0, basis }
+    };
+  }
+
+  toJSON() {
+    return { executions: this.executions, volatility: this.volatility };
+  }
+
+  static fromJSON(data, options) {
+    const recorder = new VenueBehaviourRecorder(options);
+    recorder.executions = data?.executions || {};
+    recorder.volatility = data?.volatility || {};
+    return recorder;
+  }
+}
@@ -0,0 +1,181 @@
+// Venue Health - per-venue reliability from the price pipeline and the DEX bridge
+// Every quote the market data store receives counts as one sample per venue: whether the
+// price guard accepted it, why not, whether it was synthetic and how old it was on arrival.
+// A synthetic quote is a delivered quote, not an error: it only shows in the synthetic share,
+// so a venue quoted from a reference price reads degraded rather than down.
+// The bridge's /health adds what only it can see: upstream response latency and failures.
+import { DEFAULT_PRICE_GUARD, getQuoteTimestamp } from './priceGuard';
+import { getVenueLabel } from '../config/venues';
+
+export const DEX_BRIDGE_URL = process.env.REACT_APP_DEX_BRIDGE_URL || 'http://localhost:3001';
+
+export const HEALTH_STATES = {
+  HEALTHY: 'healthy',
+  DEGRADED: 'degraded',
+  DOWN: 'down',
+  UNKNOWN: 'unknown'
+};
+
+const SAMPLE_WINDOW = 100; // Most recent quotes kept per venue
+const BRIDGE_POLL_MS = 30000;
+const REFRESH_MS = 5000; // Staleness keeps growing between quotes, so summaries are rebuilt on a timer
+const BRIDGE_TIMEOUT_MS = 5000;
+const DEGRADED_ERROR_RATE = 0.2;
+const DOWN_AFTER_MS = 5 * 60 * 1000; // Without a usable (or synthetic) quote for this long a venue is down
+const SLOW_RESPONSE_MS = 5000; // Bridge p95 upstream latency above this is degraded
+
+const percentile = (sorted, p) => (
+  sorted.length === 0 ? null : sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))]
+);
+
+const fetchBridgeHealthFrom = (url) => async () => {
+  const response = await fetch(`${url}/health`, { signal: AbortSignal.timeout(BRIDGE_TIMEOUT_MS) });
+  if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  return response.json();
+};
+
+// Pipeline metrics for one venue's samples
+const summarizeFeed = (feed, now) => {
+  if (!feed || feed.samples.length === 0) return null;
+  const { samples } = feed;
+  const ages = samples.map(sample => sample.ageMs).filter(age => age !== null).sort((a, b) => a - b);
+  return {
+    samples: samples.length,
+    errorRate: samples.filter(sample => !sample.ok).length / samples.length,
+    syntheticRatio: samples.filter(sample => sample.synthetic).length / samples.length,
+    latencyMs: { p50: percentile(ages, 0.5), p95: percentile(ages, 0.95), p99: percentile(ages, 0.99) },
+    lastSuccessAt: feed.lastSuccessAt,
+    stalenessMs: feed.lastSourceAt ? now - feed.lastSourceAt : null,
+    lastError: feed.lastError
+  };
+};
+
+// Worst reading across both sources; a bridge without data for the venue does not count
+export const classifyVenue = (feed, bridge, now) => {
+  if (!feed && !(bridge?.requests > 0)) return HEALTH_STATES.UNKNOWN;
+
+  const lastSuccessAt = feed?.lastSuccessAt?.getTime() ?? null;
+  const feedDown = feed && (lastSuccessAt === null ? feed.errorRate === 1 : now - lastSuccessAt > DOWN_AFTER_MS);
+  if (feedDown || bridge?.error_rate >= 0.9) return HEALTH_STATES.DOWN;
+
+  const feedDegraded = feed && (
+    feed.errorRate > DEGRADED_ERROR_RATE ||
+    feed.syntheticRatio > DEGRADED_ERROR_RATE ||
+    feed.stalenessMs > DEFAULT_PRICE_GUARD.maxAgeMs
+  );
+  const bridgeDegraded = bridge?.requests > 0 && (bridge.error_rate > DEGRADED_ERROR_RATE || bridge.latency_ms?.p95 > SLOW_RESPONSE_MS);
+  return feedDegraded || bridgeDegraded ? HEALTH_STATES.DEGRADED : HEALTH_STATES.HEALTHY;
+};
+
+// One state for all venues: the worst one any venue is in
+export const getOverallHealth = (counts) => {
+  if (counts[HEALTH_STATES.DOWN] > 0) return HEALTH_STATES.DOWN;
+  if (counts[HEALTH_STATES.DEGRADED] > 0) return HEALTH_STATES.DEGRADED;
+  return counts[HEALTH_STATES.HEALTHY] > 0 ? HEALTH_STATES.HEALTHY : HEALTH_STATES.UNKNOWN;
+};
+
+export class VenueHealthMonitor {
+  constructor({ fetchBridgeHealth = fetchBridgeHealthFrom(DEX_BRIDGE_URL), now = () => Date.now() } = {}) {
+    this.fetchBridgeHealth = fetchBridgeHealth;
+    this.now = now;
+    this.feeds = {}; // venue -> { samples, lastSuccessAt, lastSourceAt, lastError }
+    this.lastSeen = {}; // `${pair}|${venue}` -> source time of the last counted quote
+    this.bridge = { reachable: null, checkedAt: null, error: null, venues: {} };
+    this.listeners = new Set();
+    this.pollTimer = null;
+    this.summary = this.buildSummary();
+  }
+
+  // Starts polling the bridge with the first listener and stops after the last
+  subscribe(listener) {
+    this.listeners.add(listener);
+    if (!this.pollTimer) {
+      this.refreshBridge();
+      this.pollTimer = setInterval(() => {
+        const checkedAt = this.bridge.checkedAt?.getTime() ?? this.now(); // First check still in flight
+        if (this.now() - checkedAt >= BRIDGE_POLL_MS) {
+          this.refreshBridge();
+        } else {
+          this.emit();
+        }
+      }, REFRESH_MS);
+    }
+    return () => {
+      this.listeners.delete(listener);
+      if (this.listeners.size === 0) {
+        clearInterval(this.pollTimer);
+        this.pollTimer = null;
+      }
+    };
+  }
+
+  getSummary() {
+    return this.summary;
+  }
+
+  emit() {
+    this.summary = this.buildSummary();
+    this.listeners.forEach(listener => listener(this.summary));
+  }
+
+  // quotes: { pair: { venue: quote } } as received; rejected: the price guard's rejections for them.
+  // A quote is counted once per source timestamp, so a re-sent book does not inflate the samples.
+  recordQuotes(quotes, rejected, now = this.now()) {
+    const rejections = new Map(rejected.map(q => [`${q.pair}|${q.venue}`, q]));
+    let changed = false;
+
+    Object.entries(quotes || {}).forEach(([pair, venues]) => {
+      Object.entries(venues || {}).forEach(([venue, quote]) => {
+        const key = `${pair}|${venue}`;
+        const sourceTime = getQuoteTimestamp(quote);
+        if (sourceTime !== null && this.lastSeen[key] === sourceTime) return;
+        this.lastSeen[key] = sourceTime;
+
+        const rejection = rejections.get(key);
+        const error = rejection?.code !== 'synthetic' ? rejection : null;
+        const feed = this.feeds[venue] || { samples: [], lastSuccessAt: null, lastSourceAt: null, lastError: null };
+        this.feeds[venue] = {
+          samples: [...feed.samples, {
+            ok: !error,
+            synthetic: !!quote?.synthetic,
+            ageMs: sourceTime !== null ? Math.max(0, now - sourceTime) : null
+          }].slice(-SAMPLE_WINDOW),
+          lastSuccessAt: error ? feed.lastSuccessAt : new Date(now),
+          lastSourceAt: sourceTime !== null ? Math.max(feed.lastSourceAt || 0, sourceTime) : feed.lastSourceAt,
+          lastError: error ? `${pair}: ${error.reason}` : feed.lastError
+        };
+        changed = true;
+      });
+    });
+    if (changed) this.emit();
+  }
+
+  async refreshBridge() {
+    try {
+      const health = await this.fetchBridgeHealth();
+      this.bridge = { reachable: true, checkedAt: new Date(this.now()), error: null, venues: health?.venues || {} };
+    } catch (error) {
+      console.warn('⚠️ DEX bridge health check failed:', error.message);
+      this.bridge = { ...this.bridge, reachable: false, checkedAt: new Date(this.now()), error: error.message };
+    }
+    this.emit();
+  }
+
+  // { venues: [{ venue, label, state, feed, bridge }], bridge, counts: { state: n } }
+  buildSummary() {
+    const now = this.now();
+    const venueIds = Array.from(new Set([...Object.keys(this.feeds), ...Object.keys(this.bridge.venues)])).sort();
+    const venues = venueIds.map(venue => {
+      const feed = summarizeFeed(this.feeds[venue], now);
+      const bridge = this.bridge.venues[venue] || null;
+      return { venue, label: getVenueLabel(venue), state: classifyVenue(feed, bridge, now), feed, bridge };
+    });
+    const counts = Object.fromEntries(Object.values(HEALTH_STATES).map(state => [state, 0]));
+    venues.forEach(({ state }) => {
+      counts[state] += 1;
+    });
+    return { venues, bridge: this.bridge, counts, updatedAt: new Date(now) };
+  }
+}
+
+export const venueHealth = new VenueHealthMonitor();
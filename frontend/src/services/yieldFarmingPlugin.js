@@ -0,0 +1,122 @@
+// Yield Farming Plugin - allocates strategy capital across yield protocols by
+// risk-adjusted APY and rebalances when rates move enough to pay for the switch
+import { YIELD_PROTOCOLS, getYieldRiskPolicy } from '../config/yieldProtocols';
+import { UNALLOCATED_VENUE } from './portfolioAccounting';
+
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+
+// APY after the risk haircut for the strategy's risk level
+export const getNetApy = (protocolId, apyPct, riskLevel) => {
+  const protocol = YIELD_PROTOCOLS[protocolId];
+  if (!protocol) return -Infinity;
+  return apyPct - protocol.riskPct * getYieldRiskPolicy(riskLevel).riskAversion;
+};
+
+// Greedy fill: best net APY first, each protocol capped by the risk policy
+export const planAllocation = (capital, yieldRates, riskLevel) => {
+  const { maxAllocationPct } = getYieldRiskPolicy(riskLevel);
+  const cap = capital * (maxAllocationPct / 100);
+  const ranked = Object.entries(yieldRates)
+    .map(([id, apyPct]) => ({ id, apyPct, netApyPct: getNetApy(id, apyPct, riskLevel) }))
+    .filter(entry => entry.netApyPct > 0)
+    .sort((a, b) => b.netApyPct - a.netApyPct);
+
+  const allocations = {};
+  let remaining = capital;
+  ranked.forEach(({ id }) => {
+    if (remaining <= 0) return;
+    const amount = Math.min(cap, remaining);
+    allocations[id] = amount;
+    remaining -= amount;
+  });
+  return allocations;
+};
+
+const annualYield = (allocations, yieldRates) => Object.entries(allocations)
+  .reduce((sum, [id, amount]) => sum + amount * ((yieldRates[id] || 0) / 100), 0);
+
+// Entry/exit fees for every protocol whose position changes
+const switchingCost = (current, target) => {
+  const ids = new Set([...Object.keys(current), ...Object.keys(target)]);
+  return Array.from(ids).reduce((sum, id) => {
+    const changed = Math.abs((current[id] || 0) - (target[id] || 0)) > 1e-9;
+    return changed ? sum + (YIELD_PROTOCOLS[id]?.entryCostAlgo || 0) : sum;
+  }, 0);
+};
+
+// Share of capital that would move, in percent
+const allocationDrift = (current, target, capital) => {
+  const ids = new Set([...Object.keys(current), ...Object.keys(target)]);
+  const moved = Array.from(ids).reduce((sum, id) => sum + Math.abs((current[id] || 0) - (target[id] || 0)), 0);
+  return capital > 0 ? (moved / 2 / capital) * 100 : 0;
+};
+
+export const yieldFarmingPlugin = {
+  type: 'yield_farming',
+  label: 'Yield Farming',
+  defaultSettings: {
+    rebalanceThresholdPct: 5, // Minimum share of capital that has to move
+    rebalanceHorizonDays: 30, // Extra yield over this horizon must cover switching costs
+    harvestIntervalMs: 60 * 60 * 1000
+  },
+
+  createState: (strategy, now) => ({
+    allocations: {},
+    accruedYield: 0,
+    lastAccrualAt: now,
+    lastHarvestAt: now
+  }),
+
+  onMarketUpdate: (strategy, { now, yieldRates }) => {
+    const state = strategy.pluginState;
+    const { settings } = strategy;
+    const records = [];
+
+    // Accrue at the rates in force since the last update
+    const elapsed = Math.max(0, now - state.lastAccrualAt);
+    state.accruedYield += annualYield(state.allocations, yieldRates) * (elapsed / YEAR_MS);
+    state.lastAccrualAt = now;
+
+    if (state.accruedYield > 0 && now - state.lastHarvestAt >= settings.harvestIntervalMs) {
+      records.push({
+        kind: 'yield_harvest',
+        pair: Object.keys(state.allocations).map(id => YIELD_PROTOCOLS[id]?.label || id).join(', '),
+        amount: Object.values(state.allocations).reduce((sum, amount) => sum + amount, 0),
+        profit: state.accruedYield
+      });
+      state.accruedYield = 0;
+      state.lastHarvestAt = now;
+    }
+
+    // Harvested yield is reinvested on the next rebalance
+    const capital = strategy.currentValue + records.reduce((sum, record) => sum + record.profit, 0);
+    const target = planAllocation(capital, yieldRates, settings.riskLevel);
+    const drift = allocationDrift(state.allocations, target, capital);
+    if (drift < settings.rebalanceThresholdPct) return records;
+
+    const cost = switchingCost(state.allocations, target);
+    const extraYield = (annualYield(target, yieldRates) - annualYield(state.allocations, yieldRates))
+      * (settings.rebalanceHorizonDays / 365);
+    if (Object.keys(state.allocations).length > 0 && extraYield <= cost) return records;
+
+    records.push({
+      kind: 'yield_rebalance',
+      pair: Object.keys(target).map(id => YIELD_PROTOCOLS[id]?.label || id).join(', ') || 'Idle',
+      amount: capital * (drift / 100),
+      allocations: { ...target },
+      profit: -cost
+    });
+    state.allocations = target;
+    return records;
+  },
+
+  // Each protocol holds its allocation; whatever is left stays unallocated
+  getInventory: (strategy) => {
+    const { allocations } = strategy.pluginState;
+    const allocated = Object.values(allocations).reduce((sum, amount) => sum + amount, 0);
+    return {
+      [UNALLOCATED_VENUE]: { ALGO: Math.max(0, strategy.currentValue - allocated), USD: 0 },
+      ...Object.fromEntries(Object.entries(allocations).map(([id, amount]) => [id, { ALGO: amount, USD: 0 }]))
+    };
+  }
+};
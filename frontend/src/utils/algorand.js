@@ -162,6 +162,36 @@ export const signTransaction = async (txn) => {
   }
 };
 
+// Sign an atomic group with wallet; Pera expects one array per group
+export const signTransactionGroup = async (txns) => {
+  try {
+    const signedTxns = await peraWallet.signTransaction([txns.map(txn => ({ txn }))]);
+    return signedTxns;
+  } catch (error) {
+    console.error('Transaction group signing error:', error);
+    throw error;
+  }
+};
+
+// Simulate an unsigned group against algod before asking the wallet to sign
+export const simulateTransactionGroup = async (txns) => {
+  try {
+    const request = new algosdk.modelsv2.SimulateRequest({
+      txnGroups: [
+        new algosdk.modelsv2.SimulateRequestTransactionGroup({
+          txns: txns.map(txn => new algosdk.SignedTransaction({ txn }))
+        })
+      ],
+      allowEmptySignatures: true
+    });
+    const result = await algodClient.simulateTransactions(request).do();
+    return result;
+  } catch (error) {
+    console.error('Transaction simulation error:', error);
+    throw error;
+  }
+};
+
 // Send transaction
 export const sendTransaction = async (signedTxn) => {
   try {
@@ -0,0 +1,152 @@
+// Price Stream Dev Server
+// Local push price feed, so the frontend stream can be developed without the Julia backend
+// (which only serves the REST snapshot). Serves the same snapshot as the backend plus a
+// Server-Sent Events stream of `{ seq, timestamp, prices }` frames carrying changed quotes.
+// Quotes are a random walk and flagged synthetic, so the price guard never trades on them;
+// set SYNTHETIC=0 to serve them as real quotes and exercise detection, candles, alerts and
+// venue health end to end.
+//
+//   node price-stream-dev-server.mjs
+//   REACT_APP_PRICE_STREAM_URL=http://localhost:8053 npm start   (in frontend/)
+//
+// Failure modes for exercising the client (environment variables):
+//   DROP_RATE=0.1              skip ~10% of frames so the client sees sequence gaps
+//   DISCONNECT_EVERY_MS=60000  drop every stream connection on this interval
+//   SYNTHETIC=0                serve quotes unflagged so the price guard accepts them
+// socket.io is not served here (it needs the socket.io server package); use the SSE transport.
+
+import http from 'http';
+import url from 'url';
+
+const PORT = Number(process.env.PORT || 8053);
+const TICK_MS = 1000;
+const HEARTBEAT_MS = 5000;
+const DROP_RATE = Number(process.env.DROP_RATE || 0);
+const DISCONNECT_EVERY_MS = Number(process.env.DISCONNECT_EVERY_MS || 0);
+const SYNTHETIC = process.env.SYNTHETIC !== '0' && process.env.SYNTHETIC !== 'false';
+
+// Pairs to quote and the venues quoting each, so the frontend watchlist has something to watch
+const PAIRS = {
+    'ALGO/USD': { basePrice: 0.18, venues: ['coingecko', 'htx', 'tinyman'] },
+    'ALGO/USDC': { basePrice: 0.18, venues: ['tinyman', 'pact', 'vestige'] },
+    'USDC/USDt': { basePrice: 1, venues: ['htx', 'pact'] }
+};
+
+let seq = 0;
+const clients = new Set();
+const book = {};
+
+function createQuote(price) {
+    return {
+        price,
+        volume_24h: 5000000 + Math.random() * 1000000,
+        change_24h: (Math.random() - 0.5) * 4,
+        timestamp: new Date().toISOString(),
+        source: 'price-stream-dev-server',
+        synthetic: SYNTHETIC
+    };
+}
+
+// Every venue follows its pair's shared mid with its own small premium, so spreads open and close
+const mids = {};
+Object.entries(PAIRS).forEach(([pair, { basePrice, venues }]) => {
+    mids[pair] = basePrice;
+    book[pair] = {};
+    venues.forEach(venue => {
+        book[pair][venue] = createQuote(basePrice);
+    });
+});
+
+function tick() {
+    const prices = {};
+    Object.entries(PAIRS).forEach(([pair, { venues }]) => {
+        mids[pair] *= 1 + (Math.random() - 0.5) * 0.002;
+        venues.filter(() => Math.random() < 0.6).forEach(venue => {
+            const quote = createQuote(mids[pair] * (1 + (Math.random() - 0.5) * 0.01));
+            book[pair][venue] = quote;
+            prices[pair] = { ...prices[pair], [venue]: quote };
+        });
+    });
+    if (Object.keys(prices).length === 0) return;
+
+    seq += 1;
+    if (Math.random() < DROP_RATE) {
+        console.log(`🕳️ Dropped frame ${seq}`);
+        return;
+    }
+    broadcast('prices', { seq, timestamp: new Date().toISOString(), prices }, seq);
+}
+
+function send(res, event, data, id) {
+    res.write(`event: ${event}\n${id !== undefined ? `id: ${id}\n` : ''}data: ${JSON.stringify(data)}\n\n`);
+}
+
+function broadcast(event, data, id) {
+    clients.forEach(res => send(res, event, data, id));
+}
+
+function handleSnapshot(req, res) {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ prices: book }));
+}
+
+function handleStream(req, res) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+    });
+    res.write('\n');
+    clients.add(res);
+    console.log(`📡 Stream client connected (${clients.size} open)`);
+
+    req.on('close', () => {
+        clients.delete(res);
+        console.log(`🔌 Stream client disconnected (${clients.size} open)`);
+    });
+}
+
+const server = http.createServer((req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(200);
+        res.end();
+        return;
+    }
+
+    const path = url.parse(req.url).pathname;
+    switch (path) {
+        case '/api/v1/market/prices':
+            handleSnapshot(req, res);
+            break;
+        case '/api/v1/market/prices/stream':
+            handleStream(req, res);
+            break;
+        default:
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Not Found' }));
+    }
+});
+
+setInterval(tick, TICK_MS);
+setInterval(() => broadcast('heartbeat', { seq, timestamp: new Date().toISOString() }), HEARTBEAT_MS);
+if (DISCONNECT_EVERY_MS > 0) {
+    setInterval(() => {
+        console.log(`✂️ Dropping ${clients.size} stream connections`);
+        clients.forEach(res => res.end());
+        clients.clear();
+    }, DISCONNECT_EVERY_MS);
+}
+
+server.listen(PORT, () => {
+    console.log(`Price stream dev server running on http://localhost:${PORT}`);
+    console.log('Available endpoints:');
+    console.log('  GET /api/v1/market/prices - Current price snapshot');
+    console.log('  GET /api/v1/market/prices/stream - Server-Sent Events price stream');
+    if (DROP_RATE > 0) console.log(`  Dropping ${DROP_RATE * 100}% of frames`);
+    if (DISCONNECT_EVERY_MS > 0) console.log(`  Disconnecting streams every ${DISCONNECT_EVERY_MS}ms`);
+    console.log(SYNTHETIC ? '  Quotes flagged synthetic (SYNTHETIC=0 to serve them as real)' : '  Quotes served as real (not synthetic)');
+});